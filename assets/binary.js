@@ -0,0 +1,79 @@
+// Binary assets (favicons, icons, fonts, images). Models can emit them as
+// <file path="public/favicon.ico" encoding="base64">, and local files can be
+// passed in with --assets. Either way the bytes must look like the type the
+// extension claims before anything is written.
+
+// Generated base64 is expensive in tokens; anything larger is almost
+// certainly truncated or hallucinated
+export const MAX_GENERATED_ASSET_BYTES = 512 * 1024;
+export const MAX_LOCAL_ASSET_BYTES = 5 * 1024 * 1024;
+
+// Signatures by extension. Each entry lists alternatives; a signature is
+// [offset, bytes] pairs so RIFF-style containers can check two places.
+const MAGIC_BYTES = {
+  png: [[[0, [0x89, 0x50, 0x4e, 0x47, 0x0d, 0x0a, 0x1a, 0x0a]]]],
+  jpg: [[[0, [0xff, 0xd8, 0xff]]]],
+  jpeg: [[[0, [0xff, 0xd8, 0xff]]]],
+  gif: [[[0, [0x47, 0x49, 0x46, 0x38]]]],
+  webp: [[[0, [0x52, 0x49, 0x46, 0x46]], [8, [0x57, 0x45, 0x42, 0x50]]]],
+  ico: [[[0, [0x00, 0x00, 0x01, 0x00]]]],
+  woff: [[[0, [0x77, 0x4f, 0x46, 0x46]]]],
+  woff2: [[[0, [0x77, 0x4f, 0x46, 0x32]]]],
+  ttf: [[[0, [0x00, 0x01, 0x00, 0x00]]], [[0, [0x74, 0x72, 0x75, 0x65]]]],
+  otf: [[[0, [0x4f, 0x54, 0x54, 0x4f]]]],
+  pdf: [[[0, [0x25, 0x50, 0x44, 0x46]]]],
+  mp3: [[[0, [0x49, 0x44, 0x33]]], [[0, [0xff, 0xfb]]], [[0, [0xff, 0xf3]]], [[0, [0xff, 0xf2]]]],
+  mp4: [[[4, [0x66, 0x74, 0x79, 0x70]]]],
+  webm: [[[0, [0x1a, 0x45, 0xdf, 0xa3]]]]
+};
+
+// Text formats that are still fine to ship base64-encoded
+const TEXT_ASSETS = {
+  svg: (buffer) => /^\s*(<\?xml[^>]*>\s*)?(<!--[\s\S]*?-->\s*)*(<!DOCTYPE svg[^>]*>\s*)?<svg[\s>]/i.test(buffer.toString('utf8', 0, 1024))
+};
+
+export const assetExtension = (filePath) => filePath.split('.').pop().toLowerCase();
+
+export const isBinaryAsset = (filePath) => Boolean(MAGIC_BYTES[assetExtension(filePath)]);
+
+export const isSupportedAsset = (filePath) => isBinaryAsset(filePath) || Boolean(TEXT_ASSETS[assetExtension(filePath)]);
+
+const matchesSignature = (buffer, signature) =>
+  signature.every(([offset, bytes]) => bytes.every((byte, i) => buffer[offset + i] === byte));
+
+// Throws when the bytes don't fit the extension or the size limit
+export const verifyAsset = (filePath, buffer, maxBytes) => {
+  const extension = assetExtension(filePath);
+
+  if (buffer.length === 0) {
+    throw new Error('asset is empty');
+  }
+  if (buffer.length > maxBytes) {
+    throw new Error(`asset is ${(buffer.length / 1024).toFixed(0)} KB, limit is ${(maxBytes / 1024).toFixed(0)} KB`);
+  }
+
+  if (MAGIC_BYTES[extension]) {
+    if (!MAGIC_BYTES[extension].some(signature => matchesSignature(buffer, signature))) {
+      throw new Error(`content is not a valid .${extension} file (magic bytes don't match)`);
+    }
+  } else if (TEXT_ASSETS[extension]) {
+    if (!TEXT_ASSETS[extension](buffer)) {
+      throw new Error(`content is not a valid .${extension} file`);
+    }
+  } else {
+    throw new Error(`.${extension} is not a supported asset type`);
+  }
+
+  return buffer;
+};
+
+export const decodeBase64Asset = (filePath, content) => {
+  // Models wrap long base64 lines; data: URL prefixes are tolerated too
+  const base64 = content.replace(/^data:[\w/+.-]+;base64,/, '').replace(/\s+/g, '');
+
+  if (!/^[A-Za-z0-9+/]*={0,2}$/.test(base64) || base64.length % 4 === 1) {
+    throw new Error('content is not valid base64');
+  }
+
+  return verifyAsset(filePath, Buffer.from(base64, 'base64'), MAX_GENERATED_ASSET_BYTES);
+};
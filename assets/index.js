@@ -0,0 +1,2 @@
+export { decodeBase64Asset, verifyAsset, isBinaryAsset, isSupportedAsset, MAX_GENERATED_ASSET_BYTES, MAX_LOCAL_ASSET_BYTES } from './binary.js';
+export { importLocalAssets } from './local.js';
@@ -0,0 +1,73 @@
+import fs from 'fs/promises';
+import path from 'path';
+import { isSupportedAsset, verifyAsset, MAX_LOCAL_ASSET_BYTES } from './binary.js';
+
+const safeName = (name) => name.replace(/[^\w.-]/g, '-');
+
+// Expands files and directories (recursively) into { source, target } pairs,
+// where target is relative to the destination folder
+const expandSources = async (sources) => {
+  const entries = [];
+
+  for (const source of sources) {
+    const stats = await fs.stat(source);
+
+    if (stats.isFile()) {
+      entries.push({ source, target: safeName(path.basename(source)) });
+      continue;
+    }
+
+    const walk = async (dir, prefix) => {
+      for (const entry of await fs.readdir(dir, { withFileTypes: true })) {
+        if (entry.name.startsWith('.')) continue;
+
+        const entryPath = path.join(dir, entry.name);
+        const target = prefix ? `${prefix}/${safeName(entry.name)}` : safeName(entry.name);
+        if (entry.isDirectory()) {
+          await walk(entryPath, target);
+        } else if (entry.isFile()) {
+          entries.push({ source: entryPath, target });
+        }
+      }
+    };
+    await walk(source, '');
+  }
+
+  return entries;
+};
+
+// Copies local assets (e.g. uploads/logo.png or the whole uploads/ folder)
+// into <appPath>/<folder>. Returns the app-relative paths that were copied and
+// the sources that were skipped, with the reason.
+export const importLocalAssets = async (sources, appPath, folder = 'public') => {
+  const files = [];
+  const skipped = [];
+
+  let entries;
+  try {
+    entries = await expandSources(sources);
+  } catch (error) {
+    return { files, skipped: [{ source: error.path || sources.join(', '), reason: error.code === 'ENOENT' ? 'not found' : error.message }] };
+  }
+
+  for (const { source, target } of entries) {
+    if (!isSupportedAsset(source)) {
+      skipped.push({ source, reason: 'unsupported file type' });
+      continue;
+    }
+
+    try {
+      const buffer = verifyAsset(source, await fs.readFile(source), MAX_LOCAL_ASSET_BYTES);
+      const relativePath = `${folder}/${target}`;
+      const destination = path.join(appPath, relativePath);
+
+      await fs.mkdir(path.dirname(destination), { recursive: true });
+      await fs.writeFile(destination, buffer);
+      files.push({ path: relativePath, source, size: buffer.length });
+    } catch (error) {
+      skipped.push({ source, reason: error.message });
+    }
+  }
+
+  return { files, skipped };
+};
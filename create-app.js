@@ -2,34 +2,295 @@
 import fs from 'fs/promises';
 import path from 'path';
 import { fileURLToPath } from 'url';
-import { execSync } from 'child_process';
+import { execSync, spawnSync } from 'child_process';
+import { readFileSync, writeFileSync, rmSync } from 'fs';
+import os from 'os';
+import readline from 'readline/promises';
 import dotenv from 'dotenv';
 import yargs from 'yargs';
 import { hideBin } from 'yargs/helpers';
 import { Low } from 'lowdb';
 import { JSONFile } from 'lowdb/node';
-import { analysisPrompt, generationPrompt, createEnhancementPrompt } from './prompts/index.js';
+import { analysisRepairPrompt, continuationPrompt, editRetryPrompt, localAssetsPrompt, syntaxRepairPrompt, declinedChangesPrompt, typescriptPrompt, typeErrorsPrompt, servicesPrompt, starterTemplatePrompt, loadPromptPack } from './prompts/index.js';
+import { validateAnalysis } from './schemas/analysis.js';
+import { createLedgerEntry, filterEntries, summarizeUsage, monthlySpend } from './usage/index.js';
+import { appendTurn, buildConversation, withRequest, seedConversation } from './history/index.js';
+import { loadLLMConfig, createProvider, resolveRoute, mergeRouting, parseRouteOverrides, Cassette, withRetry, withTimeout, isRetryableError, resolveRetryPolicy } from './providers/index.js';
+import { createStreamingParser, parseResponse, stripCodeFence, findOpenFile, stitchContinuation, parseEditHunks, applyEditHunks } from './parser/index.js';
+import { decodeBase64Asset, isBinaryAsset, importLocalAssets } from './assets/index.js';
+import { validateSyntax, formatSyntaxError, parseTypeErrors } from './validation/index.js';
+import { loadFixRules, runFixRules, fixRuleDirs, ruleStages } from './fixers/index.js';
+import { selectDeployment, findPythonServer, COMPOSE_FILE, usesServices, selectServices, parseComposePs } from './deployment/index.js';
+import { frameworkProfile, usesTypeScript, entryHtml, viteConfig, scaffoldPackageJson, PYTHON_FRAMEWORKS, isPythonFramework } from './frameworks/index.js';
+import { loadStarter, listStarters, seedStarter, starterTemplateDirs } from './starters/index.js';
+import { unifiedDiff, createStagedId, stagedFilesPath, copyWorkTree, compareTrees, writeStagedManifest, readStagedManifest, isStagedId, listStaged, removeStaged, reviewUnits, parseEditedHunk, formatHunkForEdit, mergeAcceptedHunks, describeRejectedUnit } from './staging/index.js';
 import nunjucks from 'nunjucks';
 
 dotenv.config();
 
+// Lines of each service's logs kept on the app record
+const SERVICE_LOG_LINES = 50;
+
 // Initialize database
 const adapter = new JSONFile('apps.json');
-const defaultData = { apps: [], nextPort: 3100 };
+const defaultData = { apps: [], nextPort: 3100, ledger: [] };
 const db = new Low(adapter, defaultData);
 
 // Initialize default data
 await db.read();
+// Databases created before the usage ledger existed
+db.data.ledger ||= [];
+
+// LLM providers: built-ins plus llm.config.json and LLM_* environment overrides
+const llmConfig = await loadLLMConfig();
 
 class CerebrasAppGenerator {
   constructor() {
-    this.apiKey = process.env.CEREBRAS_API_KEY;
-    if (!this.apiKey) {
-      console.error('❌ CEREBRAS_API_KEY environment variable is required');
+    // Resolved from --provider / LLM_PROVIDER by the CLI middleware
+    this.defaultProvider = null;
+    this.providers = {};
+    // Per-stage routing from --route, and the effective routing of the app being worked on
+    this.routeOverrides = {};
+    this.routing = {};
+    // --stream: consume generation as SSE and write files as they complete
+    this.streaming = false;
+    // --record / --replay: cassette every provider call goes through
+    this.cassette = null;
+    // App and version that LLM calls are billed to in the usage ledger
+    this.usageContext = { app: null, version: null, entries: [] };
+    // --prompt-pack: analysis, enhancement and generation prompt builders
+    this.promptPack = null;
+    // Persisted chat history of the app being worked on
+    this.conversation = [];
+    // --assets: local files or folders copied into the app's public/ folder
+    this.assetSources = [];
+    // Post-generation fixer pipeline: built-in rules plus fix-rules/ overrides
+    this.fixRules = [];
+    // --typescript: generate TypeScript whatever the analysis says
+    this.typescript = false;
+    // fastapi or flask while generating a Python app (see useStack)
+    this.pythonFramework = null;
+    // --services: run fullstack apps as a docker-compose service group
+    this.services = false;
+    // --template: starter template new apps are seeded from
+    this.starter = null;
+  }
+
+  useConversation(app = null) {
+    this.conversation = app ? (app.conversation ||= seedConversation(app)) : [];
+  }
+
+  // Returns the recorded turn, or null when there was nothing to record
+  recordTurn(kind, content, version = null) {
+    const last = this.conversation[this.conversation.length - 1];
+    appendTurn(this.conversation, kind, content, version);
+    const turn = this.conversation[this.conversation.length - 1];
+    return turn !== last ? turn : null;
+  }
+
+  // What the model did, in the words it used plus the files it touched
+  summarizeChanges(changesExplanation, files, { deletedFiles = [], renamedFiles = [] } = {}) {
+    const fileList = [
+      files.length > 0 ? `Files: ${files.join(', ')}` : null,
+      deletedFiles.length > 0 ? `Deleted: ${deletedFiles.join(', ')}` : null,
+      renamedFiles.length > 0 ? `Renamed: ${renamedFiles.map(rename => `${rename.from} → ${rename.to}`).join(', ')}` : null
+    ].filter(Boolean).join('\n') || 'No files were changed.';
+    return changesExplanation ? `${changesExplanation}\n\n${fileList}` : fileList;
+  }
+
+  async usePromptPack(name) {
+    try {
+      this.promptPack = await loadPromptPack(name || undefined);
+    } catch (error) {
+      console.error(`❌ ${error.message}`);
+      process.exit(1);
+    }
+    
+    if (this.promptPack.dir) {
+      const overrides = this.promptPack.chain.flatMap(pack => pack.overridden);
+      console.log(`📝 Prompt pack: ${this.promptPack.name} (${this.promptPack.hash}) overriding ${overrides.join(', ') || 'nothing'}`);
+    }
+  }
+
+  async useStarterTemplate(name) {
+    if (!name) return;
+    
+    try {
+      this.starter = await loadStarter(name);
+    } catch (error) {
+      console.error(`❌ ${error.message}`);
+      process.exit(1);
+    }
+    
+    console.log(`🧩 Starter template: ${this.starter.name} (${this.starter.source})`);
+  }
+
+  async useFixRules(skip = []) {
+    try {
+      this.fixRules = await loadFixRules({ skip });
+    } catch (error) {
+      console.error(`❌ ${error.message}`);
+      process.exit(1);
+    }
+    
+    const custom = this.fixRules.filter(rule => rule.source !== 'built-in');
+    if (custom.length > 0) {
+      console.log(`🔧 Custom fix rules: ${custom.map(rule => rule.id).join(', ')}`);
+    }
+  }
+
+  // Recorded on every version so we can tell which prompts produced it
+  promptPackInfo() {
+    return { name: this.promptPack.name, hash: this.promptPack.hash };
+  }
+
+  useUsageContext(app, version = null) {
+    this.usageContext = { app, version, entries: [] };
+  }
+
+  async assignUsageVersion(version) {
+    // Improvements only know their version number after generation
+    this.usageContext.version = version;
+    for (const entry of this.usageContext.entries) {
+      entry.version = version;
+    }
+    await db.write();
+  }
+
+  async recordUsage(stage, completion, latency) {
+    // Replayed calls cost nothing and were already recorded when captured
+    if (this.cassette?.mode === 'replay') return;
+    
+    const entry = createLedgerEntry({
+      app: this.usageContext.app,
+      version: this.usageContext.version,
+      stage,
+      provider: completion.provider,
+      model: completion.model,
+      usage: completion.usage,
+      latency,
+      pricing: llmConfig.pricing
+    });
+    
+    db.data.ledger.push(entry);
+    this.usageContext.entries.push(entry);
+    await db.write();
+  }
+
+  checkBudget() {
+    const budget = Number(process.env.LLM_MONTHLY_BUDGET) || llmConfig.budget?.monthlyUsd;
+    if (!budget) return true;
+    
+    const spent = monthlySpend(db.data.ledger);
+    if (spent >= budget) {
+      console.log(`❌ Monthly LLM budget exceeded: $${spent.toFixed(2)} spent of $${budget.toFixed(2)}. Use --usage for details.`);
+      return false;
+    }
+    
+    if (spent >= budget * 0.8) {
+      console.log(`⚠️  ${Math.round((spent / budget) * 100)}% of the monthly LLM budget used ($${spent.toFixed(2)} of $${budget.toFixed(2)})`);
+    }
+    return true;
+  }
+
+  async useCassette(nameOrPath, mode) {
+    try {
+      this.cassette = await Cassette.open(nameOrPath, mode);
+      this.providers = {};
+      console.log(`📼 ${mode === 'record' ? 'Recording LLM calls to' : 'Replaying LLM calls from'} ${this.cassette.filePath}`);
+    } catch (error) {
+      console.error(`❌ ${error.message}`);
       process.exit(1);
     }
   }
 
+  useProvider(providerName) {
+    try {
+      // Set first: the LLM_* overrides apply to the selected provider
+      this.defaultProvider = providerName;
+      this.getProvider(providerName);
+    } catch (error) {
+      console.error(`❌ ${error.message}`);
+      process.exit(1);
+    }
+  }
+
+  getProvider(providerName) {
+    if (!this.providers[providerName]) {
+      this.providers[providerName] = createProvider(providerName, llmConfig, this.cassette, this.defaultProvider || llmConfig.defaultProvider);
+    }
+    return this.providers[providerName];
+  }
+
+  useAppRouting(app = null) {
+    // Stored per-app routing first, then this run's --route overrides on top
+    this.routing = mergeRouting(app?.routing, this.routeOverrides);
+    return this.routing;
+  }
+
+  async chatCompletion(stage, messages, options = {}) {
+    // Single entry point for every LLM request: resolve the stage's model
+    // chain, retry each target under the shared policy and fall through the
+    // chain until one answers
+    const route = resolveRoute(stage, llmConfig, this.defaultProvider, this.routing);
+    const retryPolicy = resolveRetryPolicy(llmConfig, route);
+    const { onDelta, signal, ...requestOptions } = options;
+    let lastError = null;
+
+    for (const [index, target] of route.targets.entries()) {
+      const label = `${target.provider}/${target.model || 'default'}`;
+      // Resolved inside the try, so a target with a missing key or bad config
+      // falls through to the next one like any other failure
+      let provider = null;
+      // Once a stream has produced output, a retry or fallback would duplicate it
+      let receivedDelta = false;
+      const trackDelta = onDelta && ((text) => {
+        receivedDelta = true;
+        onDelta(text);
+      });
+
+      const attemptRequest = () => withTimeout((attemptSignal) => {
+        const request = {
+          stage,
+          messages,
+          model: target.model,
+          maxTokens: route.maxTokens,
+          temperature: route.temperature,
+          topP: route.topP,
+          ...requestOptions,
+          signal: attemptSignal
+        };
+        return trackDelta
+          ? provider.streamChatCompletion(request, trackDelta)
+          : provider.chatCompletion(request);
+      }, route.timeoutMs, signal);
+
+      try {
+        provider = this.getProvider(target.provider);
+        const startTime = Date.now();
+        const completion = await withRetry(attemptRequest, retryPolicy, {
+          shouldRetry: (error) => !signal?.aborted && !receivedDelta && isRetryableError(error),
+          onRetry: (error, attempt, delay) => {
+            console.log(this.sanitizeLogs(`🔁 ${stage} request to ${label} failed (${error.message}), retrying in ${(delay / 1000).toFixed(1)}s (attempt ${attempt + 1}/${retryPolicy.maxAttempts})`));
+          }
+        });
+        
+        await this.recordUsage(stage, completion, Date.now() - startTime);
+        return completion;
+      } catch (error) {
+        // A user abort must not fall through to the next model
+        if (signal?.aborted || receivedDelta) throw error;
+
+        lastError = error;
+        if (index < route.targets.length - 1) {
+          console.log(this.sanitizeLogs(`⚠️  ${stage} model ${label} failed (${error.message}), falling back...`));
+        }
+      }
+    }
+
+    throw lastError;
+  }
+
   generateAppName(prompt) {
     // Extract key words and create descriptive name
     const words = prompt.trim().toLowerCase()
@@ -80,34 +341,49 @@ class CerebrasAppGenerator {
   async analyzeAppStructure(prompt) {
     console.log(`🔍 Analyzing app structure for: "${prompt}"`);
     
-    const promptContent = analysisPrompt(prompt);
+    const promptContent = this.promptPack.builders.analysisPrompt(prompt);
     
     try {
-      const response = await fetch('https://api.cerebras.ai/v1/chat/completions', {
-        method: 'POST',
-        headers: {
-          'Content-Type': 'application/json',
-          'Authorization': `Bearer ${this.apiKey}`
-        },
-        body: JSON.stringify({
-          model: "qwen-3-coder-480b",
-          stream: false,
-          max_tokens: 1000,
-          temperature: 0.3,
-          top_p: 0.8,
-          messages: [{ role: "user", content: promptContent }]
-        })
-      });
-
-      if (!response.ok) {
-        throw new Error(`HTTP error! status: ${response.status}`);
+      const messages = [{ role: "user", content: promptContent }];
+      const completion = await this.chatCompletion('analysis', messages);
+      let result = this.parseAnalysis(completion.content);
+      
+      // One repair round: show the model its validation errors before giving up
+      if (result.errors.length > 0) {
+        console.log(`⚠️  Analysis failed validation: ${result.errors.join('; ')}`);
+        console.log(`🔁 Asking the model to repair the analysis...`);
+        
+        const repair = await this.chatCompletion('analysis', [
+          ...messages,
+          { role: "assistant", content: completion.content },
+          { role: "user", content: analysisRepairPrompt(result.errors) }
+        ]);
+        result = this.parseAnalysis(repair.content);
+      }
+      
+      if (result.errors.length > 0) {
+        throw new Error(`invalid analysis after repair: ${result.errors.join('; ')}`);
       }
-
-      const data = await response.json();
-      const content = this.cleanJsonContent(data.choices[0].message.content);
-      const analysis = JSON.parse(content);
       
-      console.log(`📊 Analysis: fullstack app with ${analysis.framework} + ${analysis.buildTool}`);
+      const analysis = result.value;
+      if (isPythonFramework(analysis.framework)) {
+        // Python backends have no Node.js build or TypeScript layout
+        Object.assign(analysis, { appType: 'backend', buildTool: 'none', typescript: 'false', staticBuild: 'false', services: 'false' });
+        if (!analysis.serverFile.endsWith('.py')) analysis.serverFile = PYTHON_FRAMEWORKS[analysis.framework].serverFile;
+      } else if (this.typescript) {
+        analysis.typescript = 'true';
+        if (analysis.serverFile === 'server.js') analysis.serverFile = 'server.ts';
+      }
+      if (this.services && !isPythonFramework(analysis.framework)) {
+        analysis.services = 'true';
+      }
+      if (usesServices(analysis)) {
+        // A service group is a Vite frontend plus an API and worker on Postgres
+        Object.assign(analysis, { appType: 'fullstack', buildTool: 'vite', database: 'postgres', staticBuild: 'true' });
+        if (analysis.serverFile === 'none') analysis.serverFile = analysis.typescript === 'true' ? 'server.ts' : 'server.js';
+      }
+      
+      console.log(`📊 Analysis: ${analysis.appType} app with ${analysis.framework} + ${analysis.buildTool}${analysis.typescript === 'true' ? ' (TypeScript)' : ''}${usesServices(analysis) ? ' as services' : ''}`);
       console.log(`🎨 Styling: ${analysis.styling}, 🗄️ DB: ${analysis.database}, 🔐 Auth: ${analysis.authentication}`);
       
       return analysis;
@@ -117,25 +393,61 @@ class CerebrasAppGenerator {
     }
   }
 
+  parseAnalysis(content) {
+    try {
+      return validateAnalysis(JSON.parse(stripCodeFence(content)));
+    } catch (error) {
+      return { value: null, errors: [`Response is not valid JSON: ${error.message}`] };
+    }
+  }
+
   fallbackAppAnalysis(prompt) {
-    // Simple fallback for uniform fullstack architecture
+    // Keyword fallback; fullstack unless the prompt clearly asks for only an API or only a site
     const promptLower = prompt.toLowerCase();
+    const mentions = (words) => words.some(word => new RegExp(`\\b${word}\\b`).test(promptLower));
+    const wantsServer = mentions(['api', 'backend', 'server', 'endpoints?', 'database', 'webhook']);
+    const wantsUi = mentions(['ui', 'frontend', 'page', 'website', 'landing', 'dashboard', 'react', 'vue', 'svelte', 'form']);
+    const services = this.services || mentions(['worker', 'postgres(ql)?', 'docker-compose']);
+    const appType = services ? 'fullstack' : wantsServer && !wantsUi ? 'backend' : wantsUi && !wantsServer ? 'frontend' : 'fullstack';
+    const typescript = this.typescript || mentions(['typescript']);
     
-    return {
-      appType: 'fullstack',
-      framework: promptLower.includes('react') ? 'react' : 'vanilla',
-      buildTool: 'vite',
-      styling: promptLower.includes('tailwind') ? 'tailwind' : 'css',
-      database: 'sqlite',
+    // "python" alone can be the topic ("a tutorial site about Python"), so
+    // only a named framework or a Python backend/API counts
+    const pythonBackend = /\bpython\s+(api|backend|server|service)s?\b|\b(api|backend|server|service)s?\s+(written\s+)?(in|with|using)\s+python\b/.test(promptLower);
+    const pythonFramework = mentions(['flask']) ? 'flask' : mentions(['fastapi']) || pythonBackend ? 'fastapi' : null;
+    if (pythonFramework) {
+      return validateAnalysis({
+        appType: 'backend',
+        framework: pythonFramework,
+        buildTool: 'none',
+        styling: 'none',
+        database: 'sqlite',
+        authentication: promptLower.includes('auth') || promptLower.includes('login') ? 'true' : 'false',
+        typescript: 'false',
+        serverFile: PYTHON_FRAMEWORKS[pythonFramework].serverFile,
+        staticBuild: 'false',
+        deployment: 'docker'
+      }).value;
+    }
+    
+    // Validated so the schema defaults (missingFiles, recommendations, ...) are filled in
+    return validateAnalysis({
+      appType,
+      framework: appType === 'backend' ? 'express' : ['react', 'vue', 'svelte'].find(name => mentions([name])) || 'vanilla',
+      buildTool: appType === 'backend' ? 'none' : 'vite',
+      styling: appType === 'backend' ? 'none' : promptLower.includes('tailwind') ? 'tailwind' : 'css',
+      database: services ? 'postgres' : appType === 'frontend' ? 'none' : 'sqlite',
       authentication: promptLower.includes('auth') || promptLower.includes('login') ? 'true' : 'false',
-      serverFile: 'server.js',
-      staticBuild: 'true',
+      typescript: typescript ? 'true' : 'false',
+      services: services ? 'true' : 'false',
+      serverFile: appType === 'frontend' ? 'none' : typescript ? 'server.ts' : 'server.js',
+      staticBuild: appType === 'backend' ? 'false' : 'true',
       deployment: 'docker'
-    };
+    }).value;
   }
 
-  async scaffoldWithVite(appName, appPath) {
-    console.log(`🚀 Scaffolding with Vite for ${appName}...`);
+  async scaffoldWithVite(appName, appPath, profile) {
+    console.log(`🚀 Scaffolding with Vite (${profile.viteTemplate}) for ${appName}...`);
     
     try {
       // Create Vite project in a temporary location
@@ -147,22 +459,24 @@ class CerebrasAppGenerator {
       // Try different approaches for creating Vite project
       let success = false;
       
-      // Approach 1: Try npm create vite@latest
+      const createVite = profile.createVite || 'latest';
+      
+      // Approach 1: Try npm create vite
       try {
-        console.log(`📦 Trying npm create vite@latest...`);
-        execSync(`npm create vite@latest ${appName} -- --template vanilla --yes`, { 
+        console.log(`📦 Trying npm create vite@${createVite}...`);
+        execSync(`npm create vite@${createVite} ${appName} -- --template ${profile.viteTemplate} --yes`, { 
           cwd: tempDir,
           stdio: 'inherit',
           timeout: 60000 // 60 second timeout
         });
         success = true;
       } catch (error) {
-        console.log(`⚠️  npm create vite@latest failed: ${error.message}`);
+        console.log(`⚠️  npm create vite@${createVite} failed: ${error.message}`);
         
         // Approach 2: Try npx create-vite
         try {
           console.log(`📦 Trying npx create-vite...`);
-          execSync(`npx create-vite@latest ${appName} --template vanilla --yes`, { 
+          execSync(`npx create-vite@${createVite} ${appName} --template ${profile.viteTemplate} --yes`, { 
             cwd: tempDir,
             stdio: 'inherit',
             timeout: 60000
@@ -173,7 +487,7 @@ class CerebrasAppGenerator {
           
           // Approach 3: Manual Vite setup
           console.log(`📦 Creating manual Vite setup...`);
-          await this.createManualViteSetup(appName, tempDir);
+          await this.createManualViteSetup(appName, tempDir, profile);
           success = true;
         }
       }
@@ -215,53 +529,10 @@ class CerebrasAppGenerator {
     }
   }
 
-  async createManualViteSetup(appName, tempDir) {
+  async createManualViteSetup(appName, tempDir, profile) {
     const appPath = path.join(tempDir, appName);
     await fs.mkdir(appPath, { recursive: true });
     
-    // Create basic Vite files manually
-    const packageJson = {
-      name: appName,
-      private: true,
-      version: "0.0.0",
-      type: "module",
-      scripts: {
-        dev: "vite",
-        build: "vite build",
-        preview: "vite preview"
-      },
-      dependencies: {
-        "react": "^18.2.0",
-        "react-dom": "^18.2.0"
-      },
-      devDependencies: {
-        "@types/react": "^18.2.43",
-        "@types/react-dom": "^18.2.17",
-        "@vitejs/plugin-react": "^4.2.1",
-        "vite": "^5.0.8"
-      }
-    };
-    
-    const indexHtml = `<!DOCTYPE html>
-<html lang="en">
-  <head>
-    <meta charset="UTF-8" />
-    <meta name="viewport" content="width=device-width, initial-scale=1.0" />
-    <title>${appName}</title>
-  </head>
-  <body>
-    <div id="root"></div>
-    <script type="module" src="/src/main.jsx"></script>
-  </body>
-</html>`;
-    
-    const viteConfig = `import { defineConfig } from 'vite'
-import react from '@vitejs/plugin-react'
-
-export default defineConfig({
-  plugins: [react()],
-})`;
-    
     const mainJsx = `import React from 'react'
 import ReactDOM from 'react-dom/client'
 import App from './App.jsx'
@@ -421,183 +692,588 @@ button:focus-visible {
     await fs.mkdir(path.join(appPath, 'public'), { recursive: true });
     
     // Write files
-    await fs.writeFile(path.join(appPath, 'package.json'), JSON.stringify(packageJson, null, 2));
-    await fs.writeFile(path.join(appPath, 'index.html'), indexHtml);
-    await fs.writeFile(path.join(appPath, 'vite.config.js'), viteConfig);
-    await fs.writeFile(path.join(appPath, 'src/main.jsx'), mainJsx);
-    await fs.writeFile(path.join(appPath, 'src/App.jsx'), appJsx);
+    await fs.writeFile(path.join(appPath, 'package.json'), JSON.stringify(scaffoldPackageJson(profile, appName), null, 2));
+    await fs.writeFile(path.join(appPath, 'index.html'), entryHtml(profile, appName));
+    await fs.writeFile(path.join(appPath, 'vite.config.js'), viteConfig(profile));
     await fs.writeFile(path.join(appPath, 'src/index.css'), indexCss);
-    await fs.writeFile(path.join(appPath, 'src/App.css'), appCss);
+    
+    // The other frameworks bring their own starter files
+    const starter = profile.starter || {
+      'src/main.jsx': mainJsx,
+      'src/App.jsx': appJsx,
+      'src/App.css': appCss
+    };
+    for (const [file, content] of Object.entries(starter)) {
+      await fs.writeFile(path.join(appPath, file), content);
+    }
+  }
+
+  // {} when package.json is missing or broken, so framework detection falls back
+  async readPackageJson(appPath) {
+    try {
+      return JSON.parse(await fs.readFile(path.join(appPath, 'package.json'), 'utf8'));
+    } catch {
+      return {};
+    }
+  }
+
+  // The TypeScript layout for the app's framework, or nothing for JavaScript apps
+  typescriptInstructions(analysis, packageJson = {}) {
+    if (!usesTypeScript(analysis, packageJson)) return '';
+    return typescriptPrompt(frameworkProfile(analysis, packageJson), {
+      ui: analysis.appType !== 'backend',
+      server: analysis.appType !== 'frontend'
+    });
+  }
+
+  // The starter template's stack replaces the analysis stage's choice. The
+  // template name is kept on the analysis so rebuilds find its Dockerfile.
+  applyStarter(analysis) {
+    if (!this.starter) return analysis;
+    
+    const merged = { ...analysis, typescript: 'false', services: 'false', ...this.starter.analysis, starter: this.starter.ref };
+    for (const [flag, field] of [[this.typescript, 'typescript'], [this.services, 'services']]) {
+      if (flag && merged[field] !== 'true') {
+        console.log(`⚠️  --${field} is ignored: the ${this.starter.name} template sets ${field} to false`);
+      }
+    }
+    
+    const changed = Object.keys(this.starter.analysis).filter(field => analysis[field] !== merged[field]);
+    if (changed.length > 0) {
+      console.log(`🧩 ${this.starter.name} template sets ${changed.map(field => `${field}=${merged[field]}`).join(', ')}`);
+    }
+    return merged;
+  }
+
+  // The service-group layout (API, worker, Postgres), or nothing for single-container apps
+  servicesInstructions(analysis) {
+    return usesServices(analysis) ? servicesPrompt({ typescript: analysis.typescript === 'true' }) : '';
   }
 
   async enhanceWithLLM(prompt, appName, appPath, analysis, isImprovement = false) {
     console.log(`🤖 Enhancing ${appName} with LLM customization...`);
     
-    const enhancementPrompt = createEnhancementPrompt(prompt, analysis, isImprovement);
+    const enhancementPrompt = this.promptPack.builders.createEnhancementPrompt(prompt, analysis, isImprovement);
     
     return await this.chatWithCerebras(enhancementPrompt, appName, appPath);
   }
 
-  async chatWithCerebras(prompt, appName, appPath) {
+  // Picks the generation prompt for the app: the Python one when the analysis
+  // chose FastAPI or Flask, or when an existing app is a Python server on disk
+  async useStack(analysis = {}, appPath = null) {
+    if (isPythonFramework(analysis.framework)) {
+      this.pythonFramework = analysis.framework;
+    } else {
+      const pythonServer = appPath ? await findPythonServer(appPath, analysis.serverFile) : null;
+      this.pythonFramework = pythonServer?.framework || null;
+    }
+    return this.pythonFramework;
+  }
+
+  async chatWithCerebras(prompt, appName, appPath, stage = 'generation', history = []) {
     console.log(`🤖 Generating ${appName}...`);
     const startTime = Date.now();
 
-    const enhancedPrompt = generationPrompt(prompt);
-
-    const response = await fetch('https://api.cerebras.ai/v1/chat/completions', {
-      method: 'POST',
-      headers: {
-        'Content-Type': 'application/json',
-        'Authorization': `Bearer ${this.apiKey}`
-      },
-      body: JSON.stringify({
-        model: "qwen-3-coder-480b",
-        stream: false,
-        max_tokens: 40000,
-        temperature: 0.7,
-        top_p: 0.8,
-        messages: [{ role: "user", content: enhancedPrompt }]
-      })
-    });
-
-    if (!response.ok) {
-      throw new Error(`HTTP error! status: ${response.status}`);
+    const enhancedPrompt = this.pythonFramework
+      ? this.promptPack.builders.pythonGenerationPrompt(prompt, this.pythonFramework)
+      : this.promptPack.builders.generationPrompt(prompt);
+    // Earlier turns of the app's conversation come first, the new request last
+    const messages = withRequest(history, enhancedPrompt);
+    const session = this.streaming ? this.createStreamSession(appPath) : null;
+
+    let completion = session
+      ? await this.streamGeneration(stage, messages, session)
+      : await this.chatCompletion(stage, messages);
+    let output = completion.content;
+    let usage = completion.usage;
+    
+    // Truncated at max_tokens: ask the model to pick up where it stopped and
+    // stitch the rounds together before anything is parsed
+    const { maxContinuations } = resolveRoute(stage, llmConfig, this.defaultProvider, this.routing);
+    let continuations = 0;
+    
+    while (completion.finishReason === 'length' && continuations < maxContinuations) {
+      continuations++;
+      const openFile = findOpenFile(output);
+      console.log(`✂️  Output hit the token limit, requesting continuation ${continuations}/${maxContinuations}${openFile?.path ? ` (resuming ${openFile.path})` : ''}...`);
+      
+      const previousOutput = output;
+      const continuationMessages = [
+        ...messages,
+        { role: "assistant", content: previousOutput },
+        { role: "user", content: continuationPrompt(openFile?.path) }
+      ];
+      const stitch = (text) => stitchContinuation(previousOutput, text);
+      
+      completion = session
+        ? await this.streamGeneration(stage, continuationMessages, session, stitch)
+        : await this.chatCompletion(stage, continuationMessages);
+      output = stitch(completion.content);
+      usage = this.sumUsage(usage, completion.usage);
+    }
+    
+    if (completion.finishReason === 'length') {
+      console.log(`⚠️  Output is still truncated after ${continuations} continuation rounds, the last file may be incomplete`);
     }
 
-    const data = await response.json();
     const endTime = Date.now();
     const latency = endTime - startTime;
     
-    const output = data.choices[0].message.content;
-    const usage = data.usage;
-    
-    console.log(`⚡ Latency: ${latency}ms`);
-    console.log(`📊 Tokens - Prompt: ${usage.prompt_tokens}, Completion: ${usage.completion_tokens}, Total: ${usage.total_tokens}`);
+    console.log(`⚡ Latency: ${latency}ms (${completion.provider}/${completion.model})`);
+    if (usage) {
+      console.log(`📊 Tokens - Prompt: ${usage.prompt_tokens}, Completion: ${usage.completion_tokens}, Total: ${usage.total_tokens}`);
+    }
     
     // Save response for parsing
     await fs.writeFile(path.join(appPath, 'response.txt'), output);
     
-    return { output, latency, usage };
+    const parsed = session ? await this.finishStreamSession(session) : null;
+    
+    if (completion.finishReason === 'aborted') {
+      const error = new Error(`Generation aborted after ${parsed.createdFiles.length} files`);
+      error.aborted = true;
+      error.createdFiles = parsed.createdFiles;
+      throw error;
+    }
+    
+    return { output, latency, usage, continuations, model: completion.model, provider: completion.provider, parsed };
   }
 
-  async parseAndCreateFiles(appPath, output) {
-    const fileRegex = /<file path="([^"]+)">([\s\S]*?)<\/file>/g;
-    const changesRegex = /<changes>([\s\S]*?)<\/changes>/g;
-    let match;
-    const createdFiles = [];
-    let changesExplanation = '';
+  sumUsage(total, usage) {
+    if (!total || !usage) return total || usage;
+    
+    return {
+      prompt_tokens: (total.prompt_tokens || 0) + (usage.prompt_tokens || 0),
+      completion_tokens: (total.completion_tokens || 0) + (usage.completion_tokens || 0),
+      total_tokens: (total.total_tokens || 0) + (usage.total_tokens || 0)
+    };
+  }
+
+  createStreamSession(appPath) {
+    const session = {
+      ...this.createApplyResult(),
+      changesExplanation: '',
+      receivedChars: 0,
+      lastProgress: 0,
+      // Files are written in order, one at a time, while the stream keeps flowing
+      pendingWrites: Promise.resolve()
+    };
+    
+    session.parser = createStreamingParser({
+      onChanges: (text) => {
+        session.changesExplanation = text;
+        console.log(`\n📝 Changes explanation: ${text}`);
+      },
+      onBlock: (block) => {
+        session.pendingWrites = session.pendingWrites.then(async () => {
+          if (process.stdout.isTTY) process.stdout.write('\n');
+          await this.applyResponseBlock(appPath, block, session);
+        });
+      },
+      onWarning: (warning) => {
+        if (process.stdout.isTTY) process.stdout.write('\n');
+        this.reportParseWarning(warning, session);
+      }
+    });
+    
+    return session;
+  }
 
-    // Extract changes explanation
-    const changesMatch = changesRegex.exec(output);
-    if (changesMatch) {
-      changesExplanation = changesMatch[1].trim();
-      console.log(`📝 Changes explanation: ${changesExplanation}`);
+
+  async streamGeneration(stage, messages, session, stitch = (text) => text) {
+    console.log(`📡 Streaming response (Ctrl+C to stop and keep finished files)...`);
+    
+    const controller = new AbortController();
+    const onInterrupt = () => {
+      console.log(`\n🛑 Aborting generation, keeping finished files...`);
+      controller.abort();
+    };
+    process.once('SIGINT', onInterrupt);
+    
+    let streamed = '';
+    const onDelta = (text) => {
+      streamed += text;
+      session.receivedChars += text.length;
+      // Continuation rounds are stitched onto the earlier output before parsing
+      session.parser.sync(stitch(streamed));
+      
+      if (process.stdout.isTTY && session.receivedChars - session.lastProgress >= 500) {
+        session.lastProgress = session.receivedChars;
+        process.stdout.write(`\r⏳ Received ${session.receivedChars} chars, ${session.createdFiles.length} files written`);
+      }
+    };
+    
+    try {
+      return await this.chatCompletion(stage, messages, { onDelta, signal: controller.signal });
+    } catch (error) {
+      if (!controller.signal.aborted) throw error;
+      return { content: streamed, finishReason: 'aborted', usage: null, model: null, provider: null };
+    } finally {
+      process.removeListener('SIGINT', onInterrupt);
     }
+  }
 
-    while ((match = fileRegex.exec(output)) !== null) {
-      const originalPath = match[1];
-      let fileContent = match[2].trim();
+  async finishStreamSession(session) {
+    // Settles the last block; an unterminated one is reported as a parse warning
+    session.parser.finish();
+    await session.pendingWrites;
+    if (process.stdout.isTTY) process.stdout.write('\n');
+    
+    const { createdFiles, changesExplanation, failedEdits, invalidFiles, deletedFiles, renamedFiles, parseWarnings } = session;
+    return { createdFiles, changesExplanation, failedEdits, invalidFiles, deletedFiles, renamedFiles, parseWarnings };
+  }
+
+  async parseAndCreateFiles(appPath, output) {
+    const { changes, blocks, warnings } = parseResponse(output);
+    const result = this.createApplyResult();
+    
+    if (changes) {
+      console.log(`📝 Changes explanation: ${changes}`);
+    }
+    warnings.forEach(warning => this.reportParseWarning(warning, result));
+    
+    // Full files, search/replace edits, deletes and renames are applied in the order they appear
+    for (const block of blocks) {
+      await this.applyResponseBlock(appPath, block, result);
+    }
+    
+    return { ...result, changesExplanation: changes };
+  }
+
+  createApplyResult() {
+    return { createdFiles: [], failedEdits: [], invalidFiles: [], deletedFiles: [], renamedFiles: [], parseWarnings: [] };
+  }
+
+  reportParseWarning(warning, result) {
+    console.log(`⚠️  Parse warning: ${warning}`);
+    result.parseWarnings.push(warning);
+  }
+
+  async applyResponseBlock(appPath, block, result) {
+    switch (block.type) {
+      case 'delete': {
+        const deletedPath = await this.deleteGeneratedFile(appPath, block.path);
+        if (deletedPath) this.trackDeletion(result, deletedPath);
+        break;
+      }
       
-      // Security: Validate file path before creating
-      try {
-        // Check the relative path within the app directory
-        const relativePath = path.normalize(originalPath);
-        if (relativePath.includes('..') || relativePath.startsWith('/') || relativePath.includes('\\')) {
-          console.log(`⚠️  Skipping unsafe file path: ${originalPath}`);
-          continue;
+      case 'rename': {
+        const rename = await this.renameGeneratedFile(appPath, block.from, block.to);
+        if (rename) this.trackRename(result, rename);
+        break;
+      }
+      
+      case 'edit': {
+        const edit = await this.applyGeneratedEdit(appPath, block.path, block.body);
+        if (edit.path && !result.createdFiles.includes(edit.path)) {
+          result.createdFiles.push(edit.path);
         }
-        
-        const filePath = path.join(appPath, relativePath);
-        
-        // Ensure the resolved path is still within the app directory
-        if (!filePath.startsWith(appPath)) {
-          console.log(`⚠️  Skipping file outside app directory: ${originalPath}`);
-          continue;
+        if (edit.failed) {
+          result.failedEdits.push(edit.failed);
         }
-        
-        // Clean up files that might have markdown code blocks
-        if (originalPath.endsWith('.json')) {
-          fileContent = this.cleanJsonContent(fileContent);
-        } else if (originalPath.endsWith('.css')) {
-          fileContent = this.cleanCssContent(fileContent);
-        } else if (originalPath.endsWith('.js') || originalPath.endsWith('.jsx') || originalPath.endsWith('.ts') || originalPath.endsWith('.tsx')) {
-          fileContent = this.cleanJsContent(fileContent);
-        } else if (originalPath.endsWith('.html')) {
-          fileContent = this.cleanHtmlContent(fileContent);
+        if (edit.invalid) {
+          this.holdInvalidFile(result, edit.invalid);
         }
+        break;
+      }
+      
+      default: {
+        const encoding = block.encoding ? block.encoding.toLowerCase() : 'utf8';
+        let fileContent = block.content;
         
-        // Check if file already exists
-        const fileExists = await fs.access(filePath).then(() => true).catch(() => false);
-        const action = fileExists ? 'Updating' : 'Creating';
-        console.log(`📄 ${action} file: ${relativePath}`);
-        
-        // Create directory if it doesn't exist
-        const dir = path.dirname(filePath);
-        await fs.mkdir(dir, { recursive: true });
-        
-        await fs.writeFile(filePath, fileContent);
-        createdFiles.push(relativePath);
+        if (encoding === 'base64') {
+          try {
+            fileContent = decodeBase64Asset(block.path, block.content);
+          } catch (error) {
+            this.reportParseWarning(`${block.path} is not a usable binary asset (${error.message}), skipped`, result);
+            break;
+          }
+        } else if (!['utf8', 'utf-8'].includes(encoding)) {
+          this.reportParseWarning(`${block.path} uses unsupported encoding "${block.encoding}", skipped`, result);
+          break;
+        } else {
+          const syntaxError = validateSyntax(block.path, fileContent);
+          if (syntaxError) {
+            this.holdInvalidFile(result, { path: block.path, content: fileContent, error: formatSyntaxError(syntaxError) });
+            break;
+          }
+        }
         
-      } catch (error) {
-        console.log(`⚠️  Skipping invalid file: ${originalPath} - ${error.message}`);
+        // A valid copy later in the response supersedes a broken one
+        result.invalidFiles = result.invalidFiles.filter(file => file.path !== path.normalize(block.path));
+        const writtenPath = await this.writeGeneratedFile(appPath, block.path, fileContent);
+        if (writtenPath && !result.createdFiles.includes(writtenPath)) {
+          result.createdFiles.push(writtenPath);
+        }
       }
     }
+  }
+
+
+  // Files that fail the syntax check are not written; they go to the model
+  // for repair once the whole response is applied
+  holdInvalidFile(result, invalidFile) {
+    const filePath = path.normalize(invalidFile.path);
+    console.log(`❌ Syntax error in ${filePath}, ${invalidFile.error}`);
+    result.invalidFiles = result.invalidFiles.filter(file => file.path !== filePath);
+    result.invalidFiles.push({ ...invalidFile, path: filePath });
+  }
+
+  // A file created earlier in the same response and then deleted was never really added
+  trackDeletion(result, deletedPath) {
+    const createdIndex = result.createdFiles.indexOf(deletedPath);
+    if (createdIndex !== -1) {
+      result.createdFiles.splice(createdIndex, 1);
+    } else {
+      result.deletedFiles.push(deletedPath);
+    }
+  }
+
+  trackRename(result, rename) {
+    const createdIndex = result.createdFiles.indexOf(rename.from);
+    if (createdIndex !== -1) {
+      result.createdFiles[createdIndex] = rename.to;
+    } else {
+      result.renamedFiles.push(rename);
+    }
+  }
+
+  // Security: Validate a model-supplied path before anything touches it
+  resolveGeneratedPath(appPath, originalPath) {
+    // Check the relative path within the app directory
+    const relativePath = path.normalize(originalPath);
+    if (relativePath.includes('..') || relativePath.startsWith('/') || relativePath.includes('\\')) {
+      console.log(`⚠️  Skipping unsafe file path: ${originalPath}`);
+      return null;
+    }
+    
+    const filePath = path.join(appPath, relativePath);
+    
+    // Ensure the resolved path is still within the app directory
+    if (!filePath.startsWith(appPath)) {
+      console.log(`⚠️  Skipping file outside app directory: ${originalPath}`);
+      return null;
+    }
+    
+    return { relativePath, filePath };
+  }
+
+  // Copies the --assets files into public/ and returns them for the prompt
+  // and the version's file list. Unusable files are reported and skipped.
+  async copyLocalAssets(appPath) {
+    if (this.assetSources.length === 0) {
+      return [];
+    }
+    
+    const { files, skipped } = await importLocalAssets(this.assetSources, appPath);
+    for (const asset of files) {
+      console.log(`🖼️  Copying asset: ${asset.source} → ${asset.path}`);
+    }
+    for (const { source, reason } of skipped) {
+      console.log(`⚠️  Skipping asset ${source}: ${reason}`);
+    }
     
-    return { createdFiles, changesExplanation };
+    return files;
+  }
+
+  // Content arrives already unwrapped (fences, CDATA) by the response parser;
+  // decoded binary assets come in as a Buffer
+  async writeGeneratedFile(appPath, originalPath, fileContent) {
+    try {
+      const resolved = this.resolveGeneratedPath(appPath, originalPath);
+      if (!resolved) {
+        return null;
+      }
+      const { relativePath, filePath } = resolved;
+      
+      // Check if file already exists
+      const fileExists = await fs.access(filePath).then(() => true).catch(() => false);
+      const action = fileExists ? 'Updating' : 'Creating';
+      if (Buffer.isBuffer(fileContent)) {
+        console.log(`🖼️  ${action} binary file: ${relativePath} (${(fileContent.length / 1024).toFixed(1)} KB)`);
+      } else {
+        console.log(`📄 ${action} file: ${relativePath}`);
+      }
+      
+      // Create directory if it doesn't exist
+      const dir = path.dirname(filePath);
+      await fs.mkdir(dir, { recursive: true });
+      
+      await fs.writeFile(filePath, fileContent);
+      return relativePath;
+      
+    } catch (error) {
+      console.log(`⚠️  Skipping invalid file: ${originalPath} - ${error.message}`);
+      return null;
+    }
   }
 
-  cleanJsonContent(content) {
-    // Remove markdown code block syntax
-    content = content.replace(/^```json\s*\n/, '');
-    content = content.replace(/\n```$/, '');
-    content = content.replace(/^```\s*\n/, '');
-    content = content.replace(/\n```$/, '');
+  // Applies an <edit> block. Returns the edited path (when any hunk applied)
+  // and the hunks that did not match, for a retry round with the model.
+  async applyGeneratedEdit(appPath, originalPath, body) {
+    const resolved = this.resolveGeneratedPath(appPath, originalPath);
+    if (!resolved) {
+      return { path: null, failed: null };
+    }
+    const { relativePath, filePath } = resolved;
     
-    // Remove any leading/trailing whitespace
-    content = content.trim();
+    const hunks = parseEditHunks(body);
+    if (hunks.length === 0) {
+      console.log(`⚠️  Skipping <edit> for ${relativePath} without <search>/<replace> hunks`);
+      return { path: null, failed: null };
+    }
     
-    return content;
+    let current;
+    try {
+      current = await fs.readFile(filePath, 'utf8');
+    } catch {
+      console.log(`⚠️  Cannot edit missing file: ${relativePath}`);
+      return {
+        path: null,
+        failed: { path: relativePath, content: null, hunks: hunks.map(hunk => ({ ...hunk, reason: 'file does not exist' })) }
+      };
+    }
+    
+    const { content, applied, failed } = applyEditHunks(current, hunks);
+    for (const hunk of failed) {
+      console.log(`⚠️  Edit hunk ${hunk.index + 1}/${hunks.length} for ${relativePath} not applied: ${hunk.reason}`);
+    }
+    
+    const syntaxError = applied > 0 ? validateSyntax(relativePath, content) : null;
+    if (syntaxError) {
+      return {
+        path: null,
+        failed: null,
+        invalid: { path: relativePath, content, error: formatSyntaxError(syntaxError) }
+      };
+    }
+    
+    if (applied > 0) {
+      console.log(`✏️  Editing file: ${relativePath} (${applied}/${hunks.length} hunks applied)`);
+      await fs.writeFile(filePath, content);
+    }
+    
+    return {
+      path: applied > 0 ? relativePath : null,
+      failed: failed.length > 0 ? { path: relativePath, content, hunks: failed } : null
+    };
   }
 
-  cleanCssContent(content) {
-    // Remove markdown code block syntax from CSS files
-    content = content.replace(/^```css\s*\n/, '');
-    content = content.replace(/\n```$/, '');
-    content = content.replace(/^```\s*\n/, '');
-    content = content.replace(/\n```$/, '');
+  async deleteGeneratedFile(appPath, originalPath) {
+    const resolved = this.resolveGeneratedPath(appPath, originalPath);
+    if (!resolved) {
+      return null;
+    }
+    const { relativePath, filePath } = resolved;
     
-    // Remove any leading/trailing whitespace
-    content = content.trim();
+    try {
+      const stats = await fs.stat(filePath);
+      if (!stats.isFile()) {
+        console.log(`⚠️  Skipping delete of non-file path: ${relativePath}`);
+        return null;
+      }
+      
+      await fs.unlink(filePath);
+      console.log(`🗑️  Deleting file: ${relativePath}`);
+      return relativePath;
+    } catch (error) {
+      console.log(`⚠️  Skipping delete of ${relativePath}: ${error.code === 'ENOENT' ? 'file does not exist' : error.message}`);
+      return null;
+    }
+  }
+
+  async renameGeneratedFile(appPath, fromPath, toPath) {
+    const from = this.resolveGeneratedPath(appPath, fromPath);
+    const to = this.resolveGeneratedPath(appPath, toPath);
+    if (!from || !to) {
+      return null;
+    }
     
-    return content;
+    try {
+      const stats = await fs.stat(from.filePath);
+      if (!stats.isFile()) {
+        console.log(`⚠️  Skipping rename of non-file path: ${from.relativePath}`);
+        return null;
+      }
+      
+      // Never silently overwrite; the model should delete the target first
+      const targetExists = await fs.access(to.filePath).then(() => true).catch(() => false);
+      if (targetExists) {
+        console.log(`⚠️  Skipping rename ${from.relativePath} → ${to.relativePath}: target already exists`);
+        return null;
+      }
+      
+      await fs.mkdir(path.dirname(to.filePath), { recursive: true });
+      await fs.rename(from.filePath, to.filePath);
+      console.log(`🔀 Renaming file: ${from.relativePath} → ${to.relativePath}`);
+      return { from: from.relativePath, to: to.relativePath };
+    } catch (error) {
+      console.log(`⚠️  Skipping rename of ${from.relativePath}: ${error.code === 'ENOENT' ? 'file does not exist' : error.message}`);
+      return null;
+    }
   }
 
-  cleanJsContent(content) {
-    // Remove markdown code block syntax from JS/JSX files
-    content = content.replace(/^```javascript\s*\n/, '');
-    content = content.replace(/^```js\s*\n/, '');
-    content = content.replace(/^```jsx\s*\n/, '');
-    content = content.replace(/\n```$/, '');
-    content = content.replace(/^```\s*\n/, '');
-    content = content.replace(/\n```$/, '');
+  // Failed hunks go back to the model with the current file contents until
+  // they apply or the route's editRetries rounds are used up
+  async retryFailedEdits(appPath, failedEdits) {
+    const { editRetries } = resolveRoute('improvement', llmConfig, this.defaultProvider, this.routing);
+    const createdFiles = [];
+    const invalidFiles = [];
+    let usage = null;
+    let pending = failedEdits;
     
-    // Remove any leading/trailing whitespace
-    content = content.trim();
+    for (let round = 1; pending.length > 0 && round <= editRetries; round++) {
+      const hunkCount = pending.reduce((total, failure) => total + failure.hunks.length, 0);
+      console.log(`🔁 Asking the model to redo ${hunkCount} failed edit hunks in ${pending.map(failure => failure.path).join(', ')} (round ${round}/${editRetries})...`);
+      
+      const completion = await this.chatCompletion('improvement', [{ role: "user", content: editRetryPrompt(pending) }]);
+      usage = this.sumUsage(usage, completion.usage);
+      
+      const result = await this.parseAndCreateFiles(appPath, completion.content);
+      createdFiles.push(...result.createdFiles.filter(file => !createdFiles.includes(file)));
+      invalidFiles.push(...result.invalidFiles);
+      pending = result.failedEdits;
+    }
     
-    return content;
+    if (pending.length > 0) {
+      console.log(`⚠️  Edits still failing in: ${pending.map(failure => failure.path).join(', ')}`);
+    }
+    
+    return { createdFiles, usage, failedEdits: pending, invalidFiles };
   }
 
-  cleanHtmlContent(content) {
-    // Remove markdown code block syntax from HTML files
-    content = content.replace(/^```html\s*\n/, '');
-    content = content.replace(/\n```$/, '');
-    content = content.replace(/^```\s*\n/, '');
-    content = content.replace(/\n```$/, '');
+  // Files held back by the syntax check go to the model with the parser error
+  // for up to the repair route's repairRetries rounds, before any Docker build.
+  // Whatever still fails is written as-is so the build can report it.
+  async repairInvalidFiles(appPath, invalidFiles) {
+    const { repairRetries } = resolveRoute('repair', llmConfig, this.defaultProvider, this.routing);
+    const createdFiles = [];
+    let usage = null;
+    let pending = invalidFiles;
     
-    // Remove any leading/trailing whitespace
-    content = content.trim();
+    for (let round = 1; pending.length > 0 && round <= repairRetries; round++) {
+      console.log(`🩹 Asking the model to repair ${pending.map(file => file.path).join(', ')} (round ${round}/${repairRetries})...`);
+      
+      const completion = await this.chatCompletion('repair', [{ role: "user", content: syntaxRepairPrompt(pending) }]);
+      usage = this.sumUsage(usage, completion.usage);
+      
+      const result = await this.parseAndCreateFiles(appPath, completion.content);
+      createdFiles.push(...result.createdFiles.filter(file => !createdFiles.includes(file)));
+      
+      // Files the model did not send back stay broken
+      const resent = new Set([...result.createdFiles, ...result.invalidFiles.map(file => file.path)]);
+      pending = [...result.invalidFiles, ...pending.filter(file => !resent.has(file.path))];
+    }
     
-    return content;
+    for (const file of pending) {
+      console.log(`⚠️  Writing ${file.path} with syntax errors: ${file.error}`);
+      const writtenPath = await this.writeGeneratedFile(appPath, file.path, file.content);
+      if (writtenPath && !createdFiles.includes(writtenPath)) {
+        createdFiles.push(writtenPath);
+      }
+    }
+    
+    return { createdFiles, usage, invalidFiles: pending };
   }
 
   async checkPortAvailability(port) {
@@ -642,7 +1318,7 @@ button:focus-visible {
     console.log(`🔍 Detecting app folders in ${appPath}...`);
     
     const folders = [];
-    const excludeDirs = ['node_modules', '.git', '.backups', 'dist', 'build', '.vscode'];
+    const excludeDirs = ['node_modules', '.git', '.backups', '.staged', 'dist', 'build', '.vscode', '__pycache__', '.venv', 'venv'];
     
     try {
       const entries = await fs.readdir(appPath, { withFileTypes: true });
@@ -682,197 +1358,155 @@ button:focus-visible {
     return copyCommands;
   }
 
-  async applyPostGenerationFixes(appPath, analysis) {
-    try {
-      const packageJsonPath = path.join(appPath, 'package.json');
-      const packageJson = JSON.parse(await fs.readFile(packageJsonPath, 'utf8'));
-      let modified = false;
-
-      // Fix 1: Add "type": "module" for ES modules
-      if (!packageJson.type) {
-        packageJson.type = 'module';
-        modified = true;
-        console.log(`🔧 Fixed: Added "type": "module" to package.json`);
-      }
-
-      // Fix 2: Ensure React dependencies are present for React apps
-      if (analysis.framework === 'react' && (!packageJson.dependencies?.react || !packageJson.dependencies?.['react-dom'])) {
-        if (!packageJson.dependencies) packageJson.dependencies = {};
-        if (!packageJson.dependencies.react) packageJson.dependencies.react = '^18.2.0';
-        if (!packageJson.dependencies['react-dom']) packageJson.dependencies['react-dom'] = '^18.2.0';
-        modified = true;
-        console.log(`🔧 Fixed: Added React dependencies to package.json`);
-      }
-
-      // Fix 3: Ensure all fullstack dependencies are present
-      if (!packageJson.dependencies) packageJson.dependencies = {};
-      
-      const requiredDeps = {
-        'express': '^4.18.2',
-        'sqlite3': '^5.1.7',
-        'sqlite': '^5.1.1'
-      };
-      
-      for (const [dep, version] of Object.entries(requiredDeps)) {
-        if (!packageJson.dependencies[dep]) {
-          packageJson.dependencies[dep] = version;
-          modified = true;
-          console.log(`🔧 Fixed: Added ${dep} dependency to package.json`);
+  // Runs the fixer pipeline (fixers/rules.js plus fix-rules/). Returns the
+  // rules that fired, which are stored on the version for --fixes.
+  async applyPostGenerationFixes(appPath, analysis, stage = 'create') {
+    const results = await runFixRules(this.fixRules, appPath, {
+      analysis,
+      stage,
+      onResult: (result) => {
+        if (result.error) {
+          console.log(`⚠️  Fix rule ${result.rule} failed: ${result.error}`);
+          return;
         }
+        result.changes.forEach(change => console.log(`🔧 Fixed: ${change}`));
+        result.warnings.forEach(warning => console.log(`⚠️  ${warning}`));
       }
+    });
+    
+    return results;
+  }
 
-      // Fix 5: Ensure Tailwind CSS v4 PostCSS plugin is present
-      if (analysis.styling === 'tailwind' && packageJson.devDependencies?.tailwindcss && !packageJson.devDependencies?.['@tailwindcss/postcss']) {
-        if (!packageJson.devDependencies) packageJson.devDependencies = {};
-        packageJson.devDependencies['@tailwindcss/postcss'] = '^4.1.11';
-        modified = true;
-        console.log(`🔧 Fixed: Added @tailwindcss/postcss dependency to package.json`);
-      }
+  // Picks the deployment profile for what is on disk (deployment/select.js)
+  // and renders its Dockerfile into the app. Returns the selection. Apps
+  // seeded from a starter template use the template's Dockerfile if it has one.
+  async writeDockerfile(appPath, analysis = {}, useOptimized = true) {
+    let deployment = await selectDeployment(appPath, analysis);
+    const starter = await this.findStarterDockerfile(analysis);
+    const template = starter?.dockerfile || (useOptimized ? deployment.template : deployment.legacyTemplate);
+    console.log(`🔍 Deploying as ${deployment.appType}: ${deployment.reason}`);
+    if (starter) {
+      deployment = { ...deployment, template: `${starter.name} template` };
+      console.log(`🧩 Using the ${starter.name} template's Dockerfile`);
+    } else {
+      console.log(`${useOptimized ? '⚡' : '🐌'} Using ${template} (${deployment.description})`);
+    }
+    
+    // Detect app folders for dynamic Dockerfile generation
+    const appFolders = await this.detectAppFolders(appPath);
+    
+    const dockerfile = await this.renderTemplate(template, {
+      appFolders,
+      rootFiles: deployment.rootFiles,
+      serverFile: deployment.serverFile,
+      hasBuild: deployment.hasBuild,
+      sqlite: deployment.sqlite,
+      typescript: deployment.typescript,
+      typeCheck: deployment.typeCheck,
+      tsServer: deployment.tsServer,
+      pythonServer: deployment.pythonServer,
+      appModule: deployment.appModule,
+      appVariable: deployment.appVariable
+    });
+    
+    await fs.writeFile(path.join(appPath, 'Dockerfile'), dockerfile);
+    return deployment;
+  }
 
-      // Write back if modified
-      if (modified) {
-        await fs.writeFile(packageJsonPath, JSON.stringify(packageJson, null, 2));
-      }
+  // Reads a file from templates/ (or an absolute path, for starter
+  // templates) and renders it with nunjucks
+  async renderTemplate(template, variables) {
+    const currentDir = path.dirname(fileURLToPath(import.meta.url));
+    const templatePath = path.isAbsolute(template) ? template : path.join(currentDir, 'templates', template);
+    const templateContent = await fs.readFile(templatePath, 'utf8');
+    return nunjucks.renderString(templateContent, variables);
+  }
 
-      // Fix 5: Ensure index.html exists and has proper content
-      const indexPath = path.join(appPath, 'index.html');
+  // The starter template an app was seeded from, when it brings a Dockerfile.
+  // A template that was removed since falls back to the deployment profiles.
+  async findStarterDockerfile(analysis = {}) {
+    if (!analysis.starter) return null;
+    
+    let starter = this.starter?.ref === analysis.starter ? this.starter : null;
+    if (!starter) {
       try {
-        const indexContent = await fs.readFile(indexPath, 'utf8');
-        if (!indexContent.trim()) {
-          // Generate proper index.html for Vite apps
-          const htmlContent = `<!DOCTYPE html>
-<html lang="en">
-  <head>
-    <meta charset="UTF-8" />
-    <meta name="viewport" content="width=device-width, initial-scale=1.0" />
-    <title>${packageJson.name || 'App'}</title>
-  </head>
-  <body>
-    <div id="root"></div>
-    <script type="module" src="/src/main.jsx"></script>
-  </body>
-</html>`;
-          await fs.writeFile(indexPath, htmlContent);
-          console.log(`🔧 Fixed: Generated proper index.html content`);
-        }
+        starter = await loadStarter(analysis.starter);
       } catch (error) {
-        // index.html doesn't exist, create it
-        const htmlContent = `<!DOCTYPE html>
-<html lang="en">
-  <head>
-    <meta charset="UTF-8" />
-    <meta name="viewport" content="width=device-width, initial-scale=1.0" />
-    <title>${packageJson.name || 'App'}</title>
-  </head>
-  <body>
-    <div id="root"></div>
-    <script type="module" src="/src/main.jsx"></script>
-  </body>
-</html>`;
-        await fs.writeFile(indexPath, htmlContent);
-        console.log(`🔧 Fixed: Created missing index.html file`);
-      }
-
-      // Fix 6: Ensure PostCSS config exists for Tailwind CSS v4
-      if (analysis.styling === 'tailwind' && packageJson.devDependencies?.tailwindcss) {
-        const postcssConfigPath = path.join(appPath, 'postcss.config.js');
-        try {
-          await fs.access(postcssConfigPath);
-        } catch (error) {
-          // PostCSS config doesn't exist, create it
-          const postcssConfig = `import tailwindcss from "@tailwindcss/postcss";
-
-export default {
-  plugins: [tailwindcss]
-}`;
-          await fs.writeFile(postcssConfigPath, postcssConfig);
-          console.log(`🔧 Fixed: Created missing postcss.config.js for Tailwind CSS v4`);
-        }
-
-        // Fix 7: Ensure CSS file uses correct Tailwind v4 import syntax
-        const cssPath = path.join(appPath, 'src/index.css');
-        try {
-          const cssContent = await fs.readFile(cssPath, 'utf8');
-          if (cssContent.includes('@tailwind') && !cssContent.includes('@import "tailwindcss"')) {
-            // Replace old @tailwind directives with new @import syntax
-            const updatedCss = cssContent.replace(/@tailwind\s+[^;]+;/g, '@import "tailwindcss";');
-            await fs.writeFile(cssPath, updatedCss);
-            console.log(`🔧 Fixed: Updated CSS file to use Tailwind CSS v4 @import syntax`);
-          }
-        } catch (error) {
-          // CSS file doesn't exist or can't be read, that's okay
-        }
+        console.log(`⚠️  ${error.message}; using the default Dockerfile`);
+        return null;
       }
-
-      // Fix 8: Ensure Vue files have proper closing tags
-      if (analysis.framework === 'vue') {
-        const vueFiles = await this.findVueFiles(appPath);
-        for (const vueFile of vueFiles) {
-          await this.fixVueSyntax(vueFile);
-        }
-      }
-    } catch (error) {
-      console.log(`⚠️  Could not apply post-generation fixes: ${error.message}`);
     }
+    return starter.dockerfile ? starter : null;
   }
 
-  async findVueFiles(appPath) {
-    const vueFiles = [];
+  // Service-group counterpart of writeDockerfile: renders Dockerfile.web,
+  // Dockerfile.api and docker-compose.yml into the app (deployment/compose.js
+  // picks the services). Returns the selection.
+  async writeComposeFiles(appName, appPath, analysis = {}, port, useOptimized = true) {
+    const deployment = await selectDeployment(appPath, analysis);
+    const group = await selectServices(appPath, analysis, deployment);
+    console.log(`🔍 Deploying as services: ${group.reason}`);
     
-    async function searchDir(dir) {
-      try {
-        const entries = await fs.readdir(dir, { withFileTypes: true });
-        for (const entry of entries) {
-          const fullPath = path.join(dir, entry.name);
-          if (entry.isDirectory() && entry.name !== 'node_modules' && entry.name !== 'dist') {
-            await searchDir(fullPath);
-          } else if (entry.isFile() && entry.name.endsWith('.vue')) {
-            vueFiles.push(fullPath);
-          }
-        }
-      } catch (error) {
-        // Directory doesn't exist or can't be read
-      }
+    const appFolders = await this.detectAppFolders(appPath);
+    const variables = {
+      appFolders,
+      rootFiles: deployment.rootFiles,
+      serverFile: deployment.serverFile,
+      hasBuild: deployment.hasBuild,
+      sqlite: deployment.sqlite,
+      typescript: deployment.typescript,
+      typeCheck: deployment.typeCheck,
+      tsServer: deployment.tsServer
+    };
+    
+    for (const service of group.services.filter(service => service.template)) {
+      const template = useOptimized ? service.template : service.legacyTemplate || service.template;
+      const dockerfile = await this.renderTemplate(template, {
+        ...variables,
+        apiUpstream: service.name === 'web' && group.api ? 'api:3000' : null
+      });
+      await fs.writeFile(path.join(appPath, service.dockerfile), dockerfile);
+      console.log(`${useOptimized ? '⚡' : '🐌'} ${service.name}: ${service.dockerfile} from ${template}`);
     }
     
-    await searchDir(appPath);
-    return vueFiles;
+    await fs.writeFile(path.join(appPath, COMPOSE_FILE), await this.renderTemplate(COMPOSE_FILE, { ...group, project: appName, port }));
+    
+    return {
+      ...deployment,
+      appType: 'services',
+      reason: `${group.reason} (${deployment.reason})`,
+      template: COMPOSE_FILE,
+      healthCheck: group.healthCheck,
+      services: group.services.map(service => service.name),
+      published: group.published
+    };
   }
 
-  async fixVueSyntax(vueFilePath) {
-    try {
-      let content = await fs.readFile(vueFilePath, 'utf8');
-      let fixed = false;
-
-      // Check if <script> tag is opened but not closed
-      const scriptOpenMatch = content.match(/<script[^>]*>/);
-      const scriptCloseMatch = content.match(/<\/script>/);
-      
-      if (scriptOpenMatch && !scriptCloseMatch) {
-        // Add missing </script> tag
-        content += '\n</script>';
-        fixed = true;
-      }
-
-      // Check if <style> section is missing (common in Vue files)
-      if (!content.includes('<style') && content.includes('<script>')) {
-        content += '\n\n<style scoped>\n/* Add your styles here */\n</style>';
-        fixed = true;
-      }
-
-      if (fixed) {
-        await fs.writeFile(vueFilePath, content);
-        console.log(`🔧 Fixed: Vue syntax issues in ${path.basename(vueFilePath)}`);
-      }
-    } catch (error) {
-      console.log(`⚠️  Could not fix Vue syntax in ${vueFilePath}: ${error.message}`);
-    }
+  // Stored on the app record and returned by the build methods
+  deploymentRecord(deployment) {
+    if (!deployment) return null;
+    const { appType, runtime, reason, template, serverFile, healthCheck, services, published } = deployment;
+    return {
+      appType,
+      runtime,
+      reason,
+      template,
+      serverFile: appType === 'frontend' ? null : serverFile,
+      healthCheck,
+      ...(services && { services, published })
+    };
   }
 
-  async buildAndRunDocker(appName, appPath, port, maxRetries = 3) {
+  async buildAndRunDocker(appName, appPath, port, maxRetries = 3, analysis = {}) {
+    // Service groups are built and started by docker compose
+    if (usesServices(analysis)) {
+      return this.buildAndRunServices(appName, appPath, port, maxRetries, analysis);
+    }
+    
     let attempt = 0;
     let lastError = null;
     let dockerLogs = '';
+    let deployment = null;
     
     while (attempt < maxRetries) {
       attempt++;
@@ -884,38 +1518,11 @@ export default {
         
         const buildStartTime = Date.now();
         
-        // Create or regenerate Dockerfile
-        const dockerfilePath = path.join(appPath, 'Dockerfile');
-        
-        // All apps use uniform fullstack architecture
-        const appType = 'fullstack';
-        console.log(`🔍 Using standard fullstack architecture: React + Node.js + SQLite`);
-        
         // Smart build strategy: Use optimized Dockerfiles
-        const currentDir = path.dirname(fileURLToPath(import.meta.url));
         const useOptimized = process.env.DOCKER_OPTIMIZED !== 'false'; // Default to optimized
         
-        // Always use fullstack template
-        let templatePath;
-        if (useOptimized) {
-          console.log(`⚡ Using optimized fullstack Docker build`);
-          templatePath = path.join(currentDir, 'templates/Dockerfile.fullstack.optimized');
-        } else {
-          console.log(`🐌 Using legacy fullstack Docker build`);
-          templatePath = path.join(currentDir, 'templates/Dockerfile.fullstack');
-        }
-        
-        // Detect app folders for dynamic Dockerfile generation
-        const appFolders = await this.detectAppFolders(appPath);
-        
-        // Read template and render with nunjucks
-        const templateContent = await fs.readFile(templatePath, 'utf8');
-        const dockerfile = nunjucks.renderString(templateContent, {
-          appFolders: appFolders
-        });
-        
-        // Write rendered Dockerfile to app directory
-        await fs.writeFile(dockerfilePath, dockerfile);
+        // Create or regenerate the Dockerfile for this kind of app
+        deployment = await this.writeDockerfile(appPath, analysis, useOptimized);
 
         // Security: Use absolute paths and validate port number
         if (!Number.isInteger(port) || port < 1024 || port > 65535) {
@@ -976,7 +1583,8 @@ export default {
         return { 
           success: true, 
           port, 
-          appType,
+          appType: deployment.appType,
+          deployment: this.deploymentRecord(deployment),
           buildMetrics: {
             totalBuildTime,
             dockerBuildTime,
@@ -1007,10 +1615,11 @@ export default {
             } catch {}
             
             // Analyze error and generate fix
-            const fixResult = await this.analyzeDockerErrorAndFix(appName, appPath, dockerLogs, error.message);
+            const fixResult = await this.analyzeDockerErrorAndFix(appName, appPath, dockerLogs, error.message, deployment);
             
             if (fixResult.success) {
               console.log(`🔧 Applied automatic fix: ${fixResult.fixDescription}`);
+              this.recordTurn('outcome', `Build failed (${error.message.split('\n')[0]}); automatic fix applied: ${fixResult.fixDescription}`);
               console.log(`🔄 Retrying build with fixes...`);
               continue; // Retry with fixes
             } else {
@@ -1028,15 +1637,177 @@ export default {
         } catch {}
       }
     }
-    
-    // All retries failed
-    console.error(`❌ Docker build failed after ${maxRetries} attempts`);
-    return { 
-      success: false, 
-      error: lastError?.message || 'Unknown Docker error',
-      dockerLogs,
-      attempts: maxRetries
-    };
+    
+    // All retries failed
+    console.error(`❌ Docker build failed after ${maxRetries} attempts`);
+    return { 
+      success: false, 
+      error: lastError?.message || 'Unknown Docker error',
+      dockerLogs,
+      attempts: maxRetries,
+      deployment: this.deploymentRecord(deployment)
+    };
+  }
+
+  // buildAndRunDocker for service groups: compose builds every image, starts
+  // the group (Postgres first, once healthy) and the published service has
+  // to pass the health check. Failed attempts go through the same automatic
+  // fix loop as single containers.
+  async buildAndRunServices(appName, appPath, port, maxRetries = 3, analysis = {}) {
+    let attempt = 0;
+    let lastError = null;
+    let dockerLogs = '';
+    let deployment = null;
+    let services = null;
+    // Whether any attempt got as far as replacing the running group
+    let replaced = false;
+    
+    // Security: Sanitize app name for Docker commands
+    appName = this.sanitizeName(appName);
+    const compose = `docker compose -p "${appName}" -f "${path.join(appPath, COMPOSE_FILE)}"`;
+    
+    while (attempt < maxRetries) {
+      attempt++;
+      console.log(`🐳 Compose build attempt ${attempt}/${maxRetries} for ${appName}...`);
+      dockerLogs = '';
+      // Until `up` runs, the project's containers are still the running version
+      let started = false;
+      
+      try {
+        const buildStartTime = Date.now();
+        const useOptimized = process.env.DOCKER_OPTIMIZED !== 'false';
+        
+        if (!Number.isInteger(port) || port < 1024 || port > 65535) {
+          throw new Error(`Invalid port number: ${port}`);
+        }
+        
+        // Regenerated every time: an improvement can add a worker or a Postgres driver
+        deployment = await this.writeComposeFiles(appName, appPath, analysis, port, useOptimized);
+        
+        const dockerBuildStart = Date.now();
+        execSync(`DOCKER_BUILDKIT=1 ${compose} build`, { stdio: 'inherit', timeout: 600000 });
+        const dockerBuildTime = Date.now() - dockerBuildStart;
+        console.log(`⚡ Compose build completed in ${dockerBuildTime}ms`);
+        
+        console.log(`🚀 Starting ${deployment.services.join(', ')} on port ${port}...`);
+        started = true;
+        replaced = true;
+        execSync(`${compose} up -d --remove-orphans`, { stdio: 'inherit', timeout: 300000 });
+        
+        // Wait a moment and check every service
+        await new Promise(resolve => setTimeout(resolve, 2000));
+        services = this.serviceStatus(appName, deployment.services) || [];
+        
+        const failed = services.filter(service => service.state !== 'running');
+        if (failed.length > 0) {
+          dockerLogs = failed.map(service => `--- ${service.name} ---\n${service.logs}`).join('\n\n');
+          throw new Error(`Services failed to start: ${failed.map(service => `${service.name} (${service.status})`).join(', ')}`);
+        }
+        
+        const published = services.find(service => service.name === deployment.published);
+        if (!(await this.healthCheckContainer(published.container, port, undefined, deployment.healthCheck))) {
+          dockerLogs = services.map(service => `--- ${service.name} ---\n${service.logs}`).join('\n\n');
+          throw new Error(`Health check failed for the ${published.name} service`);
+        }
+        
+        const totalBuildTime = Date.now() - buildStartTime;
+        console.log(`📊 Total build time: ${totalBuildTime}ms (Docker: ${dockerBuildTime}ms)`);
+        
+        return {
+          success: true,
+          port,
+          appType: deployment.appType,
+          deployment: this.deploymentRecord(deployment),
+          services,
+          buildMetrics: {
+            totalBuildTime,
+            dockerBuildTime,
+            optimized: useOptimized
+          }
+        };
+      } catch (error) {
+        lastError = error;
+        console.error(`❌ Compose error (attempt ${attempt}/${maxRetries}): ${error.message}`);
+        
+        // Recorded before cleanup so the app keeps each service's state and logs
+        if (started) services = this.serviceStatus(appName, deployment?.services) || services;
+        
+        try {
+          if (attempt < maxRetries) {
+            console.log(`🔍 Analyzing Docker error for automatic fix...`);
+            
+            // Build failures are rebuilt with the output captured
+            if (!dockerLogs) {
+              try {
+                dockerLogs = execSync(`${compose} build --no-cache 2>&1`, { encoding: 'utf8', timeout: 600000 });
+              } catch (buildError) {
+                dockerLogs = buildError.stdout || buildError.stderr || error.message;
+              }
+            }
+            
+            const fixResult = await this.analyzeDockerErrorAndFix(appName, appPath, dockerLogs, error.message, deployment);
+            
+            if (fixResult.success) {
+              console.log(`🔧 Applied automatic fix: ${fixResult.fixDescription}`);
+              this.recordTurn('outcome', `Build failed (${error.message.split('\n')[0]}); automatic fix applied: ${fixResult.fixDescription}`);
+              console.log(`🔄 Retrying build with fixes...`);
+              continue;
+            } else {
+              console.log(`⚠️  Could not automatically fix Docker error: ${fixResult.error}`);
+            }
+          }
+        } catch (analysisError) {
+          console.log(`⚠️  Error analysis failed: ${analysisError.message}`);
+        }
+        
+        // Clean up failed containers; volumes are kept. A failed build never
+        // replaced the running group, so it is left up.
+        if (started) {
+          try {
+            execSync(`docker compose -p "${appName}" down --remove-orphans`, { stdio: 'ignore' });
+          } catch {}
+        }
+      }
+    }
+    
+    console.error(`❌ Compose build failed after ${maxRetries} attempts`);
+    return {
+      success: false,
+      error: lastError?.message || 'Unknown Docker error',
+      dockerLogs,
+      attempts: maxRetries,
+      deployment: this.deploymentRecord(deployment),
+      services,
+      replaced
+    };
+  }
+
+  // State of each service in the app's compose project plus the tail of its
+  // logs, as stored on the app record. Planned services that were never
+  // created are listed as "missing". null when docker compose can't be asked.
+  serviceStatus(appName, planned = []) {
+    let found;
+    try {
+      found = parseComposePs(execSync(`docker compose -p "${appName}" ps -a --format json`, { encoding: 'utf8', stdio: ['ignore', 'pipe', 'ignore'] }));
+    } catch {
+      return null;
+    }
+    
+    const checkedAt = new Date().toISOString();
+    const names = [...new Set([...(planned || []), ...found.map(service => service.name)])];
+    return names.map(name => {
+      const service = found.find(entry => entry.name === name) || { name, container: null, state: 'missing', status: 'not created', health: null };
+      return { ...service, logs: service.container ? this.serviceLogs(appName, name) : '', checkedAt };
+    });
+  }
+
+  serviceLogs(appName, service, lines = SERVICE_LOG_LINES) {
+    try {
+      const logs = execSync(`docker compose -p "${appName}" logs --no-color --no-log-prefix --tail ${lines} "${service}" 2>&1`, { encoding: 'utf8' });
+      return this.sanitizeLogs(logs.trim());
+    } catch {
+      return '';
+    }
   }
 
   // Security: Validate file paths to prevent directory traversal
@@ -1063,26 +1834,34 @@ export default {
 
   // Security: File allowlist for LLM modifications
   isAllowedFile(filePath) {
+    // Every asset type assets/binary.js can verify
+    const assets = 'png|jpe?g|gif|webp|ico|svg|woff2?|ttf|otf|pdf|mp3|mp4|webm';
     const allowedPatterns = [
       /^package\.json$/,
-      /^src\/.*\.(js|ts|jsx|tsx|css|html|json)$/,
-      /^public\/.*\.(js|css|html|json|png|jpg|svg|ico)$/,
-      /^components\/.*\.(js|ts|jsx|tsx|css)$/,
-      /^pages\/.*\.(js|ts|jsx|tsx|css)$/,
+      /^tsconfig(\.\w+)?\.json$/,
+      /^src\/.*\.(js|ts|jsx|tsx|vue|svelte|css|html|json)$/,
+      new RegExp(`^public\\/.*\\.(js|css|html|json|${assets})$`, 'i'),
+      /^components\/.*\.(js|ts|jsx|tsx|vue|svelte|css)$/,
+      /^pages\/.*\.(js|ts|jsx|tsx|vue|svelte|css)$/,
       /^styles\/.*\.(css|scss|less)$/,
       /^.*\.env\.example$/,
       /^README\.md$/,
       /^index\.(js|ts|html)$/,
       /^server\.(js|ts)$/,
       /^app\.(js|ts|jsx|tsx)$/,
-      /^main\.(js|ts|jsx|tsx)$/
+      /^main\.(js|ts|jsx|tsx)$/,
+      /^(worker|db)\.(js|ts)$/,
+      /^requirements\.txt$/,
+      /^[\w-]+(\/[\w-]+)*\.py$/,
+      /^templates\/.*\.html$/,
+      new RegExp(`^static\\/.*\\.(js|css|${assets})$`, 'i')
     ];
     
     return allowedPatterns.some(pattern => pattern.test(filePath));
   }
 
   // Security: Sanitize LLM response content
-  sanitizeLLMContent(content) {
+  sanitizeLLMContent(content, filePath = '') {
     if (typeof content !== 'string') {
       throw new Error('Content must be a string');
     }
@@ -1109,7 +1888,11 @@ export default {
       /<\/current_file>/
     ];
     
+    // Components and pages are made of closing tags
+    const isMarkup = /\.(jsx|tsx|vue|svelte|html)$/.test(filePath);
+    
     for (const pattern of dangerousPatterns) {
+      if (isMarkup && pattern.source === '<\\/\\w+>') continue;
       if (pattern.test(content)) {
         throw new Error(`Dangerous pattern detected in LLM response: ${pattern.source}`);
       }
@@ -1141,7 +1924,7 @@ export default {
       .replace(/\/[a-z0-9]{32,}/g, '/[HASH_REDACTED]'); // Redact long hash-like strings in paths
   }
 
-  async analyzeDockerErrorAndFix(appName, appPath, dockerLogs, errorMessage) {
+  async analyzeDockerErrorAndFix(appName, appPath, dockerLogs, errorMessage, deployment = null) {
     try {
       console.log(`🤖 Using LLM to analyze Docker error and generate fixes...`);
       
@@ -1150,7 +1933,7 @@ export default {
       const sanitizedErrorMessage = this.sanitizeLogs(errorMessage);
       
       // Create a comprehensive error analysis prompt
-      const errorAnalysisPrompt = `You are a Docker and Node.js expert. Analyze the following Docker build/run error and provide specific fixes.
+      let errorAnalysisPrompt = `You are a Docker and Node.js expert. Analyze the following Docker build/run error and provide specific fixes.
 
 ERROR MESSAGE: ${sanitizedErrorMessage}
 
@@ -1192,29 +1975,32 @@ IMPORTANT:
 - If the error cannot be automatically fixed, set success to false
 - Provide specific, actionable fixes
 - Focus on the most common Docker/Node.js issues`;
+      
+      // Compiler errors come with the files they point at, so the fix can be exact
+      const typeErrors = parseTypeErrors(dockerLogs);
+      if (typeErrors.length > 0) {
+        console.log(`🧾 ${typeErrors.length} type errors in ${[...new Set(typeErrors.map(error => error.file))].join(', ')}`);
+        errorAnalysisPrompt += await this.typeErrorsContext(appPath, typeErrors);
+      }
+      if (deployment?.runtime === 'python') {
+        errorAnalysisPrompt += `
 
-      const response = await fetch('https://api.cerebras.ai/v1/chat/completions', {
-        method: 'POST',
-        headers: {
-          'Content-Type': 'application/json',
-          'Authorization': `Bearer ${this.apiKey}`
-        },
-        body: JSON.stringify({
-          model: "qwen-3-coder-480b",
-          stream: false,
-          max_tokens: 2000,
-          temperature: 0.1,
-          top_p: 0.9,
-          messages: [{ role: "user", content: errorAnalysisPrompt }]
-        })
-      });
+PYTHON APP:
+- This is a Python app: dependencies are declared in requirements.txt (pinned with ==), not package.json
+- The image installs them with pip and runs: ${deployment.pythonServer} ${deployment.appModule}:${deployment.appVariable} on port 3000`;
+      }
+      if (deployment?.services) {
+        errorAnalysisPrompt += `
 
-      if (!response.ok) {
-        throw new Error(`API request failed: ${response.status}`);
+SERVICE GROUP:
+- The app runs as docker-compose services: ${deployment.services.join(', ')}
+- docker-compose.yml, Dockerfile.web and Dockerfile.api are regenerated on every build - fix the app's own files instead
+- The API and worker reach Postgres through process.env.DATABASE_URL; the web service proxies /api/ to the API`;
       }
 
-      const data = await response.json();
-      const analysis = data.choices[0].message.content;
+      const completion = await this.chatCompletion('errorFix', [{ role: "user", content: errorAnalysisPrompt }]);
+
+      const analysis = completion.content;
       
       // Parse the JSON response
       let fixResult;
@@ -1245,7 +2031,13 @@ IMPORTANT:
               case 'create':
               case 'modify':
                 // Security: Sanitize content before writing
-                const sanitizedContent = this.sanitizeLLMContent(change.content);
+                const sanitizedContent = this.sanitizeLLMContent(change.content, change.file);
+                
+                // A fix that doesn't parse would only trade one build error for another
+                const syntaxError = validateSyntax(change.file, sanitizedContent);
+                if (syntaxError) {
+                  throw new Error(`suggested content has a syntax error (${formatSyntaxError(syntaxError)})`);
+                }
                 
                 // Ensure directory exists
                 await fs.mkdir(path.dirname(filePath), { recursive: true });
@@ -1279,6 +2071,18 @@ IMPORTANT:
     }
   }
 
+  // The type errors plus the current content of the files they are in
+  async typeErrorsContext(appPath, typeErrors) {
+    const fileContents = {};
+    for (const file of new Set(typeErrors.map(error => error.file))) {
+      try {
+        this.validateFilePath(file, appPath);
+        fileContents[file] = await fs.readFile(path.join(appPath, file), 'utf8');
+      } catch {}
+    }
+    return typeErrorsPrompt(typeErrors, fileContents);
+  }
+
   createOptimizedBuildCommand(appName, appPath, useOptimized) {
     // Security: Sanitize inputs for shell commands
     const sanitizedAppName = this.sanitizeName(appName);
@@ -1301,6 +2105,10 @@ IMPORTANT:
   }
 
   async benchmarkBuilds(prompt) {
+    if (!this.checkBudget()) {
+      return;
+    }
+    
     console.log(`🏁 Benchmarking optimized vs legacy builds for: "${prompt}"`);
     console.log('━'.repeat(80));
     
@@ -1341,24 +2149,42 @@ IMPORTANT:
       
       // Create app directory
       await fs.mkdir(appPath, { recursive: true });
+      this.useAppRouting();
+      this.useUsageContext(appName, 'v1.0.0');
       
       // Analyze and generate app (same as normal flow but with custom name)
-      const analysis = await this.analyzeAppStructure(prompt);
+      const analysis = this.applyStarter(await this.analyzeAppStructure(prompt));
+      await this.useStack(analysis);
+      
+      // --template seeds each benchmark app the way createApp does
+      let generationRequest = prompt;
+      if (this.starter) {
+        const starterFiles = await seedStarter(this.starter, appPath);
+        console.log(`🧩 Seeded ${starterFiles.length} files from the ${this.starter.name} template`);
+        generationRequest += starterTemplatePrompt(this.starter, await this.readCurrentFileContents(appPath, starterFiles));
+      }
       
       let result;
-      if (analysis.buildTool === 'vite') {
-        const scaffoldSuccess = await this.scaffoldWithVite(appName, appPath);
+      if (this.starter && analysis.buildTool === 'vite') {
+        result = await this.enhanceWithLLM(generationRequest, appName, appPath, analysis, false);
+      } else if (analysis.buildTool === 'vite') {
+        const scaffoldSuccess = await this.scaffoldWithVite(appName, appPath, frameworkProfile(analysis));
         if (scaffoldSuccess) {
-          result = await this.enhanceWithLLM(prompt, appName, appPath, analysis, false);
+          result = await this.enhanceWithLLM(generationRequest, appName, appPath, analysis, false);
         } else {
-          result = await this.chatWithCerebras(prompt, appName, appPath);
+          result = await this.chatWithCerebras(generationRequest, appName, appPath);
         }
       } else {
-        result = await this.chatWithCerebras(prompt, appName, appPath);
+        result = await this.chatWithCerebras(generationRequest, appName, appPath);
       }
       
       // Parse and create files
-      const { createdFiles, changesExplanation } = await this.parseAndCreateFiles(appPath, result.output);
+      const { createdFiles, changesExplanation, invalidFiles } = result.parsed || await this.parseAndCreateFiles(appPath, result.output);
+      if (invalidFiles.length > 0) {
+        const repair = await this.repairInvalidFiles(appPath, invalidFiles);
+        createdFiles.push(...repair.createdFiles.filter(file => !createdFiles.includes(file)));
+        result.usage = this.sumUsage(result.usage, repair.usage);
+      }
       
       // Display changes and files information (for benchmark mode, keep it minimal)
       if (changesExplanation) {
@@ -1373,7 +2199,7 @@ IMPORTANT:
       db.data.nextPort = port + 1;
       
       // Build and run Docker container (this is what we're benchmarking)
-      const dockerResult = await this.buildAndRunDocker(appName, appPath, port);
+      const dockerResult = await this.buildAndRunDocker(appName, appPath, port, 3, analysis);
       
       const totalTime = Date.now() - startTime;
       
@@ -1383,7 +2209,8 @@ IMPORTANT:
         dockerBuildTime: dockerResult.buildMetrics?.dockerBuildTime || 0,
         success: dockerResult.success,
         optimized: dockerResult.buildMetrics?.optimized || false,
-        appType: 'fullstack'
+        appType: dockerResult.deployment?.appType || analysis.appType,
+        usage: result.usage
       };
       
     } catch (error) {
@@ -1418,7 +2245,8 @@ IMPORTANT:
     for (const file of files) {
       try {
         const filePath = path.join(appPath, file);
-        const content = await fs.readFile(filePath, 'utf8');
+        // Raw bytes, so binary assets hash correctly too
+        const content = await fs.readFile(filePath);
         hashes[file] = crypto.createHash('sha256').update(content).digest('hex');
       } catch (error) {
         console.log(`⚠️  Could not hash ${file}: ${error.message}`);
@@ -1501,7 +2329,9 @@ IMPORTANT:
     }
   }
 
-  async restoreFromBackup(appName, version) {
+  // staleFiles: files written after the backup was taken (e.g. rename targets)
+  // that are not part of the restored version and must not linger in the image
+  async restoreFromBackup(appName, version, staleFiles = []) {
     const app = this.findApp(appName);
     if (!app) throw new Error(`App ${appName} not found`);
     
@@ -1531,6 +2361,13 @@ IMPORTANT:
         }
       }
       
+      for (const file of staleFiles.filter(file => !backupVersion.files.includes(file))) {
+        const resolved = this.resolveGeneratedPath(appPath, file);
+        if (resolved) {
+          await fs.rm(resolved.filePath, { force: true });
+        }
+      }
+      
       console.log(`🔄 Restored from backup: ${backupPath}`);
       return true;
     } catch (error) {
@@ -1539,6 +2376,90 @@ IMPORTANT:
     }
   }
 
+  // --fixes without --app: the rule pipeline in the order it runs
+  listFixRules() {
+    console.log(`\n🔧 Fix rules (custom rules from ${fixRuleDirs().join(' and ')}):`);
+    console.log('─'.repeat(80));
+    
+    for (const rule of this.fixRules) {
+      const disabled = rule.enabled === false ? `, disabled by ${rule.disabledBy || rule.source}` : '';
+      const conditions = Object.entries(rule.when || {}).map(([key, value]) =>
+        key === 'files' ? `${[].concat(value).join(', ')} exist` : `${key} is ${[].concat(value).join(' or ')}`);
+      
+      console.log(`${disabled ? '⚪' : '🟢'} ${rule.id} (order ${rule.order ?? '-'}, ${ruleStages(rule).join('+')}${disabled})`);
+      console.log(`   ${rule.description || 'No description'}`);
+      if (conditions.length > 0) {
+        console.log(`   When: ${conditions.join(', ')}`);
+      }
+      if (rule.source !== 'built-in') {
+        console.log(`   Source: ${rule.source}`);
+      }
+    }
+    console.log();
+  }
+
+  // --templates: built-in starter templates plus the project's and the user's
+  async listStarterTemplates() {
+    let starters;
+    try {
+      starters = await listStarters();
+    } catch (error) {
+      console.error(`❌ ${error.message}`);
+      return;
+    }
+    
+    console.log(`\n🧩 Starter templates (your own go in ${starterTemplateDirs().join(' or ')}):`);
+    console.log('─'.repeat(80));
+    
+    for (const starter of starters) {
+      const { appType, framework, buildTool, database } = starter.analysis;
+      const stack = [appType, framework, buildTool, database].filter(value => value && value !== 'none').join(', ');
+      
+      console.log(`📦 ${starter.name}${stack ? ` (${stack})` : ''}`);
+      console.log(`   ${starter.description || 'No description'}`);
+      console.log(`   ${starter.files.length} files${starter.dockerfile ? ', own Dockerfile' : ''}${starter.prompt ? ', prompt notes' : ''}`);
+      if (starter.source !== 'built-in') {
+        console.log(`   Source: ${starter.dir}`);
+      }
+    }
+    console.log();
+  }
+
+  // --fixes --app: which rules fired for each version and what they changed
+  showFixes(appName) {
+    const app = this.findApp(appName);
+    if (!app) {
+      console.log(`❌ App ${appName} not found.`);
+      return;
+    }
+    
+    console.log(`\n🔧 Fix rules applied to ${appName}:`);
+    console.log('─'.repeat(80));
+    
+    for (const version of app.versions) {
+      if (!version.fixes) {
+        console.log(`${version.version}: not recorded (created before the fixer pipeline)`);
+        continue;
+      }
+      if (version.fixes.length === 0) {
+        console.log(`${version.version}: no rules fired`);
+        continue;
+      }
+      
+      console.log(`${version.version}:`);
+      for (const fix of version.fixes) {
+        if (fix.error) {
+          console.log(`   ❌ ${fix.rule}: ${fix.error}`);
+          continue;
+        }
+        console.log(`   🔧 ${fix.rule}${fix.issue ? ` (${fix.issue})` : ''}`);
+        fix.changes.forEach(change => console.log(`      ${change}`));
+        (fix.warnings || []).forEach(warning => console.log(`      ⚠️  ${warning}`));
+      }
+    }
+    console.log();
+  }
+
   async listVersions(appName) {
     const app = this.findApp(appName);
     if (!app) {
@@ -1562,8 +2483,28 @@ IMPORTANT:
       }
       
       console.log(`   📊 ${version.changedFiles.length} changed, ${version.addedFiles.length} added, ${version.removedFiles.length} removed`);
+      
+      if (version.renamedFiles?.length > 0) {
+        console.log(`   🔀 Renamed: ${version.renamedFiles.map(rename => `${rename.from} → ${rename.to}`).join(', ')}`);
+      }
       console.log(`   🕐 ${new Date(version.createdAt).toLocaleString()}`);
       
+      if (version.performance?.model) {
+        console.log(`   🤖 Model: ${version.performance.provider}/${version.performance.model}`);
+      }
+      
+      if (version.promptPack) {
+        console.log(`   📝 Prompt pack: ${version.promptPack.name} (${version.promptPack.hash})`);
+      }
+      
+      if (version.fixes?.length > 0) {
+        console.log(`   🔧 Fix rules: ${version.fixes.map(fix => fix.rule).join(', ')} (details with --fixes)`);
+      }
+      
+      if (version.rejectedHunks?.length > 0) {
+        console.log(`   🙅 Declined in review: ${version.rejectedHunks.length} hunks in ${[...new Set(version.rejectedHunks.map(hunk => hunk.path))].join(', ')}`);
+      }
+      
       if (version.performance?.buildMetrics) {
         const buildTime = version.performance.buildMetrics.dockerBuildTime;
         const optimized = version.performance.buildMetrics.optimized ? '⚡' : '🐌';
@@ -1628,7 +2569,9 @@ IMPORTANT:
     console.log(`\n🕐 Created: ${new Date(toVer.createdAt).toLocaleString()}`);
   }
 
-  async improveApp(appName, improvementPrompt) {
+  // dryRun stages the result instead of deploying it, review stages it and
+  // asks hunk by hunk what to deploy; staged applies a staged result
+  async improveApp(appName, improvementPrompt, { dryRun = false, review = false, staged = null } = {}) {
     console.log(`🔧 Improving ${appName}: "${improvementPrompt}"`);
     
     const app = this.findApp(appName);
@@ -1645,6 +2588,38 @@ IMPORTANT:
     
     const appPath = path.join('./tmp', appName);
     
+    // A staged result was already paid for
+    if (!staged && !this.checkBudget()) {
+      return;
+    }
+    
+    // Route this improvement with the app's stored routing plus any --route overrides
+    this.useAppRouting(app);
+    this.useUsageContext(appName);
+    if (Object.keys(this.routeOverrides).length > 0) {
+      app.routing = this.routing;
+    }
+    
+    // Earlier requests, change summaries and outcomes, replayed as chat turns
+    this.useConversation(app);
+    const { historyTokens } = resolveRoute('improvement', llmConfig, this.defaultProvider, this.routing);
+    const history = buildConversation(this.conversation, historyTokens);
+    
+    if (dryRun || review) {
+      const stagedId = await this.stageImprovement(appName, appPath, currentVersion, improvementPrompt, history, { preview: !review });
+      if (review && stagedId) {
+        return this.applyStaged(stagedId, appName, { review });
+      }
+      return;
+    }
+    
+    let changesSummary = null;
+    // Everything this run wrote, so a failed improvement can remove new files again
+    const touchedFiles = [];
+    // Recorded up front, so outcomes of the build's auto-fix loop come after
+    // the request and the changes they belong to
+    const turns = [this.recordTurn('request', improvementPrompt)];
+    
     try {
       // 1. Create backup of current version
       console.log(`💾 Creating backup of ${currentVersion.version}...`);
@@ -1653,24 +2628,12 @@ IMPORTANT:
         throw new Error('Backup creation failed');
       }
       
-      // 2. Read current file contents for intelligent editing
-      console.log(`📖 Reading current file contents...`);
-      const currentFileContents = await this.readCurrentFileContents(appPath, currentVersion.files);
-      
-      // 3. Generate improvement using LLM with full context
-      console.log(`🤖 Generating improvements with file context...`);
-      const improvementContext = this.createImprovementContext(
-        currentVersion.prompt,
-        improvementPrompt,
-        currentVersion.files,
-        currentFileContents
-      );
-      
-      const result = await this.chatWithCerebras(improvementContext, appName, appPath);
-      
-      // 3. Parse and apply file changes
-      console.log(`📝 Applying file changes...`);
-      const { createdFiles, changesExplanation } = await this.parseAndCreateFiles(appPath, result.output);
+      // 2-3. Generate and apply the changes, or copy them from a staged --dry-run
+      const { result, createdFiles, changesExplanation, deletedFiles, renamedFiles, parseWarnings, fixes, rejectedHunks = [] } = staged
+        ? await this.applyStagedChanges(appPath, staged, touchedFiles)
+        : await this.generateImprovement(appName, appPath, currentVersion, improvementPrompt, history, touchedFiles);
+      changesSummary = this.summarizeChanges(changesExplanation, createdFiles, { deletedFiles, renamedFiles });
+      turns.push(this.recordTurn('changes', changesSummary));
       
       // Display changes and files information
       if (changesExplanation) {
@@ -1682,10 +2645,21 @@ IMPORTANT:
       createdFiles.forEach(file => {
         console.log(`   📄 ${file}`);
       });
+      deletedFiles.forEach(file => {
+        console.log(`   🗑️  ${file}`);
+      });
+      renamedFiles.forEach(rename => {
+        console.log(`   🔀 ${rename.from} → ${rename.to}`);
+      });
       console.log(`   Total: ${createdFiles.length} files\n`);
       
       // 4. Generate new file hashes and detect changes
-      const allFiles = [...new Set([...currentVersion.files, ...createdFiles])];
+      const removedByModel = new Set([...deletedFiles, ...renamedFiles.map(rename => rename.from)]);
+      const allFiles = [...new Set([
+        ...currentVersion.files.filter(file => !removedByModel.has(file)),
+        ...renamedFiles.map(rename => rename.to),
+        ...createdFiles
+      ])];
       const newFileHashes = await this.generateFileHashes(appPath, allFiles);
       const { changedFiles, addedFiles, removedFiles } = this.detectChangedFiles(
         currentVersion.fileHashes, 
@@ -1694,6 +2668,7 @@ IMPORTANT:
       
       if (changedFiles.length === 0 && addedFiles.length === 0 && removedFiles.length === 0) {
         console.log(`⚠️  No changes detected. The improvement may not have been applied.`);
+        await this.recordImprovementTurns(turns, 'No file changes were detected, so nothing was deployed.');
         return;
       }
       
@@ -1710,104 +2685,584 @@ IMPORTANT:
       );
       
       console.log(`🏷️  New version: ${newVersion}`);
+      await this.assignUsageVersion(newVersion);
       
-      // 6. Build new Docker container with versioned name
-      const containerName = `${appName}-${newVersion.replace(/\./g, '-')}`;
-      console.log(`🐳 Building container: ${containerName}`);
+      // 6. Build new Docker container with versioned name. Service groups
+      // are rebuilt in place by docker compose instead of going blue-green.
+      const analysis = currentVersion.analysis || {};
+      const serviceGroup = usesServices(analysis);
+      const containerName = serviceGroup ? appName : `${appName}-${newVersion.replace(/\./g, '-')}`;
+      console.log(`🐳 Building ${serviceGroup ? 'services' : 'container'}: ${containerName}`);
       
-      const dockerResult = await this.buildVersionedContainer(appName, newVersion, containerName, appPath);
+      const dockerResult = serviceGroup
+        ? await this.buildAndRunDocker(appName, appPath, app.port, 3, analysis)
+        : await this.buildVersionedContainer(appName, newVersion, containerName, appPath, analysis);
       
       if (!dockerResult.success) {
         console.log(`❌ Docker build failed. Rolling back...`);
-        await this.restoreFromBackup(appName, currentVersion.version);
+        await this.restoreFromBackup(appName, currentVersion.version, touchedFiles);
+        if (serviceGroup && dockerResult.replaced) {
+          // The group was already replaced, so the previous files are started again
+          await this.buildAndRunDocker(appName, appPath, app.port, 1, analysis);
+        }
         throw new Error(`Docker build failed: ${dockerResult.error}`);
       }
-      
-      // 7. Deploy with blue-green strategy
-      const deployResult = await this.deployWithBlueGreen(appName, newVersion, containerName, app.port);
-      
-      if (!deployResult.success) {
-        console.log(`❌ Deployment failed. Rolling back...`);
-        await this.restoreFromBackup(appName, currentVersion.version);
-        throw new Error(`Deployment failed: ${deployResult.error}`);
+      
+      // 7. Deploy with blue-green strategy
+      if (!serviceGroup) {
+        const deployResult = await this.deployWithBlueGreen(appName, newVersion, containerName, app.port, dockerResult.deployment?.healthCheck);
+        
+        if (!deployResult.success) {
+          console.log(`❌ Deployment failed. Rolling back...`);
+          await this.restoreFromBackup(appName, currentVersion.version, touchedFiles);
+          throw new Error(`Deployment failed: ${deployResult.error}`);
+        }
+      }
+      
+      // 8. Update database with new version
+      const newVersionData = {
+        version: newVersion,
+        prompt: currentVersion.prompt,
+        improvements: [...currentVersion.improvements, improvementPrompt],
+        changesExplanation: changesExplanation,
+        containerName,
+        files: allFiles,
+        fileHashes: newFileHashes,
+        performance: {
+          latency: result.latency,
+          tokens: result.usage,
+          continuations: result.continuations,
+          model: result.model,
+          provider: result.provider,
+          buildMetrics: dockerResult.buildMetrics
+        },
+        promptPack: this.promptPackInfo(),
+        analysis: currentVersion.analysis || null,
+        fixes,
+        createdAt: new Date().toISOString(),
+        isActive: true,
+        dockerStatus: 'running',
+        dockerError: null,
+        parentVersion: currentVersion.version,
+        changedFiles,
+        addedFiles,
+        removedFiles,
+        deletedFiles,
+        renamedFiles,
+        parseWarnings,
+        rejectedHunks,
+        backupPath
+      };
+      
+      // Mark old version as inactive
+      currentVersion.isActive = false;
+      
+      // Add new version
+      app.versions.push(newVersionData);
+      app.currentVersion = newVersion;
+      app.deployment = dockerResult.deployment;
+      if (dockerResult.services) {
+        app.services = dockerResult.services;
+      }
+      
+      await this.recordImprovementTurns(turns, 'Build and deployment succeeded.', newVersion);
+      
+      console.log(`✅ Successfully improved ${appName} to ${newVersion}!`);
+      console.log(`🌐 Running at http://localhost:${app.port}`);
+      console.log(`📊 Build time: ${(dockerResult.buildMetrics?.dockerBuildTime || 0) / 1000}s`);
+      return newVersion;
+      
+    } catch (error) {
+      console.error(`❌ Improvement failed: ${error.message}`);
+      
+      // A user-aborted stream keeps the files that finished; the backup stays available
+      if (error.aborted) {
+        console.log(`📁 Kept ${error.createdFiles.length} finished files in: ${appPath}`);
+        console.log(`💾 Previous ${currentVersion.version} files are backed up in: ${path.join(appPath, '.backups', currentVersion.version)}`);
+        turns.push(this.recordTurn('changes', this.summarizeChanges('', error.createdFiles)));
+        await this.recordImprovementTurns(turns, 'Generation was stopped by the user; only the files listed were written.');
+        return;
+      }
+      
+      // Attempt automatic rollback
+      console.log(`🔄 Attempting automatic rollback...`);
+      try {
+        await this.restoreFromBackup(appName, currentVersion.version, touchedFiles);
+        console.log(`✅ Rollback successful`);
+      } catch (rollbackError) {
+        console.error(`❌ Rollback also failed: ${rollbackError.message}`);
+      }
+      
+      await this.recordImprovementTurns(turns, `Improvement failed and the files were rolled back to ${currentVersion.version}: ${error.message}`);
+    }
+  }
+
+  // Runs the model on appPath and applies its output there. Everything written
+  // is pushed onto touchedFiles, so the caller can roll it back.
+  async generateImprovement(appName, appPath, currentVersion, improvementPrompt, history, touchedFiles) {
+    console.log(`📖 Reading current file contents...`);
+    const currentFileContents = await this.readCurrentFileContents(appPath, currentVersion.files);
+    
+    // New local assets are copied after the backup, so a rollback removes them
+    const assets = await this.copyLocalAssets(appPath);
+    const assetFiles = assets.map(asset => asset.path);
+    touchedFiles.push(...assetFiles);
+    
+    console.log(`🤖 Generating improvements with file context...`);
+    let improvementContext = this.createImprovementContext(
+      currentVersion.prompt,
+      improvementPrompt,
+      currentVersion.files,
+      currentFileContents
+    );
+    if (assets.length > 0) {
+      improvementContext += localAssetsPrompt(assets);
+    }
+    if (currentVersion.rejectedHunks?.length > 0) {
+      improvementContext += declinedChangesPrompt(currentVersion.rejectedHunks);
+    }
+    // Keeps a TypeScript app TypeScript, a Python app Python and a service group split up
+    improvementContext += this.typescriptInstructions(currentVersion.analysis || {}, await this.readPackageJson(appPath));
+    improvementContext += this.servicesInstructions(currentVersion.analysis || {});
+    await this.useStack(currentVersion.analysis || {}, appPath);
+    
+    if (history.length > 0) {
+      console.log(`💬 Including ${history.length} earlier conversation messages`);
+    }
+    const result = await this.chatWithCerebras(improvementContext, appName, appPath, 'improvement', history);
+    
+    console.log(`📝 Applying file changes...`);
+    const { createdFiles, changesExplanation, failedEdits, invalidFiles, deletedFiles, renamedFiles, parseWarnings } = result.parsed || await this.parseAndCreateFiles(appPath, result.output);
+    createdFiles.push(...assetFiles.filter(file => !createdFiles.includes(file)));
+    touchedFiles.push(...createdFiles, ...renamedFiles.map(rename => rename.to));
+    
+    // Edit hunks whose <search> text did not match get one more chance
+    if (failedEdits.length > 0) {
+      const retry = await this.retryFailedEdits(appPath, failedEdits);
+      createdFiles.push(...retry.createdFiles.filter(file => !createdFiles.includes(file)));
+      touchedFiles.push(...retry.createdFiles);
+      invalidFiles.push(...retry.invalidFiles);
+      result.usage = this.sumUsage(result.usage, retry.usage);
+    }
+    
+    // Files with syntax errors go back to the model before anything is built
+    if (invalidFiles.length > 0) {
+      const repair = await this.repairInvalidFiles(appPath, invalidFiles);
+      createdFiles.push(...repair.createdFiles.filter(file => !createdFiles.includes(file)));
+      touchedFiles.push(...repair.createdFiles);
+      result.usage = this.sumUsage(result.usage, repair.usage);
+    }
+    
+    // Rules for the improve stage, e.g. package.json entries for new imports
+    const fixes = await this.applyPostGenerationFixes(appPath, currentVersion.analysis || {}, 'improve');
+    for (const file of fixes.flatMap(fix => fix.files || [])) {
+      if (!createdFiles.includes(file)) createdFiles.push(file);
+      touchedFiles.push(file);
+    }
+    
+    return { result, createdFiles, changesExplanation, deletedFiles, renamedFiles, parseWarnings, fixes };
+  }
+
+  // --dry-run: runs the improvement against a scratch copy of the app, prints
+  // unified diffs and keeps the result for --apply. The app is not touched.
+  async stageImprovement(appName, appPath, currentVersion, improvementPrompt, history, { preview = true } = {}) {
+    const id = createStagedId();
+    const workPath = stagedFilesPath(appPath, id);
+    
+    console.log(`🧪 Dry run: staging changes in ${workPath}`);
+    
+    let generated;
+    try {
+      await copyWorkTree(appPath, workPath);
+      generated = await this.generateImprovement(appName, workPath, currentVersion, improvementPrompt, history, []);
+    } catch (error) {
+      console.error(`❌ Dry run failed: ${error.message}`);
+      await removeStaged(appPath, id);
+      return null;
+    }
+    const { result, createdFiles, changesExplanation, deletedFiles, renamedFiles, parseWarnings, fixes } = generated;
+    
+    const changes = await compareTrees(appPath, workPath, [
+      ...currentVersion.files,
+      ...createdFiles,
+      ...deletedFiles,
+      ...renamedFiles.flatMap(rename => [rename.from, rename.to])
+    ]);
+    
+    if (changesExplanation) {
+      console.log(`\n📋 Changes Summary:`);
+      console.log(`   ${changesExplanation}`);
+    }
+    
+    if (changes.length === 0) {
+      console.log(`⚠️  No changes detected. Nothing was staged.`);
+      await removeStaged(appPath, id);
+      return null;
+    }
+    
+    if (preview) {
+      for (const change of changes) {
+        console.log(`\n${unifiedDiff(change.path, change.before, change.after)}`);
+      }
+    }
+    
+    const count = (status) => changes.filter(change => change.status === status).length;
+    console.log(`\n📊 Changes: ${count('modified')} modified, ${count('added')} added, ${count('removed')} removed`);
+    
+    await writeStagedManifest(appPath, {
+      id,
+      app: appName,
+      baseVersion: currentVersion.version,
+      baseHashes: await this.generateFileHashes(appPath, currentVersion.files),
+      prompt: improvementPrompt,
+      changes: changes.map(change => ({ path: change.path, status: change.status })),
+      changesExplanation,
+      createdFiles,
+      deletedFiles,
+      renamedFiles,
+      parseWarnings,
+      fixes,
+      performance: {
+        latency: result.latency,
+        tokens: result.usage,
+        continuations: result.continuations,
+        model: result.model,
+        provider: result.provider
+      },
+      createdAt: new Date().toISOString()
+    });
+    
+    console.log(`\n📦 Staged as ${id}. Nothing in ${appPath} was changed.`);
+    if (preview) {
+      console.log(`   Apply it with: node create-app.js --apply ${id} --app ${appName}`);
+    }
+    return id;
+  }
+
+  // Copies a staged result into the app in place of a model call
+  async applyStagedChanges(appPath, staged, touchedFiles) {
+    const workPath = stagedFilesPath(appPath, staged.id);
+    
+    console.log(`📦 Applying staged changes ${staged.id}...`);
+    for (const change of staged.changes) {
+      const target = path.join(appPath, change.path);
+      
+      if (change.status === 'removed') {
+        await fs.rm(target, { force: true });
+        console.log(`🗑️  Removed: ${change.path}`);
+        continue;
+      }
+      
+      await fs.mkdir(path.dirname(target), { recursive: true });
+      await fs.copyFile(path.join(workPath, change.path), target);
+      touchedFiles.push(change.path);
+      console.log(`📄 ${change.status === 'added' ? 'Created' : 'Updated'}: ${change.path}`);
+    }
+    
+    const { performance } = staged;
+    return {
+      result: {
+        latency: performance.latency,
+        usage: performance.tokens,
+        continuations: performance.continuations,
+        model: performance.model,
+        provider: performance.provider
+      },
+      createdFiles: staged.createdFiles,
+      changesExplanation: staged.changesExplanation,
+      deletedFiles: staged.deletedFiles,
+      renamedFiles: staged.renamedFiles,
+      parseWarnings: staged.parseWarnings,
+      fixes: staged.fixes,
+      rejectedHunks: staged.rejectedHunks || []
+    };
+  }
+
+  // --review: walks through every staged file and hunk like git add -p and
+  // narrows the staged result to what was accepted. Returns false when
+  // nothing was, after recording the rejections on the current version, or
+  // when the accepted hunks don't parse, after saving the review in the manifest.
+  async reviewStaged(appPath, staged) {
+    const workPath = stagedFilesPath(appPath, staged.id);
+    const changes = await compareTrees(appPath, workPath, staged.changes.map(change => change.path));
+    
+    // A review that failed the syntax check is shown again, so the same choices aren't lost
+    const lastReview = staged.failedReview || null;
+    const declinedBefore = new Set((lastReview?.rejectedHunks || []).map(hunk => JSON.stringify(hunk)));
+    if (lastReview) {
+      console.log(`🔁 The last review (${lastReview.reviewedAt}) declined ${lastReview.rejectedHunks.length} hunks and was not applied:`);
+      lastReview.syntaxErrors.forEach(line => console.log(`   ${line}`));
+    }
+    
+    const rejectedHunks = [];
+    const dropped = new Set();
+    // Merged text of partially accepted files, written once they pass the syntax check
+    const merged = new Map();
+    const rl = readline.createInterface({ input: process.stdin, output: process.stdout });
+    // Read through the line iterator so piped answers are buffered, not dropped
+    const lines = rl[Symbol.asyncIterator]();
+    const ask = async (query) => {
+      process.stdout.write(query);
+      const { value, done } = await lines.next();
+      return done ? 'q' : value;
+    };
+    
+    const help = [
+      'y - apply this hunk',
+      'n - do not apply this hunk',
+      'e - edit this hunk in $EDITOR, then apply it',
+      'a - apply this and the remaining hunks of the file',
+      'd - apply none of the remaining hunks of the file',
+      'q - quit; do not apply this or any remaining hunk'
+    ];
+    let quit = false;
+    
+    try {
+      for (const change of changes) {
+        const units = reviewUnits(change);
+        let rest = null;
+        
+        if (!quit) console.log(`\n${'─'.repeat(80)}\n📄 ${change.path} (${change.status}, ${units.length} hunk${units.length === 1 ? '' : 's'})`);
+        
+        for (const [index, unit] of units.entries()) {
+          if (quit || rest !== null) {
+            unit.accepted = quit ? false : rest;
+            continue;
+          }
+          
+          console.log(unit.whole ? unifiedDiff(change.path, change.before, change.after) : [unit.header, ...unit.lines].join('\n'));
+          if (declinedBefore.has(JSON.stringify(describeRejectedUnit(change.path, change.status, unit)))) {
+            console.log(`↩️  Declined in the last review`);
+          }
+          const options = unit.whole ? 'y,n,q' : 'y,n,e,a,d,q';
+          
+          while (unit.accepted === undefined) {
+            const answer = (await ask(`(${index + 1}/${units.length}) Apply this ${unit.whole ? 'change' : 'hunk'} to ${change.path} [${options},?]? `)).trim().toLowerCase();
+            
+            if (answer === 'y' || answer === 'n') {
+              unit.accepted = answer === 'y';
+            } else if ((answer === 'a' || answer === 'd') && !unit.whole) {
+              rest = answer === 'a';
+              unit.accepted = rest;
+            } else if (answer === 'q') {
+              quit = true;
+              unit.accepted = false;
+            } else if (answer === 'e' && !unit.whole) {
+              const edited = this.editHunk(change.path, unit, rl);
+              if (edited) {
+                unit.edited = edited;
+                unit.accepted = true;
+              }
+            } else {
+              console.log(help.filter(line => options.includes(line[0])).join('\n'));
+            }
+          }
+        }
+        
+        for (const unit of units.filter(unit => !unit.accepted)) {
+          rejectedHunks.push(describeRejectedUnit(change.path, change.status, unit));
+        }
+        
+        // Binary files and removals are all or nothing; text files keep the accepted hunks
+        if (!units.some(unit => unit.accepted)) {
+          dropped.add(change.path);
+        } else if (!units[0].whole) {
+          const content = mergeAcceptedHunks(change.before ?? '', units, change.after);
+          if (content === change.before) dropped.add(change.path);
+          else merged.set(change.path, content);
+        }
+      }
+    } finally {
+      rl.close();
+    }
+    
+    const accepted = changes.filter(change => !dropped.has(change.path));
+    console.log(`\n🔍 Review: ${accepted.length} of ${changes.length} files accepted, ${rejectedHunks.length} hunks declined`);
+    
+    if (accepted.length === 0) {
+      // Nothing to deploy; the current version remembers what was declined
+      const currentVersion = this.getCurrentVersion(staged.app);
+      currentVersion.rejectedHunks = rejectedHunks;
+      await db.write();
+      await removeStaged(appPath, staged.id);
+      console.log(`⏭️  Nothing accepted, ${staged.app} stays at ${currentVersion.version}.`);
+      return false;
+    }
+    
+    // Hunks were only checked as part of the whole file, so a partial
+    // result can be broken on its own. The staged tree is left untouched
+    // so it can be reviewed again.
+    const invalid = [...merged].flatMap(([file, content]) => {
+      const error = validateSyntax(file, content);
+      return error ? [`${file}: ${formatSyntaxError(error)}`] : [];
+    });
+    if (invalid.length > 0) {
+      console.log(`❌ The accepted hunks leave files with syntax errors, nothing was applied:`);
+      invalid.forEach(line => console.log(`   ${line}`));
+      staged.failedReview = { reviewedAt: new Date().toISOString(), rejectedHunks, syntaxErrors: invalid };
+      await writeStagedManifest(appPath, staged);
+      console.log(`   Review it again: node create-app.js --apply ${staged.id} --app ${staged.app} --review`);
+      return false;
+    }
+    
+    // The staged tree becomes the accepted result: merged files, and declined files as they are in the app
+    for (const [file, content] of merged) {
+      await fs.writeFile(path.join(workPath, file), content);
+    }
+    for (const change of changes.filter(change => dropped.has(change.path))) {
+      const target = path.join(workPath, change.path);
+      if (change.status === 'added') {
+        await fs.rm(target, { force: true });
+      } else {
+        await fs.mkdir(path.dirname(target), { recursive: true });
+        await fs.copyFile(path.join(appPath, change.path), target);
+      }
+    }
+    
+    // The staged fixes describe the full result; declined hunks can leave
+    // imports undeclared or configs missing, so the fixers run again
+    let fixes = staged.fixes;
+    let fixedFiles = [];
+    if (rejectedHunks.length > 0) {
+      console.log(`🔧 Re-running the improve fixes on the accepted changes...`);
+      fixes = await this.applyPostGenerationFixes(workPath, this.getCurrentVersion(staged.app)?.analysis || {}, 'improve');
+      fixedFiles = fixes.flatMap(fix => fix.files || []);
+    }
+    const finalChanges = await compareTrees(appPath, workPath, [...new Set([...changes.map(change => change.path), ...fixedFiles])]);
+    
+    // A rename stays a rename only if both halves were accepted
+    const renamedFiles = [];
+    const createdFiles = staged.createdFiles.filter(file => !dropped.has(file));
+    for (const change of finalChanges.filter(change => change.status === 'added' && !createdFiles.includes(change.path))) {
+      createdFiles.push(change.path);
+    }
+    const deletedFiles = staged.deletedFiles.filter(file => !dropped.has(file));
+    for (const rename of staged.renamedFiles) {
+      if (!dropped.has(rename.from) && !dropped.has(rename.to)) renamedFiles.push(rename);
+      else if (!dropped.has(rename.from)) deletedFiles.push(rename.from);
+      else if (!dropped.has(rename.to)) createdFiles.push(rename.to);
+    }
+    
+    Object.assign(staged, {
+      changes: finalChanges.map(change => ({ path: change.path, status: change.status })),
+      createdFiles,
+      deletedFiles,
+      renamedFiles,
+      fixes,
+      rejectedHunks,
+      failedReview: undefined
+    });
+    await writeStagedManifest(appPath, staged);
+    return true;
+  }
+
+  // Opens the hunk in $VISUAL/$EDITOR. Returns the new side of the edited
+  // hunk, or null when the editor failed or everything was deleted.
+  editHunk(filePath, unit, rl) {
+    const editFile = path.join(os.tmpdir(), `hunk-${process.pid}-${Date.now()}.diff`);
+    const editor = process.env.VISUAL || process.env.EDITOR || 'vi';
+    
+    writeFileSync(editFile, formatHunkForEdit(filePath, unit));
+    rl.pause();
+    try {
+      const { status, error } = spawnSync(editor, [editFile], { stdio: 'inherit', shell: true });
+      if (error || status !== 0) {
+        console.log(`⚠️  ${editor} exited with ${error?.message || `status ${status}`}, hunk left undecided`);
+        return null;
+      }
+      const edited = parseEditedHunk(readFileSync(editFile, 'utf8'));
+      if (edited.length === 0 && unit.lines.some(line => !line.startsWith('-'))) {
+        console.log(`⚠️  The edited hunk is empty, hunk left undecided`);
+        return null;
+      }
+      return edited;
+    } finally {
+      rl.resume();
+      rmSync(editFile, { force: true });
+    }
+  }
+
+  // --apply: deploys a --dry-run result as the next version, without another
+  // model call. Refused when the app moved on since it was staged.
+  async applyStaged(stagedId, appName = null, { review = false } = {}) {
+    if (!isStagedId(stagedId)) {
+      console.log(`❌ Invalid staged id "${stagedId}": use the id a dry run printed, such as 20261019T174512-a3f9.`);
+      return;
+    }
+    
+    const candidates = appName ? [appName] : db.data.apps.map(app => app.name);
+    let staged = null;
+    
+    try {
+      for (const name of candidates) {
+        staged = await readStagedManifest(path.join('./tmp', name), stagedId);
+        if (staged) break;
       }
-      
-      // 8. Update database with new version
-      const newVersionData = {
-        version: newVersion,
-        prompt: currentVersion.prompt,
-        improvements: [...currentVersion.improvements, improvementPrompt],
-        changesExplanation: changesExplanation,
-        containerName,
-        files: allFiles,
-        fileHashes: newFileHashes,
-        performance: {
-          latency: result.latency,
-          tokens: result.usage,
-          buildMetrics: dockerResult.buildMetrics
-        },
-        createdAt: new Date().toISOString(),
-        isActive: true,
-        dockerStatus: 'running',
-        dockerError: null,
-        parentVersion: currentVersion.version,
-        changedFiles,
-        addedFiles,
-        removedFiles,
-        backupPath
-      };
-      
-      // Mark old version as inactive
-      currentVersion.isActive = false;
-      
-      // Add new version
-      app.versions.push(newVersionData);
-      app.currentVersion = newVersion;
-      
-      await db.write();
-      
-      console.log(`✅ Successfully improved ${appName} to ${newVersion}!`);
-      console.log(`🌐 Running at http://localhost:${app.port}`);
-      console.log(`📊 Build time: ${(dockerResult.buildMetrics?.dockerBuildTime || 0) / 1000}s`);
-      
     } catch (error) {
-      console.error(`❌ Improvement failed: ${error.message}`);
-      
-      // Attempt automatic rollback
-      console.log(`🔄 Attempting automatic rollback...`);
-      try {
-        await this.restoreFromBackup(appName, currentVersion.version);
-        console.log(`✅ Rollback successful`);
-      } catch (rollbackError) {
-        console.error(`❌ Rollback also failed: ${rollbackError.message}`);
+      console.log(`❌ ${error.message}`);
+      return;
+    }
+    
+    if (!staged) {
+      console.log(`❌ No staged improvement ${stagedId}${appName ? ` for ${appName}` : ''}.`);
+      for (const name of candidates) {
+        const available = await listStaged(path.join('./tmp', name));
+        if (available.length > 0) {
+          console.log(`   ${name}: ${available.map(manifest => manifest.id).join(', ')}`);
+        }
       }
+      return;
+    }
+    
+    const app = this.findApp(staged.app);
+    if (!app) {
+      console.log(`❌ App ${staged.app} not found. Use --list to see available apps.`);
+      return;
+    }
+    
+    const appPath = path.join('./tmp', staged.app);
+    if (app.currentVersion !== staged.baseVersion) {
+      console.log(`❌ ${stagedId} was staged against ${staged.baseVersion}, but ${staged.app} is now at ${app.currentVersion}.`);
+      console.log(`   Run the dry run again: --improve "${staged.prompt}" --app ${staged.app} --dry-run`);
+      return;
+    }
+    
+    const currentHashes = await this.generateFileHashes(appPath, Object.keys(staged.baseHashes));
+    const drifted = Object.keys(staged.baseHashes).filter(file => currentHashes[file] !== staged.baseHashes[file]);
+    if (drifted.length > 0) {
+      console.log(`❌ Files changed since ${stagedId} was staged: ${drifted.join(', ')}`);
+      console.log(`   Run the dry run again: --improve "${staged.prompt}" --app ${staged.app} --dry-run`);
+      return;
     }
+    
+    if (review && !(await this.reviewStaged(appPath, staged))) {
+      return;
+    }
+    
+    const newVersion = await this.improveApp(staged.app, staged.prompt, { staged });
+    if (newVersion) {
+      await removeStaged(appPath, stagedId);
+    }
+  }
+
+  // Closes an improvement's turns with its outcome. The request and changes
+  // turns were recorded before the version existed, so they get it now.
+  async recordImprovementTurns(turns, outcome, version = null) {
+    for (const turn of turns.filter(Boolean)) {
+      turn.version = version;
+    }
+    this.recordTurn('outcome', outcome, version);
+    await db.write();
   }
 
-  async buildVersionedContainer(appName, version, containerName, appPath) {
+  async buildVersionedContainer(appName, version, containerName, appPath, analysis = {}) {
     // Use the same optimized build strategy, but with versioned container name
     const buildStartTime = Date.now();
+    let deployment = null;
     
     try {
-      // All apps use uniform fullstack architecture
-      const appType = 'fullstack';
-      
-      // Use optimized Dockerfile
-      const currentDir = path.dirname(fileURLToPath(import.meta.url));
-      const templatePath = path.join(currentDir, `templates/Dockerfile.${appType}.optimized`);
-      const dockerfilePath = path.join(appPath, 'Dockerfile');
-      
-      // Detect app folders for dynamic Dockerfile generation
-      const appFolders = await this.detectAppFolders(appPath);
-      
-      // Read template and render with nunjucks
-      const templateContent = await fs.readFile(templatePath, 'utf8');
-      const dockerfile = nunjucks.renderString(templateContent, {
-        appFolders: appFolders
-      });
-      
-      // Write rendered Dockerfile to app directory
-      await fs.writeFile(dockerfilePath, dockerfile);
+      // Re-selected on every build: an improvement can add a server or a build step
+      deployment = await this.writeDockerfile(appPath, analysis);
       
       // Build with versioned name and caching
       const buildCommand = `DOCKER_BUILDKIT=1 docker build \\
@@ -1851,6 +3306,7 @@ IMPORTANT:
       
       return {
         success: true,
+        deployment: this.deploymentRecord(deployment),
         buildMetrics: {
           totalBuildTime: Date.now() - buildStartTime,
           dockerBuildTime,
@@ -1861,12 +3317,13 @@ IMPORTANT:
     } catch (error) {
       return {
         success: false,
-        error: error.message
+        error: error.message,
+        deployment: this.deploymentRecord(deployment)
       };
     }
   }
 
-  async deployWithBlueGreen(appName, newVersion, newContainerName, port) {
+  async deployWithBlueGreen(appName, newVersion, newContainerName, port, healthCheck) {
     try {
       // 1. Identify existing containers on production port (don't stop them yet)
       console.log(`🔍 Checking port ${port} for running containers...`);
@@ -1890,7 +3347,7 @@ IMPORTANT:
       
       // 3. Health check the new container
       console.log(`🏥 Running health checks on temporary port ${tempPort}...`);
-      const healthOk = await this.healthCheckContainer(newContainerName, tempPort);
+      const healthOk = await this.healthCheckContainer(newContainerName, tempPort, undefined, healthCheck);
       
       if (!healthOk) {
         throw new Error('Health check failed');
@@ -1921,7 +3378,7 @@ IMPORTANT:
       
       // 6. Final health check on production port
       console.log(`🏥 Running final health check on production port ${port}...`);
-      const finalHealthOk = await this.healthCheckContainer(newContainerName, port);
+      const finalHealthOk = await this.healthCheckContainer(newContainerName, port, undefined, healthCheck);
       
       if (!finalHealthOk) {
         throw new Error('Final health check failed');
@@ -1944,7 +3401,9 @@ IMPORTANT:
     }
   }
 
-  async healthCheckContainer(containerName, port, timeoutMs = 15000) {
+  // healthCheck is the deployment profile's { path, method }: HEAD / for
+  // Node.js apps, GET /health for Python ones
+  async healthCheckContainer(containerName, port, timeoutMs = 15000, healthCheck = { path: '/', method: 'HEAD' }) {
     // Comprehensive health check - verify container is running and responding
     try {
       // Check if container is running
@@ -1965,8 +3424,8 @@ IMPORTANT:
         }, timeoutMs);
 
         // Use fetch for HTTP health check
-        fetch(`http://localhost:${port}`, {
-          method: 'HEAD',
+        fetch(`http://localhost:${port}${healthCheck.path}`, {
+          method: healthCheck.method,
           signal: AbortSignal.timeout(timeoutMs - 1000) // Leave 1s buffer for cleanup
         })
         .then(response => {
@@ -2010,6 +3469,12 @@ IMPORTANT:
     for (const file of files) {
       try {
         const filePath = path.join(appPath, file);
+        if (isBinaryAsset(file)) {
+          // Binary assets never go back into the prompt
+          const stats = await fs.stat(filePath);
+          fileContents[file] = `[binary file, ${stats.size} bytes]`;
+          continue;
+        }
         const content = await fs.readFile(filePath, 'utf8');
         fileContents[file] = content;
       } catch (error) {
@@ -2049,9 +3514,10 @@ INSTRUCTIONS:
 3. Make targeted improvements based on the improvement request
 4. Only modify files that actually need changes
 5. Preserve existing functionality while adding new features
-6. Use the exact file format: <file path="filename.js">content</file>
-7. Only include files that need modifications - don't recreate unchanged files
-8. Ensure all changes are compatible with the existing codebase
+6. For changes to EXISTING files, prefer <edit> blocks with <search>/<replace> hunks over re-sending the whole file
+7. Use full <file path="filename.js">content</file> blocks for NEW files, or when most of a file changes
+8. Only include files that need modifications - don't recreate unchanged files
+9. Ensure all changes are compatible with the existing codebase
 
 CRITICAL OUTPUT FORMAT:
 You must respond with the following structure:
@@ -2060,12 +3526,21 @@ You must respond with the following structure:
 Brief explanation of what changes were made and why
 </changes>
 
-<file path="filename.js">
-// Updated file content here
-</file>
-
-<file path="another-file.js">
-// Another updated file content here
+<edit path="server.js">
+<search>
+app.get('/api/items', (req, res) => {
+  res.json(items);
+});
+</search>
+<replace>
+app.get('/api/items', (req, res) => {
+  res.json(items.filter(item => !item.archived));
+});
+</replace>
+</edit>
+
+<file path="src/components/NewComponent.jsx">
+// Complete content of a new file here
 </file>
 
 The <changes> section should briefly explain:
@@ -2073,6 +3548,20 @@ The <changes> section should briefly explain:
 - Which files were changed and why
 - Any important implementation details
 
+EDIT RULES:
+- Each <search> must be copied EXACTLY from the current file contents above, including indentation and blank lines
+- Each <search> must match exactly ONE place in the file; include a few surrounding lines to make it unique
+- Keep hunks small: only the lines that change plus enough context to locate them
+- One <edit> block may contain several <search>/<replace> pairs, applied top to bottom
+- To delete code, leave <replace> empty
+
+FILE DIRECTIVES:
+- Delete a file that is no longer used: <delete path="src/OldComponent.jsx" />
+- Rename or move a file: <rename from="src/App.jsx" to="src/App.tsx" />
+- A rename keeps the content; follow it with an <edit> or <file> for the new path if the content changes too
+- Always delete or rename files you replace, so stale files don't stay in the app
+- Binary files are shown as [binary file, N bytes]; never <edit> them. To replace one, send it base64-encoded: <file path="public/favicon.ico" encoding="base64">...</file>
+
 Only include files that actually need to be modified for the improvement.
 
 IMPORTANT: This is an improvement to an existing app, not a new app creation. Make surgical changes rather than recreating everything.`;
@@ -2108,28 +3597,35 @@ IMPORTANT: This is an improvement to an existing app, not a new app creation. Ma
       
       // 2. Restore files from target version backup
       console.log(`📁 Restoring files from ${targetVersion}...`);
-      const restoreSuccess = await this.restoreFromBackup(appName, targetVersion);
+      // Files that only exist in the current version (added, or rename targets) are removed
+      const restoreSuccess = await this.restoreFromBackup(appName, targetVersion, currentVersion.files);
       
       if (!restoreSuccess) {
         throw new Error(`Could not restore files from backup`);
       }
       
-      // 3. Build container for target version
-      const containerName = `${appName}-${targetVersion.replace(/\./g, '-')}`;
-      console.log(`🐳 Building container: ${containerName}`);
+      // 3. Build container for target version (service groups: the whole group, in place)
+      const analysis = targetVersionData.analysis || {};
+      const serviceGroup = usesServices(analysis);
+      const containerName = serviceGroup ? appName : `${appName}-${targetVersion.replace(/\./g, '-')}`;
+      console.log(`🐳 Building ${serviceGroup ? 'services' : 'container'}: ${containerName}`);
       
       const appPath = path.join('./tmp', appName);
-      const dockerResult = await this.buildVersionedContainer(appName, targetVersion, containerName, appPath);
+      const dockerResult = serviceGroup
+        ? await this.buildAndRunDocker(appName, appPath, app.port, 1, analysis)
+        : await this.buildVersionedContainer(appName, targetVersion, containerName, appPath, analysis);
       
       if (!dockerResult.success) {
         throw new Error(`Docker build failed: ${dockerResult.error}`);
       }
       
       // 4. Deploy with blue-green strategy
-      const deployResult = await this.deployWithBlueGreen(appName, targetVersion, containerName, app.port);
-      
-      if (!deployResult.success) {
-        throw new Error(`Deployment failed: ${deployResult.error}`);
+      if (!serviceGroup) {
+        const deployResult = await this.deployWithBlueGreen(appName, targetVersion, containerName, app.port, dockerResult.deployment?.healthCheck);
+        
+        if (!deployResult.success) {
+          throw new Error(`Deployment failed: ${deployResult.error}`);
+        }
       }
       
       // 5. Update database - mark target version as active
@@ -2146,6 +3642,13 @@ IMPORTANT: This is an improvement to an existing app, not a new app creation. Ma
       
       // Update current version pointer
       app.currentVersion = targetVersion;
+      app.deployment = dockerResult.deployment;
+      if (dockerResult.services) {
+        app.services = dockerResult.services;
+      }
+      
+      this.useConversation(app);
+      this.recordTurn('outcome', `The user rolled the app back to ${targetVersion}. Changes made after ${targetVersion} are no longer in the code.`, targetVersion);
       
       await db.write();
       
@@ -2159,7 +3662,7 @@ IMPORTANT: This is an improvement to an existing app, not a new app creation. Ma
       console.log(`🔄 Attempting to restore current state...`);
       try {
         const currentVersion = this.getCurrentVersion(appName);
-        await this.restoreFromBackup(appName, currentVersion.version);
+        await this.restoreFromBackup(appName, currentVersion.version, targetVersionData.files);
         console.log(`✅ Current state restored`);
       } catch (restoreError) {
         console.error(`❌ Could not restore current state: ${restoreError.message}`);
@@ -2174,6 +3677,8 @@ IMPORTANT: This is an improvement to an existing app, not a new app creation. Ma
     console.log('━'.repeat(80));
     
     const formatTime = (ms) => `${(ms / 1000).toFixed(1)}s`;
+    // Generation plus syntax repairs; the --usage ledger has the cost
+    const formatTokens = (usage) => usage ? `${usage.total_tokens}` : 'N/A';
     const calculateSpeedup = (baseline, optimized) => {
       if (baseline === 0) return 'N/A';
       return `${(baseline / optimized).toFixed(1)}x`;
@@ -2186,17 +3691,20 @@ IMPORTANT: This is an improvement to an existing app, not a new app creation. Ma
    Total Time:  ${formatTime(legacyResult.totalTime)}
    Docker Time: ${formatTime(legacyResult.dockerBuildTime)}
    Success:     ${legacyResult.success ? '✅' : '❌'}
+   Tokens:      ${formatTokens(legacyResult.usage)}
 
 ⚡ Optimized Build (First Run):
    Total Time:  ${formatTime(optimizedResult.totalTime)}
    Docker Time: ${formatTime(optimizedResult.dockerBuildTime)}
    Success:     ${optimizedResult.success ? '✅' : '❌'}
+   Tokens:      ${formatTokens(optimizedResult.usage)}
    Speedup:     ${calculateSpeedup(legacyResult.dockerBuildTime, optimizedResult.dockerBuildTime)}
 
 🚀 Optimized Build (With Cache):
    Total Time:  ${formatTime(cachedResult.totalTime)}
    Docker Time: ${formatTime(cachedResult.dockerBuildTime)}
    Success:     ${cachedResult.success ? '✅' : '❌'}
+   Tokens:      ${formatTokens(cachedResult.usage)}
    Speedup:     ${calculateSpeedup(legacyResult.dockerBuildTime, cachedResult.dockerBuildTime)}
 
 💡 Performance Improvement:
@@ -2226,48 +3734,104 @@ IMPORTANT: This is an improvement to an existing app, not a new app creation. Ma
       console.log(`⚠️  App ${appName} already exists. Use --remove to delete it first.`);
       return;
     }
+    
+    if (!this.checkBudget()) {
+      return;
+    }
 
     // Create app directory
     await fs.mkdir(appPath, { recursive: true });
     
+    // New apps only see this run's --route overrides
+    this.useAppRouting();
+    this.useUsageContext(appName, 'v1.0.0');
+    this.useConversation();
+    this.recordTurn('request', prompt, 'v1.0.0');
+    
     try {
-      // Analyze app structure intelligently
-      const analysis = await this.analyzeAppStructure(prompt);
-      const appType = 'fullstack';
+      // Local assets go in first so the model can reference them
+      const assets = await this.copyLocalAssets(appPath);
+      const assetFiles = assets.map(asset => asset.path);
+      let generationRequest = assets.length > 0 ? `${prompt}${localAssetsPrompt(assets)}` : prompt;
+      
+      // Analyze app structure intelligently; a starter template fixes the stack
+      const analysis = this.applyStarter(await this.analyzeAppStructure(prompt));
+      await this.useStack(analysis);
+      generationRequest += this.typescriptInstructions(analysis);
+      generationRequest += this.servicesInstructions(analysis);
+      
+      // The template's files go in before generation, so the model builds on them
+      const starterFiles = this.starter ? await seedStarter(this.starter, appPath) : [];
+      if (this.starter) {
+        console.log(`🧩 Seeded ${starterFiles.length} files from the ${this.starter.name} template`);
+        generationRequest += starterTemplatePrompt(this.starter, await this.readCurrentFileContents(appPath, starterFiles));
+      }
       
-      let output, latency, usage;
+      let output, latency, usage, continuations, model, provider, parsed;
       
-      // Use intelligent approach based on analysis
-      if (analysis.buildTool === 'vite') {
+      // Use intelligent approach based on analysis; a template replaces Vite scaffolding
+      if (this.starter && analysis.buildTool === 'vite') {
+        console.log(`🔄 Using hybrid approach: ${this.starter.name} template + LLM enhancement`);
+        
+        const result = await this.enhanceWithLLM(generationRequest, appName, appPath, analysis, false);
+        output = result.output;
+        latency = result.latency;
+        usage = result.usage;
+        continuations = result.continuations;
+        model = result.model;
+        provider = result.provider;
+        parsed = result.parsed;
+      } else if (analysis.buildTool === 'vite') {
         console.log(`🔄 Using hybrid approach: Vite scaffolding + LLM enhancement`);
         
         // Scaffold with Vite first
-        const scaffoldSuccess = await this.scaffoldWithVite(appName, appPath);
+        const scaffoldSuccess = await this.scaffoldWithVite(appName, appPath, frameworkProfile(analysis));
         
         if (scaffoldSuccess) {
           // Then enhance with LLM using analysis
-          const result = await this.enhanceWithLLM(prompt, appName, appPath, analysis, false);
+          const result = await this.enhanceWithLLM(generationRequest, appName, appPath, analysis, false);
           output = result.output;
           latency = result.latency;
           usage = result.usage;
+          continuations = result.continuations;
+          model = result.model;
+          provider = result.provider;
+          parsed = result.parsed;
         } else {
           // Fallback to pure LLM generation
           console.log(`⚠️  Vite scaffolding failed, falling back to pure LLM generation`);
-          const result = await this.chatWithCerebras(prompt, appName, appPath);
+          const result = await this.chatWithCerebras(generationRequest, appName, appPath);
           output = result.output;
           latency = result.latency;
           usage = result.usage;
+          continuations = result.continuations;
+          model = result.model;
+          provider = result.provider;
+          parsed = result.parsed;
         }
       } else {
         // Use pure LLM generation with analysis context
-        const result = await this.chatWithCerebras(prompt, appName, appPath);
+        const result = await this.chatWithCerebras(generationRequest, appName, appPath);
         output = result.output;
         latency = result.latency;
         usage = result.usage;
+        continuations = result.continuations;
+        model = result.model;
+        provider = result.provider;
+        parsed = result.parsed;
       }
       
       // Parse and create files
-      const { createdFiles, changesExplanation } = await this.parseAndCreateFiles(appPath, output);
+      const { createdFiles, changesExplanation, parseWarnings, invalidFiles } = parsed || await this.parseAndCreateFiles(appPath, output);
+      
+      // Files with syntax errors go back to the model before anything is built
+      if (invalidFiles.length > 0) {
+        const repair = await this.repairInvalidFiles(appPath, invalidFiles);
+        createdFiles.push(...repair.createdFiles.filter(file => !createdFiles.includes(file)));
+        usage = this.sumUsage(usage, repair.usage);
+      }
+      createdFiles.push(...[...starterFiles, ...assetFiles].filter(file => !createdFiles.includes(file)));
+      this.recordTurn('changes', this.summarizeChanges(changesExplanation, createdFiles), 'v1.0.0');
       
       // Display changes and files information
       if (changesExplanation) {
@@ -2282,11 +3846,16 @@ IMPORTANT: This is an improvement to an existing app, not a new app creation. Ma
       console.log(`   Total: ${createdFiles.length} files\n`);
       
       // Post-generation fixes for common issues
-      await this.applyPostGenerationFixes(appPath, analysis);
+      const fixes = await this.applyPostGenerationFixes(appPath, analysis);
+      // Files a fixer created are part of the version (backups, hashes, diffs)
+      for (const file of fixes.flatMap(fix => fix.files || [])) {
+        if (!createdFiles.includes(file)) createdFiles.push(file);
+      }
       
       // Validate critical files for Vite apps
       if (analysis.buildTool === 'vite') {
-        const criticalFiles = ['index.html', 'src/main.jsx', 'src/App.jsx', 'src/index.css'];
+        const packageJson = await this.readPackageJson(appPath);
+        const criticalFiles = [...frameworkProfile(analysis, packageJson).criticalFiles, ...(analysis.styling === 'tailwind' ? ['src/index.css'] : [])];
         const missingFiles = [];
         
         for (const file of criticalFiles) {
@@ -2311,7 +3880,9 @@ IMPORTANT: This is an improvement to an existing app, not a new app creation. Ma
       db.data.nextPort = port + 1;
       
       // Build and run Docker container (after files are created)
-      const dockerResult = await this.buildAndRunDocker(appName, appPath, port);
+      const dockerResult = await this.buildAndRunDocker(appName, appPath, port, 3, analysis);
+      
+      this.recordTurn('outcome', dockerResult.success ? 'Build succeeded and the app is running.' : `Build failed: ${dockerResult.error}`, 'v1.0.0');
       
       // Save app info to database using new versioned schema
       const fileHashes = await this.generateFileHashes(appPath, createdFiles);
@@ -2320,6 +3891,12 @@ IMPORTANT: This is an improvement to an existing app, not a new app creation. Ma
         currentVersion: 'v1.0.0',
         port: dockerResult.success ? port : null,
         createdAt: new Date().toISOString(),
+        deployment: dockerResult.deployment,
+        // Per-service state and logs for service groups
+        services: dockerResult.services || null,
+        template: this.starter?.name || null,
+        routing: this.routing,
+        conversation: this.conversation,
         versions: [{
           version: 'v1.0.0',
           prompt,
@@ -2330,8 +3907,14 @@ IMPORTANT: This is an improvement to an existing app, not a new app creation. Ma
           performance: { 
             latency, 
             tokens: usage,
+            continuations,
+            model,
+            provider,
             buildMetrics: dockerResult.buildMetrics || null
           },
+          promptPack: this.promptPackInfo(),
+          analysis,
+          fixes,
           createdAt: new Date().toISOString(),
           isActive: dockerResult.success,
           dockerStatus: dockerResult.success ? 'running' : 'failed',
@@ -2342,6 +3925,7 @@ IMPORTANT: This is an improvement to an existing app, not a new app creation. Ma
           changedFiles: [],
           addedFiles: createdFiles,
           removedFiles: [],
+          parseWarnings,
           backupPath: null
         }]
       };
@@ -2374,12 +3958,22 @@ IMPORTANT: This is an improvement to an existing app, not a new app creation. Ma
           console.log(`🔄 Build attempted ${dockerResult.attempts} times with automatic fixes`);
         }
         
-        console.log(`💡 You can manually fix the issues and run: docker build -t ${appName} ${appPath}`);
+        const buildCommand = dockerResult.deployment?.appType === 'services'
+          ? `docker compose -p ${appName} -f ${path.join(appPath, COMPOSE_FILE)} up -d --build`
+          : `docker build -t ${appName} ${appPath}`;
+        console.log(`💡 You can manually fix the issues and run: ${buildCommand}`);
       }
       console.log(`📁 Files created in: ${appPath}`);
       
     } catch (error) {
       console.error(`❌ Error creating app: ${error.message}`);
+      
+      // A user-aborted stream keeps whatever finished files were written
+      if (error.aborted) {
+        console.log(`📁 Kept ${error.createdFiles.length} finished files in: ${appPath}`);
+        return;
+      }
+      
       // Clean up on error
       try {
         await fs.rm(appPath, { recursive: true, force: true });
@@ -2387,6 +3981,53 @@ IMPORTANT: This is an improvement to an existing app, not a new app creation. Ma
     }
   }
 
+  showUsage({ since, until, app } = {}) {
+    let entries;
+    try {
+      entries = filterEntries(db.data.ledger, { since, until, app });
+    } catch (error) {
+      console.log(`❌ ${error.message}. Use YYYY-MM-DD or an ISO timestamp.`);
+      return;
+    }
+    
+    if (entries.length === 0) {
+      console.log('📭 No LLM usage recorded for this selection.');
+      return;
+    }
+    
+    const summary = summarizeUsage(entries);
+    const formatCost = (cost) => `$${cost.toFixed(4)}`;
+    const formatRow = (label, totals) =>
+      `   ${label.padEnd(36)} ${String(totals.calls).padStart(5)} calls  ${totals.promptTokens.toLocaleString().padStart(11)} in  ${totals.completionTokens.toLocaleString().padStart(11)} out  ${formatCost(totals.cost).padStart(10)}`;
+    const printSection = (title, groups) => {
+      console.log(`\n${title}`);
+      for (const [label, totals] of Object.entries(groups).sort((a, b) => b[1].cost - a[1].cost || b[1].calls - a[1].calls)) {
+        console.log(formatRow(label, totals));
+      }
+    };
+    
+    const range = `${since || 'beginning'} → ${until || 'now'}${app ? ` (app: ${app})` : ''}`;
+    console.log(`\n💰 LLM Usage: ${range}`);
+    console.log('─'.repeat(80));
+    console.log(formatRow('Total', summary.total));
+    console.log(`   ⚡ Average latency: ${Math.round(summary.total.latency / summary.total.calls)}ms`);
+    
+    printSection('📱 By app:', summary.byApp);
+    printSection('🧭 By stage:', summary.byStage);
+    printSection('🤖 By model:', summary.byModel);
+    printSection('📅 By day:', summary.byDay);
+    
+    if (summary.total.unpriced > 0) {
+      console.log(`\n⚠️  ${summary.total.unpriced} calls used models without a price in llm.config.json "pricing" and count as $0`);
+    }
+    
+    const budget = Number(process.env.LLM_MONTHLY_BUDGET) || llmConfig.budget?.monthlyUsd;
+    if (budget) {
+      console.log(`\n📊 This month: $${monthlySpend(db.data.ledger).toFixed(2)} of $${budget.toFixed(2)} budget`);
+    }
+    console.log();
+  }
+
   async listApps() {
     if (db.data.apps.length === 0) {
       console.log('📭 No apps created yet.');
@@ -2418,9 +4059,22 @@ IMPORTANT: This is an improvement to an existing app, not a new app creation. Ma
       console.log(`${status} ${app.name}${port}`);
       console.log(`   📝 ${prompt}`);
       console.log(`   📁 ${path}`);
+      if (app.deployment) {
+        console.log(`   🧱 ${app.deployment.appType} (${app.deployment.template})`);
+      }
+      if (app.template) {
+        console.log(`   🧩 Seeded from the ${app.template} template`);
+      }
       
-      // Get volume info if container is running
-      if (dockerStatus === 'running') {
+      if (app.deployment?.appType === 'services') {
+        // Refreshed from docker compose; the stored state is shown when it can't be asked
+        app.services = this.serviceStatus(app.name, app.deployment.services) || app.services || [];
+        for (const service of app.services) {
+          const icon = service.state === 'running' ? '🟢' : '🔴';
+          console.log(`   ${icon} ${service.name.padEnd(8)} ${service.status}${service.health ? ` (${service.health})` : ''}`);
+        }
+      } else if (dockerStatus === 'running') {
+        // Get volume info if container is running
         try {
           // First check if container actually exists
           const containerExists = execSync(`docker ps -a --filter "name=${app.name}" --format "{{.Names}}"`, { encoding: 'utf8' }).trim();
@@ -2464,6 +4118,55 @@ IMPORTANT: This is an improvement to an existing app, not a new app creation. Ma
       console.log(`   🕐 ${new Date(app.createdAt).toLocaleString()}`);
       console.log();
     }
+    
+    // Keeps the refreshed service states
+    await db.write();
+  }
+
+  // Per-service status and logs for a service group, or the container's
+  // logs for a single-container app. `service` narrows a group to one service.
+  async showLogs(appName, serviceName = null) {
+    appName = this.sanitizeName(appName);
+    const app = this.findApp(appName);
+    if (!app) {
+      console.log(`❌ App ${appName} not found.`);
+      return;
+    }
+    
+    if (app.deployment?.appType !== 'services') {
+      try {
+        console.log(execSync(`docker logs --tail 100 "${appName}" 2>&1`, { encoding: 'utf8' }));
+      } catch (error) {
+        console.log(`❌ Could not read logs for ${appName}: ${error.message}`);
+      }
+      return;
+    }
+    
+    const refreshed = this.serviceStatus(appName, app.deployment.services);
+    if (refreshed) {
+      app.services = refreshed;
+      await db.write();
+    } else {
+      console.log(`⚠️  docker compose is unavailable, showing the logs stored on the app record`);
+    }
+    
+    if (!app.services?.length) {
+      console.log(`❌ No service state recorded for ${appName} yet.`);
+      return;
+    }
+    
+    const services = app.services.filter(service => !serviceName || service.name === serviceName);
+    if (services.length === 0) {
+      console.log(`❌ No service ${serviceName} in ${appName}. Services: ${app.deployment.services.join(', ')}`);
+      return;
+    }
+    
+    for (const service of services) {
+      const icon = service.state === 'running' ? '🟢' : '🔴';
+      console.log(`\n${icon} ${service.name}: ${service.status}${service.health ? ` (${service.health})` : ''} - checked ${new Date(service.checkedAt).toLocaleString()}`);
+      console.log('─'.repeat(80));
+      console.log(service.logs || '(no logs)');
+    }
   }
 
   async stopApp(appName) {
@@ -2477,10 +4180,16 @@ IMPORTANT: This is an improvement to an existing app, not a new app creation. Ma
     }
 
     try {
-      execSync(`docker stop "${appName}"`, { stdio: 'ignore' });
+      if (app.deployment?.appType === 'services') {
+        // Stops the whole group; containers and volumes stay for the next start
+        execSync(`docker compose -p "${appName}" stop`, { stdio: 'ignore' });
+        app.services = this.serviceStatus(appName, app.deployment.services) || app.services;
+      } else {
+        execSync(`docker stop "${appName}"`, { stdio: 'ignore' });
+      }
       app.dockerStatus = 'stopped';
       await db.write();
-      console.log(`🛑 Stopped ${appName}`);
+      console.log(`🛑 Stopped ${appName}${app.deployment?.appType === 'services' ? ` (${app.deployment.services.join(', ')})` : ''}`);
     } catch (error) {
       console.log(`❌ Error stopping ${appName}: ${error.message}`);
     }
@@ -2498,47 +4207,55 @@ IMPORTANT: This is an improvement to an existing app, not a new app creation. Ma
 
     const app = db.data.apps[appIndex];
 
-    try {
-      // Get volume names before removing container
-      let volumeNames = [];
+    if (app.deployment?.appType === 'services') {
+      // Containers, the Postgres and data volumes and the built images go together
+      try {
+        execSync(`docker compose -p "${appName}" down --volumes --rmi local --remove-orphans`, { stdio: 'ignore' });
+        console.log(`🗂️  Removed services: ${app.deployment.services.join(', ')}`);
+      } catch {}
+    } else {
       try {
-        // First check if container actually exists
-        const containerExists = execSync(`docker ps -a --filter "name=${appName}" --format "{{.Names}}"`, { encoding: 'utf8' }).trim();
+        // Get volume names before removing container
+        let volumeNames = [];
+        try {
+          // First check if container actually exists
+          const containerExists = execSync(`docker ps -a --filter "name=${appName}" --format "{{.Names}}"`, { encoding: 'utf8' }).trim();
         
-        if (containerExists && containerExists.includes(appName)) {
-          // Use a safer approach to get volume info
-          try {
-            // Get all container info and extract volumes manually
-            const fullInspect = execSync(`docker inspect "${appName}"`, { encoding: 'utf8' });
-            const containerInfo = JSON.parse(fullInspect);
+          if (containerExists && containerExists.includes(appName)) {
+            // Use a safer approach to get volume info
+            try {
+              // Get all container info and extract volumes manually
+              const fullInspect = execSync(`docker inspect "${appName}"`, { encoding: 'utf8' });
+              const containerInfo = JSON.parse(fullInspect);
             
-            if (containerInfo && containerInfo[0] && containerInfo[0].Mounts) {
-              volumeNames = containerInfo[0].Mounts.filter(mount => mount && mount.Type === 'volume').map(mount => mount.Name);
+              if (containerInfo && containerInfo[0] && containerInfo[0].Mounts) {
+                volumeNames = containerInfo[0].Mounts.filter(mount => mount && mount.Type === 'volume').map(mount => mount.Name);
+              }
+            } catch (inspectError) {
+              // Docker inspect failed, skip volume cleanup
+              console.log(`⚠️  Could not inspect container for volume cleanup`);
             }
-          } catch (inspectError) {
-            // Docker inspect failed, skip volume cleanup
-            console.log(`⚠️  Could not inspect container for volume cleanup`);
           }
+        } catch (inspectError) {
+          // Docker inspect failed, skip volume cleanup
+          console.log(`⚠️  Could not inspect container for volume cleanup`);
         }
-      } catch (inspectError) {
-        // Docker inspect failed, skip volume cleanup
-        console.log(`⚠️  Could not inspect container for volume cleanup`);
-      }
 
-      // Stop and remove container
-      execSync(`docker stop "${appName}"`, { stdio: 'ignore' });
-      execSync(`docker rm "${appName}"`, { stdio: 'ignore' });
+        // Stop and remove container
+        execSync(`docker stop "${appName}"`, { stdio: 'ignore' });
+        execSync(`docker rm "${appName}"`, { stdio: 'ignore' });
       
-      // Remove associated volumes
-      for (const volumeName of volumeNames) {
-        try {
-          execSync(`docker volume rm "${volumeName}"`, { stdio: 'ignore' });
-          console.log(`🗂️  Removed volume: ${volumeName}`);
-        } catch {}
-      }
+        // Remove associated volumes
+        for (const volumeName of volumeNames) {
+          try {
+            execSync(`docker volume rm "${volumeName}"`, { stdio: 'ignore' });
+            console.log(`🗂️  Removed volume: ${volumeName}`);
+          } catch {}
+        }
       
-      execSync(`docker rmi "${appName}"`, { stdio: 'ignore' });
-    } catch {}
+        execSync(`docker rmi "${appName}"`, { stdio: 'ignore' });
+      } catch {}
+    }
 
     try {
       // Remove files - ensure path is within tmp directory
@@ -2573,12 +4290,23 @@ IMPORTANT: This is an improvement to an existing app, not a new app creation. Ma
 
     console.log(`🔄 Retrying Docker build for ${appName}...`);
     
+    // Automatic fixes use the app's errorFix route
+    this.useAppRouting(app);
+    this.useUsageContext(appName, app.currentVersion);
+    this.useConversation(app);
+    
     // Find available port
     const port = await this.findAvailablePort(db.data.nextPort);
     db.data.nextPort = port + 1;
     
     // Retry Docker build with enhanced error handling
-    const dockerResult = await this.buildAndRunDocker(appName, appPath, port, 3);
+    const dockerResult = await this.buildAndRunDocker(appName, appPath, port, 3, this.getCurrentVersion(appName)?.analysis || {});
+    if (dockerResult.deployment) {
+      app.deployment = dockerResult.deployment;
+    }
+    if (dockerResult.services) {
+      app.services = dockerResult.services;
+    }
     
     // Update app info
     const currentVersion = app.versions[app.versions.length - 1];
@@ -2588,6 +4316,7 @@ IMPORTANT: This is an improvement to an existing app, not a new app creation. Ma
     currentVersion.attempts = (currentVersion.attempts || 1) + (dockerResult.attempts || 1);
     currentVersion.port = dockerResult.success ? port : currentVersion.port;
     
+    this.recordTurn('outcome', dockerResult.success ? 'Build retry succeeded and the app is running.' : `Build retry failed: ${dockerResult.error}`, currentVersion.version);
     await db.write();
     
     if (dockerResult.success) {
@@ -2616,7 +4345,9 @@ const argv = await yargs(hideBin(process.argv))
       type: 'string'
     }
   }, async (argv) => {
-    if (argv.prompt) {
+    if (argv.prompt && argv['dry-run']) {
+      console.log('❌ --dry-run only works with --improve: --improve "improvement description" --app "app-name" --dry-run');
+    } else if (argv.prompt) {
       // Set Docker optimization mode based on flags
       if (argv['legacy-build']) {
         process.env.DOCKER_OPTIMIZED = 'false';
@@ -2631,7 +4362,7 @@ const argv = await yargs(hideBin(process.argv))
       } else {
         await generator.createApp(argv.prompt);
       }
-    } else if (!argv.list && !argv.stop && !argv.remove && !argv.benchmark && !argv.improve && !argv.retry && !argv.versions && !argv.rollback && !argv.diff && !argv['clear-cache']) {
+    } else if (!argv.list && !argv.stop && !argv.remove && !argv.benchmark && !argv.improve && !argv.retry && !argv.versions && !argv.rollback && !argv.diff && !argv['clear-cache'] && !argv.usage && !argv.fixes && !argv.apply && !argv.logs && !argv.templates) {
       console.log('❌ Please provide a prompt or use --help for options');
     }
   })
@@ -2650,6 +4381,14 @@ const argv = await yargs(hideBin(process.argv))
     describe: 'Remove an app completely',
     type: 'string'
   })
+  .option('logs', {
+    describe: 'Show the status and recent logs of each service of an app',
+    type: 'string'
+  })
+  .option('service', {
+    describe: 'With --logs: only this service (web, api, worker or db)',
+    type: 'string'
+  })
   .option('retry', {
     alias: 't',
     describe: 'Retry Docker build for an app with automatic error fixes',
@@ -2669,8 +4408,20 @@ const argv = await yargs(hideBin(process.argv))
     describe: 'Improve an existing app',
     type: 'string'
   })
+  .option('dry-run', {
+    describe: 'With --improve: stage the changes, print unified diffs and leave the app untouched',
+    type: 'boolean'
+  })
+  .option('review', {
+    describe: 'With --improve or --apply: accept, reject or edit each changed hunk before deploying',
+    type: 'boolean'
+  })
+  .option('apply', {
+    describe: 'Apply a staged --dry-run result by id, without another LLM call',
+    type: 'string'
+  })
   .option('app', {
-    describe: 'Target app name (used with --improve, --versions, --rollback, --diff)',
+    describe: 'Target app name (used with --improve, --apply, --versions, --rollback, --diff, --fixes)',
     type: 'string'
   })
   .option('versions', {
@@ -2689,6 +4440,96 @@ const argv = await yargs(hideBin(process.argv))
     describe: 'Clear Docker build cache (use when builds hang)',
     type: 'boolean'
   })
+  .option('usage', {
+    describe: 'Show LLM token usage and cost by app, stage, model and day (filter with --since, --until, --app)',
+    type: 'boolean'
+  })
+  .option('since', {
+    describe: 'Start date for --usage (YYYY-MM-DD or ISO timestamp)',
+    type: 'string'
+  })
+  .option('until', {
+    describe: 'End date for --usage (YYYY-MM-DD or ISO timestamp)',
+    type: 'string'
+  })
+  .option('fixes', {
+    describe: 'Show which fix rules fired for each version (with --app), or list the fix rules',
+    type: 'boolean'
+  })
+  .option('skip-fixes', {
+    describe: 'Fix rule ids to disable for this run',
+    type: 'array'
+  })
+  .option('template', {
+    describe: 'Seed the app from a starter template (react-express-sqlite, vue-spa, express-api, static-landing, one from starter-templates/ or a directory path)',
+    type: 'string'
+  })
+  .option('templates', {
+    describe: 'List the available starter templates',
+    type: 'boolean'
+  })
+  .option('prompt-pack', {
+    describe: 'Prompt pack from prompt-packs/<name> or ~/.config/cerebras-app-generator/prompt-packs/<name> (or a directory path)',
+    type: 'string'
+  })
+  .option('provider', {
+    describe: 'LLM provider to use (cerebras, openai, openrouter, ollama or one from llm.config.json)',
+    type: 'string'
+  })
+  .option('assets', {
+    describe: 'Local files or folders (e.g. uploads/) to copy into the app\'s public/ folder',
+    type: 'array'
+  })
+  .option('typescript', {
+    describe: 'Generate TypeScript (.ts/.tsx, tsconfig.json, typed Express handlers) and type-check during the build',
+    type: 'boolean',
+    default: false
+  })
+  .option('services', {
+    describe: 'Run a fullstack app as separate docker-compose services: web, api, worker and Postgres',
+    type: 'boolean',
+    default: false
+  })
+  .option('stream', {
+    describe: 'Stream generation and write each file as soon as it is complete',
+    type: 'boolean',
+    default: false
+  })
+  .option('record', {
+    describe: 'Record every LLM request/response to a cassette (name or .json path, default cassettes/<timestamp>.json)',
+    type: 'string'
+  })
+  .option('replay', {
+    describe: 'Replay LLM responses from a recorded cassette instead of calling the API',
+    type: 'string'
+  })
+  .conflicts('record', 'replay')
+  .option('route', {
+    describe: 'Route a stage to a model chain, saved on the app: --route "analysis=cerebras:llama3.1-8b,qwen-3-coder-480b" (stages: analysis, generation, improvement, repair, errorFix)',
+    type: 'array'
+  })
+  .middleware(async (argv) => {
+    // Runs before command handlers so generation picks up the overrides
+    if (argv.replay) {
+      await generator.useCassette(argv.replay, 'replay');
+    } else if (argv.record !== undefined) {
+      await generator.useCassette(argv.record, 'record');
+    }
+    generator.useProvider(argv.provider || llmConfig.defaultProvider);
+    await generator.usePromptPack(argv.promptPack || process.env.PROMPT_PACK);
+    await generator.useFixRules((argv.skipFixes || []).map(String));
+    await generator.useStarterTemplate(argv.template);
+    generator.streaming = argv.stream;
+    generator.typescript = argv.typescript;
+    generator.services = argv.services;
+    generator.assetSources = argv.assets || [];
+    try {
+      generator.routeOverrides = parseRouteOverrides(argv.route || []);
+    } catch (error) {
+      console.error(`❌ ${error.message}`);
+      process.exit(1);
+    }
+  })
   .help()
   .parse();
 
@@ -2701,13 +4542,17 @@ if (argv.list) {
   await generator.removeApp(argv.remove);
 } else if (argv.retry) {
   await generator.retryDockerBuild(argv.retry);
+} else if (argv.logs) {
+  await generator.showLogs(argv.logs, argv.service);
 } else if (argv.improve) {
   if (!argv.app) {
     console.log('❌ Usage: --improve "improvement description" --app "app-name"');
     console.log('   Example: --improve "Add user authentication" --app "todo-app"');
   } else {
-    await generator.improveApp(argv.app, argv.improve);
+    await generator.improveApp(argv.app, argv.improve, { dryRun: argv['dry-run'], review: argv.review });
   }
+} else if (argv.apply) {
+  await generator.applyStaged(argv.apply, argv.app, { review: argv.review });
 } else if (argv.versions) {
   if (!argv.app) {
     console.log('❌ Usage: --versions --app "app-name"');
@@ -2737,6 +4582,16 @@ if (argv.list) {
       await generator.showDiff(argv.app, fromVersion, toVersion);
     }
   }
+} else if (argv.templates) {
+  await generator.listStarterTemplates();
+} else if (argv.fixes) {
+  if (argv.app) {
+    generator.showFixes(argv.app);
+  } else {
+    generator.listFixRules();
+  }
+} else if (argv.usage) {
+  generator.showUsage({ since: argv.since, until: argv.until, app: argv.app });
 } else if (argv['clear-cache']) {
   console.log('🧹 Clearing Docker build cache...');
   try {
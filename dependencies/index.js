@@ -0,0 +1,6 @@
+export { reconcileDependencies, collectSources, scanImports, packageName, isBuiltin } from './reconcile.js';
+export { PACKAGE_VERSIONS, DEV_PACKAGES, IMPLICIT_PACKAGES, PEER_PACKAGES, TYPE_PACKAGES, versionFor } from './versions.js';
+export {
+  reconcileRequirements, collectPythonSources, scanPythonImports, parseRequirements, pythonPackageName, normalizeRequirement
+} from './requirements.js';
+export { PYTHON_PACKAGE_VERSIONS, pythonVersionFor } from './python-versions.js';
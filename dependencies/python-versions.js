@@ -0,0 +1,102 @@
+// Curated pins for packages generated Python apps commonly import. The Python
+// generation prompt asks for these same versions.
+export const PYTHON_PACKAGE_VERSIONS = {
+  // Servers
+  'fastapi': '0.111.0',
+  'uvicorn': '0.30.1',
+  'flask': '3.0.3',
+  'gunicorn': '22.0.0',
+  'flask-cors': '4.0.1',
+  'jinja2': '3.1.4',
+  'python-multipart': '0.0.9',
+
+  // Data and auth
+  'pydantic': '2.8.2',
+  'email-validator': '2.2.0',
+  'sqlalchemy': '2.0.31',
+  'flask-sqlalchemy': '3.1.1',
+  'aiosqlite': '0.20.0',
+  'psycopg2-binary': '2.9.9',
+  'passlib': '1.7.4',
+  'bcrypt': '4.1.3',
+  'python-jose': '3.3.0',
+  'pyjwt': '2.8.0',
+
+  // Clients and utilities
+  'requests': '2.32.3',
+  'httpx': '0.27.0',
+  'python-dotenv': '1.0.1',
+  'pyyaml': '6.0.1'
+};
+
+// Import names that differ from the package that provides them
+export const PYTHON_IMPORT_PACKAGES = {
+  'dotenv': 'python-dotenv',
+  'jose': 'python-jose',
+  'jwt': 'pyjwt',
+  'multipart': 'python-multipart',
+  'psycopg2': 'psycopg2-binary',
+  'flask_cors': 'flask-cors',
+  'flask_sqlalchemy': 'flask-sqlalchemy',
+  'email_validator': 'email-validator',
+  'yaml': 'pyyaml',
+  'PIL': 'pillow',
+  'bs4': 'beautifulsoup4',
+  'sklearn': 'scikit-learn'
+};
+
+// What serves the app in the image without ever being imported
+export const PYTHON_PEER_PACKAGES = {
+  'fastapi': ['uvicorn'],
+  'flask': ['gunicorn']
+};
+
+// Loaded indirectly (servers, drivers named in URLs, optional extras), so
+// never reported as unused
+export const PYTHON_IMPLICIT_PACKAGES = new Set([
+  'uvicorn',
+  'gunicorn',
+  'python-multipart',
+  'email-validator',
+  'aiosqlite',
+  'psycopg2-binary',
+  'bcrypt'
+]);
+
+// Every standard library module (Python 3.12 sys.stdlib_module_names, the
+// image's interpreter); never in requirements.txt
+export const PYTHON_STDLIB = new Set([
+  '__future__', '_abc', '_aix_support', '_ast', '_asyncio', '_bisect', '_blake2', '_bootsubprocess', '_bz2',
+  '_codecs', '_codecs_cn', '_codecs_hk', '_codecs_iso2022', '_codecs_jp', '_codecs_kr', '_codecs_tw',
+  '_collections', '_collections_abc', '_compat_pickle', '_compression', '_contextvars', '_crypt', '_csv',
+  '_ctypes', '_curses', '_curses_panel', '_datetime', '_dbm', '_decimal', '_elementtree', '_frozen_importlib',
+  '_frozen_importlib_external', '_functools', '_gdbm', '_hashlib', '_heapq', '_imp', '_io', '_json', '_locale',
+  '_lsprof', '_lzma', '_markupbase', '_md5', '_msi', '_multibytecodec', '_multiprocessing', '_opcode', '_operator',
+  '_osx_support', '_overlapped', '_pickle', '_posixshmem', '_posixsubprocess', '_py_abc', '_pydecimal', '_pyio',
+  '_queue', '_random', '_scproxy', '_sha1', '_sha256', '_sha3', '_sha512', '_signal', '_sitebuiltins', '_socket',
+  '_sqlite3', '_sre', '_ssl', '_stat', '_statistics', '_string', '_strptime', '_struct', '_symtable', '_thread',
+  '_threading_local', '_tkinter', '_tokenize', '_tracemalloc', '_typing', '_uuid', '_warnings', '_weakref',
+  '_weakrefset', '_winapi', '_zoneinfo', 'abc', 'aifc', 'antigravity', 'argparse', 'array', 'ast', 'asyncio',
+  'atexit', 'audioop', 'base64', 'bdb', 'binascii', 'bisect', 'builtins', 'bz2', 'cProfile', 'calendar', 'cgi',
+  'cgitb', 'chunk', 'cmath', 'cmd', 'code', 'codecs', 'codeop', 'collections', 'colorsys', 'compileall',
+  'concurrent', 'configparser', 'contextlib', 'contextvars', 'copy', 'copyreg', 'crypt', 'csv', 'ctypes', 'curses',
+  'dataclasses', 'datetime', 'dbm', 'decimal', 'difflib', 'dis', 'doctest', 'email', 'encodings', 'ensurepip',
+  'enum', 'errno', 'faulthandler', 'fcntl', 'filecmp', 'fileinput', 'fnmatch', 'fractions', 'ftplib', 'functools',
+  'gc', 'genericpath', 'getopt', 'getpass', 'gettext', 'glob', 'graphlib', 'grp', 'gzip', 'hashlib', 'heapq',
+  'hmac', 'html', 'http', 'idlelib', 'imaplib', 'imghdr', 'importlib', 'inspect', 'io', 'ipaddress', 'itertools',
+  'json', 'keyword', 'lib2to3', 'linecache', 'locale', 'logging', 'lzma', 'mailbox', 'mailcap', 'marshal', 'math',
+  'mimetypes', 'mmap', 'modulefinder', 'msilib', 'msvcrt', 'multiprocessing', 'netrc', 'nis', 'nntplib', 'nt',
+  'ntpath', 'nturl2path', 'numbers', 'opcode', 'operator', 'optparse', 'os', 'ossaudiodev', 'pathlib', 'pdb',
+  'pickle', 'pickletools', 'pipes', 'pkgutil', 'platform', 'plistlib', 'poplib', 'posix', 'posixpath', 'pprint',
+  'profile', 'pstats', 'pty', 'pwd', 'py_compile', 'pyclbr', 'pydoc', 'pydoc_data', 'pyexpat', 'queue', 'quopri',
+  'random', 're', 'readline', 'reprlib', 'resource', 'rlcompleter', 'runpy', 'sched', 'secrets', 'select',
+  'selectors', 'shelve', 'shlex', 'shutil', 'signal', 'site', 'smtplib', 'sndhdr', 'socket', 'socketserver',
+  'spwd', 'sqlite3', 'sre_compile', 'sre_constants', 'sre_parse', 'ssl', 'stat', 'statistics', 'string',
+  'stringprep', 'struct', 'subprocess', 'sunau', 'symtable', 'sys', 'sysconfig', 'syslog', 'tabnanny', 'tarfile',
+  'telnetlib', 'tempfile', 'termios', 'textwrap', 'this', 'threading', 'time', 'timeit', 'tkinter', 'token',
+  'tokenize', 'tomllib', 'trace', 'traceback', 'tracemalloc', 'tty', 'turtle', 'turtledemo', 'types', 'typing',
+  'unicodedata', 'unittest', 'urllib', 'uu', 'uuid', 'venv', 'warnings', 'wave', 'weakref', 'webbrowser', 'winreg',
+  'winsound', 'wsgiref', 'xdrlib', 'xml', 'xmlrpc', 'zipapp', 'zipfile', 'zipimport', 'zlib', 'zoneinfo'
+]);
+
+export const pythonVersionFor = (name) => PYTHON_PACKAGE_VERSIONS[name] || null;
@@ -0,0 +1,185 @@
+import fs from 'fs/promises';
+import path from 'path';
+import { builtinModules } from 'module';
+import { versionFor, DEV_PACKAGES, IMPLICIT_PACKAGES, PEER_PACKAGES, TYPE_PACKAGES } from './versions.js';
+
+// Import-driven package.json reconciliation: every bare specifier imported by
+// the app's sources must be declared, and runtime dependencies nothing refers
+// to are dropped.
+
+const CODE_EXTENSIONS = new Set(['js', 'jsx', 'mjs', 'cjs', 'ts', 'tsx', 'mts', 'cts', 'vue', 'svelte']);
+// Not scanned for imports, but a package named in them counts as used
+// (e.g. @import "tailwindcss" in CSS)
+const TEXT_EXTENSIONS = new Set(['css', 'scss', 'less', 'html', 'json']);
+const SKIPPED_DIRS = new Set(['node_modules', 'dist', 'build', 'coverage', 'data', '.backups', '.staged', '.git', '.vite']);
+// Config files only run at build time
+const CONFIG_FILE = /(^|\/)[\w.-]+\.config\.[cm]?[jt]s$/;
+const TYPESCRIPT_FILE = /\.[cm]?tsx?$/;
+
+const staticImportRegex = /\b(?:import|export)\s+(?:type\s+)?(?:[\w*$\s{},]*?\s+from\s+)?['"]([^'"\n]+)['"]/g;
+const callImportRegex = /\b(?:require(?:\.resolve)?|import)\s*\(\s*['"]([^'"\n]+)['"]\s*\)/g;
+
+const builtins = new Set(builtinModules);
+
+const stripComments = (content) => content
+  .replace(/\/\*[\s\S]*?\*\//g, '')
+  .replace(/(^|[^:'"`\\\w])\/\/[^\n]*/gm, '$1');
+
+export const isBuiltin = (specifier) =>
+  specifier.startsWith('node:') || builtins.has(specifier) || builtins.has(specifier.split('/')[0]);
+
+// "lodash/merge" → "lodash", "@mui/material/Button" → "@mui/material".
+// Relative paths, URLs, builtins and aliases (@/…, ~/…, #…) are not packages.
+export const packageName = (specifier, localDirs = new Set()) => {
+  const bare = specifier.split('?')[0];
+
+  if (/^(\.|\/|[a-z]+:|~|#|@\/)/.test(bare) || isBuiltin(bare)) {
+    return null;
+  }
+
+  const segments = bare.split('/');
+  if (bare.startsWith('@')) {
+    return segments.length >= 2 && segments[1] ? `${segments[0]}/${segments[1]}` : null;
+  }
+
+  // baseUrl-style imports of the app's own folders (e.g. "src/utils")
+  if (localDirs.has(segments[0])) {
+    return null;
+  }
+
+  return /^[a-z0-9][\w.-]*$/i.test(segments[0]) ? segments[0] : null;
+};
+
+export const scanImports = (content) => {
+  const specifiers = new Set();
+  const code = stripComments(content);
+
+  for (const regex of [staticImportRegex, callImportRegex]) {
+    regex.lastIndex = 0;
+    let match;
+    while ((match = regex.exec(code)) !== null) {
+      specifiers.add(match[1]);
+    }
+  }
+
+  return [...specifiers];
+};
+
+// Reads the app's code and text files, skipping installs, builds and backups
+export const collectSources = async (appPath) => {
+  const sources = [];
+
+  const walk = async (dir) => {
+    for (const entry of await fs.readdir(dir, { withFileTypes: true })) {
+      const entryPath = path.join(dir, entry.name);
+
+      if (entry.isDirectory()) {
+        if (!SKIPPED_DIRS.has(entry.name)) await walk(entryPath);
+        continue;
+      }
+
+      const extension = entry.name.split('.').pop().toLowerCase();
+      const relativePath = path.relative(appPath, entryPath).split(path.sep).join('/');
+      if (!entry.isFile() || relativePath === 'package.json' || relativePath === 'package-lock.json') continue;
+
+      if (CODE_EXTENSIONS.has(extension) || TEXT_EXTENSIONS.has(extension)) {
+        sources.push({ path: relativePath, content: await fs.readFile(entryPath, 'utf8'), code: CODE_EXTENSIONS.has(extension) });
+      }
+    }
+  };
+  await walk(appPath);
+
+  return sources;
+};
+
+const escapeRegex = (text) => text.replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+
+const isMentioned = (name, texts) => {
+  const regex = new RegExp(`(^|[^\\w@/-])${escapeRegex(name)}([^\\w-]|$)`, 'm');
+  return texts.some(text => regex.test(text));
+};
+
+// Mutates packageJson. Returns what changed:
+//   added:  [{ name, version, dev, known, files, requiredBy }]
+//   removed / unused: [{ name, section }]   (unused = flagged, left in place)
+export const reconcileDependencies = (packageJson, sources, { localDirs = new Set() } = {}) => {
+  const imports = new Map();
+  const hasTypeScript = sources.some(source => source.code && TYPESCRIPT_FILE.test(source.path));
+  let importsBuiltins = false;
+
+  for (const source of sources.filter(source => source.code)) {
+    for (const specifier of scanImports(source.content)) {
+      if (isBuiltin(specifier) && TYPESCRIPT_FILE.test(source.path)) importsBuiltins = true;
+      const name = packageName(specifier, localDirs);
+      if (!name || name === packageJson.name) continue;
+
+      if (!imports.has(name)) imports.set(name, { files: [], runtime: false });
+      const usage = imports.get(name);
+      if (!usage.files.includes(source.path)) usage.files.push(source.path);
+      if (!CONFIG_FILE.test(source.path)) usage.runtime = true;
+    }
+  }
+
+  // Peers are needed wherever the package that requires them is used
+  for (const [name, usage] of [...imports]) {
+    for (const peer of PEER_PACKAGES[name] || []) {
+      if (!imports.has(peer)) imports.set(peer, { files: [], runtime: false, requiredBy: name });
+      imports.get(peer).runtime ||= usage.runtime;
+    }
+  }
+
+  // TypeScript sources need the compiler and the type packages of what they use
+  if (hasTypeScript) {
+    if (!imports.has('typescript')) imports.set('typescript', { files: [], runtime: false, requiredBy: 'the TypeScript sources' });
+    for (const name of [...imports.keys()].filter(name => TYPE_PACKAGES[name])) {
+      if (!imports.has(TYPE_PACKAGES[name])) imports.set(TYPE_PACKAGES[name], { files: [], runtime: false, requiredBy: name });
+    }
+    if (importsBuiltins && !imports.has('@types/node')) {
+      imports.set('@types/node', { files: [], runtime: false, requiredBy: 'Node builtins' });
+    }
+  }
+
+  packageJson.dependencies ||= {};
+  const declared = { ...packageJson.devDependencies, ...packageJson.dependencies };
+  const added = [];
+
+  for (const [name, usage] of imports) {
+    if (declared[name]) continue;
+
+    const dev = DEV_PACKAGES.has(name) || !usage.runtime;
+    const version = versionFor(name);
+    const section = dev ? 'devDependencies' : 'dependencies';
+
+    packageJson[section] ||= {};
+    packageJson[section][name] = version || 'latest';
+    added.push({ name, version: version || 'latest', dev, known: Boolean(version), files: usage.files, requiredBy: usage.requiredBy || null });
+  }
+
+  // Scripts, CSS, HTML and config text can name a package without importing it
+  const texts = [...Object.values(packageJson.scripts || {}), ...sources.map(source => source.content)];
+  const removed = [];
+  const unused = [];
+
+  for (const section of ['dependencies', 'devDependencies']) {
+    for (const name of Object.keys(packageJson[section] || {})) {
+      if (imports.has(name) || IMPLICIT_PACKAGES.has(name) || name.startsWith('@types/') || isMentioned(name, texts)) continue;
+
+      // Dev tools are often wired up indirectly, so they are only flagged
+      if (section === 'dependencies') {
+        delete packageJson.dependencies[name];
+        removed.push({ name, section });
+      } else {
+        unused.push({ name, section });
+      }
+    }
+  }
+
+  // Keep sections sorted the way npm writes them
+  for (const section of ['dependencies', 'devDependencies']) {
+    if (packageJson[section]) {
+      packageJson[section] = Object.fromEntries(Object.entries(packageJson[section]).sort(([a], [b]) => a.localeCompare(b)));
+    }
+  }
+
+  return { added, removed, unused };
+};
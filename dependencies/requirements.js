@@ -0,0 +1,127 @@
+import fs from 'fs/promises';
+import path from 'path';
+import {
+  pythonVersionFor, PYTHON_IMPORT_PACKAGES, PYTHON_PEER_PACKAGES, PYTHON_IMPLICIT_PACKAGES, PYTHON_STDLIB
+} from './python-versions.js';
+
+// Import-driven requirements.txt reconciliation for Python apps, the
+// counterpart of reconcile.js: every third-party module the sources import
+// must be declared. Unused requirements are only flagged, since Python
+// packages are often loaded by name (database URLs, server flags).
+
+const SKIPPED_DIRS = new Set(['__pycache__', '.venv', 'venv', 'env', 'data', '.backups', '.staged', '.git', '.pytest_cache']);
+
+const importRegex = /^[ \t]*import[ \t]+([\w.]+(?:[ \t]+as[ \t]+\w+)?(?:[ \t]*,[ \t]*[\w.]+(?:[ \t]+as[ \t]+\w+)?)*)/gm;
+const fromImportRegex = /^[ \t]*from[ \t]+([\w.]+)[ \t]+import\b/gm;
+
+const stripComments = (content) => content
+  .replace(/("""|''')[\s\S]*?\1/g, '')
+  .replace(/#[^\n]*/g, '');
+
+// PEP 503 normalisation: "Flask_CORS" and "flask-cors" are the same package
+export const normalizeRequirement = (name) => name.toLowerCase().replace(/[-_.]+/g, '-');
+
+// Top-level module names; relative imports (from . import x) are skipped
+export const scanPythonImports = (content) => {
+  const modules = new Set();
+  const code = stripComments(content);
+  let match;
+
+  importRegex.lastIndex = 0;
+  while ((match = importRegex.exec(code)) !== null) {
+    for (const part of match[1].split(',')) {
+      modules.add(part.trim().split(/\s+/)[0].split('.')[0]);
+    }
+  }
+
+  fromImportRegex.lastIndex = 0;
+  while ((match = fromImportRegex.exec(code)) !== null) {
+    if (!match[1].startsWith('.')) modules.add(match[1].split('.')[0]);
+  }
+
+  return [...modules];
+};
+
+export const pythonPackageName = (module, localModules = new Set()) => {
+  if (PYTHON_STDLIB.has(module) || localModules.has(module)) return null;
+  return normalizeRequirement(PYTHON_IMPORT_PACKAGES[module] || module);
+};
+
+// "fastapi==0.111.0", "uvicorn[standard]>=0.30" → normalised package names.
+// Options (-r, --index-url) and comments are ignored.
+export const parseRequirements = (text = '') => text
+  .split('\n')
+  .map(line => line.replace(/#.*/, '').trim())
+  .filter(line => line && !line.startsWith('-'))
+  .map(line => normalizeRequirement(line.split(/[\s\[<>=!~;@]/)[0]))
+  .filter(Boolean);
+
+// The app's .py files, plus the names of its own top-level modules and
+// packages so they are not mistaken for PyPI packages
+export const collectPythonSources = async (appPath) => {
+  const sources = [];
+  const localModules = new Set();
+
+  const walk = async (dir) => {
+    for (const entry of await fs.readdir(dir, { withFileTypes: true })) {
+      const entryPath = path.join(dir, entry.name);
+
+      if (entry.isDirectory()) {
+        if (SKIPPED_DIRS.has(entry.name) || entry.name === 'node_modules') continue;
+        if (dir === appPath) localModules.add(entry.name);
+        await walk(entryPath);
+        continue;
+      }
+
+      if (!entry.isFile() || !entry.name.endsWith('.py')) continue;
+      if (dir === appPath) localModules.add(entry.name.slice(0, -3));
+
+      const relativePath = path.relative(appPath, entryPath).split(path.sep).join('/');
+      sources.push({ path: relativePath, content: await fs.readFile(entryPath, 'utf8') });
+    }
+  };
+  await walk(appPath);
+
+  return { sources, localModules };
+};
+
+// Returns the new requirements.txt text and what changed:
+//   added:  [{ name, version, known, files, requiredBy }]
+//   unused: [name]   (flagged, left in place)
+export const reconcileRequirements = (text, sources, { localModules = new Set() } = {}) => {
+  const imports = new Map();
+
+  for (const source of sources) {
+    for (const module of scanPythonImports(source.content)) {
+      const name = pythonPackageName(module, localModules);
+      if (!name) continue;
+
+      if (!imports.has(name)) imports.set(name, { files: [] });
+      const usage = imports.get(name);
+      if (!usage.files.includes(source.path)) usage.files.push(source.path);
+    }
+  }
+
+  for (const name of [...imports.keys()]) {
+    for (const peer of PYTHON_PEER_PACKAGES[name] || []) {
+      if (!imports.has(peer)) imports.set(peer, { files: [], requiredBy: name });
+    }
+  }
+
+  const declared = new Set(parseRequirements(text));
+  const lines = (text || '').split('\n').map(line => line.trimEnd());
+  while (lines.length && !lines[lines.length - 1]) lines.pop();
+  const added = [];
+
+  for (const [name, usage] of imports) {
+    if (declared.has(name)) continue;
+
+    const version = pythonVersionFor(name);
+    lines.push(version ? `${name}==${version}` : name);
+    added.push({ name, version: version || 'latest', known: Boolean(version), files: usage.files, requiredBy: usage.requiredBy || null });
+  }
+
+  const unused = [...declared].filter(name => !imports.has(name) && !PYTHON_IMPLICIT_PACKAGES.has(name));
+
+  return { content: `${lines.join('\n')}\n`, added, unused };
+};
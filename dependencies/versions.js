@@ -0,0 +1,145 @@
+// Curated versions for packages generated apps commonly import. Kept in line
+// with the versions the generation prompt asks for, so a reconciled
+// package.json matches what a well-behaved model would have written.
+export const PACKAGE_VERSIONS = {
+  // Server
+  'express': '^4.18.2',
+  'body-parser': '^2.2.0',
+  'cors': '^2.8.5',
+  'cookie-parser': '^1.4.6',
+  'express-session': '^1.18.2',
+  'express-rate-limit': '^7.4.0',
+  'express-validator': '^7.1.0',
+  'helmet': '^7.1.0',
+  'compression': '^1.7.4',
+  'morgan': '^1.10.0',
+  'multer': '^1.4.5-lts.1',
+  'dotenv': '^16.4.5',
+  'ejs': '^3.1.10',
+  'socket.io': '^4.7.5',
+  'ws': '^8.18.0',
+
+  // Data and auth
+  'sqlite3': '^5.1.7',
+  'sqlite': '^5.1.1',
+  'better-sqlite3': '^11.1.2',
+  'pg': '^8.12.0',
+  'bcrypt': '^6.0.0',
+  'bcryptjs': '^2.4.3',
+  'jsonwebtoken': '^9.0.2',
+  'uuid': '^9.0.1',
+  'nanoid': '^5.0.7',
+
+  // Frontend
+  'react': '^18.2.0',
+  'react-dom': '^18.2.0',
+  'react-router-dom': '^6.26.0',
+  'vue': '^3.3.0',
+  'vue-router': '^4.4.0',
+  'pinia': '^2.1.7',
+  'svelte': '^4.2.18',
+  'zustand': '^4.5.4',
+  'axios': '^1.7.2',
+  'socket.io-client': '^4.7.5',
+  'lucide-react': '^0.414.0',
+  'clsx': '^2.1.1',
+  'chart.js': '^4.4.3',
+  'react-chartjs-2': '^5.2.0',
+  'date-fns': '^3.6.0',
+  'dayjs': '^1.11.12',
+  'marked': '^13.0.2',
+
+  // Build tooling
+  'vite': '^5.0.0',
+  '@vitejs/plugin-react': '^4.2.1',
+  '@vitejs/plugin-vue': '^4.2.1',
+  '@sveltejs/vite-plugin-svelte': '^3.1.1',
+  'tailwindcss': '^4.1.11',
+  '@tailwindcss/postcss': '^4.1.11',
+  'postcss': '^8.4.39',
+  'autoprefixer': '^10.4.19',
+  'typescript': '^5.5.3',
+  'sass': '^1.77.8',
+  'less': '^4.2.0',
+  'nodemon': '^3.1.4',
+  'vitest': '^2.0.3',
+
+  // TypeScript: tsx runs .ts servers, so it is a runtime dependency
+  'tsx': '^4.16.2',
+  'vue-tsc': '^2.0.26',
+  'svelte-check': '^3.8.4',
+  '@types/node': '^20.14.10',
+  '@types/express': '^4.17.21',
+  '@types/cors': '^2.8.17',
+  '@types/cookie-parser': '^1.4.7',
+  '@types/express-session': '^1.18.0',
+  '@types/compression': '^1.7.5',
+  '@types/morgan': '^1.9.9',
+  '@types/multer': '^1.4.11',
+  '@types/ws': '^8.5.10',
+  '@types/better-sqlite3': '^7.6.11',
+  '@types/pg': '^8.11.6',
+  '@types/bcrypt': '^5.0.2',
+  '@types/bcryptjs': '^2.4.6',
+  '@types/jsonwebtoken': '^9.0.6',
+  '@types/uuid': '^9.0.8',
+  '@types/react': '^18.2.43',
+  '@types/react-dom': '^18.2.17'
+};
+
+// Packages that belong in devDependencies wherever they are imported from
+export const DEV_PACKAGES = new Set([
+  'vite',
+  '@vitejs/plugin-react',
+  '@vitejs/plugin-vue',
+  '@sveltejs/vite-plugin-svelte',
+  // Compiled away at build time
+  'svelte',
+  'tailwindcss',
+  '@tailwindcss/postcss',
+  'postcss',
+  'autoprefixer',
+  'typescript',
+  'sass',
+  'less',
+  'nodemon',
+  'vitest',
+  'vue-tsc',
+  'svelte-check'
+]);
+
+// Packages that don't work without others the app may never import itself
+// (the automatic JSX runtime needs react without an import, sqlite needs a driver)
+export const PEER_PACKAGES = {
+  'react-dom': ['react'],
+  'react-router-dom': ['react'],
+  'react-chartjs-2': ['react', 'chart.js'],
+  'lucide-react': ['react'],
+  '@vitejs/plugin-react': ['react', 'react-dom'],
+  '@vitejs/plugin-vue': ['vue'],
+  '@sveltejs/vite-plugin-svelte': ['svelte'],
+  'vue-router': ['vue'],
+  'pinia': ['vue'],
+  'sqlite': ['sqlite3']
+};
+
+// Packages whose types ship separately; added with them in TypeScript apps
+export const TYPE_PACKAGES = Object.fromEntries(
+  Object.keys(PACKAGE_VERSIONS)
+    .filter(name => name.startsWith('@types/') && name !== '@types/node')
+    .map(name => [name.slice('@types/'.length), name])
+);
+
+// Used without ever being imported (CLIs, peer plugins, type packages), so
+// never reported as unused
+export const IMPLICIT_PACKAGES = new Set([
+  ...DEV_PACKAGES,
+  'sqlite3',
+  // Loaded with node --import tsx by the TypeScript Dockerfiles
+  'tsx',
+  'concurrently',
+  'prettier',
+  'eslint'
+]);
+
+export const versionFor = (name) => PACKAGE_VERSIONS[name] || null;
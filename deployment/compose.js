@@ -0,0 +1,86 @@
+import fs from 'fs/promises';
+import path from 'path';
+import { DEPLOYMENT_PROFILES } from './profiles.js';
+import { readPackageJson } from './select.js';
+
+export const COMPOSE_FILE = 'docker-compose.yml';
+const WORKER_FILES = ['worker.js', 'worker.ts'];
+const POSTGRES_PACKAGES = ['pg', 'postgres'];
+
+// Credentials only reachable inside the compose network
+const POSTGRES = { image: 'postgres:16-alpine', user: 'app', password: 'app', database: 'app' };
+
+// --services (or the analysis) splits a fullstack app into a service group
+export const usesServices = (analysis = {}) => analysis.services === 'true';
+
+const readIfExists = async (filePath) => {
+  try {
+    return await fs.readFile(filePath, 'utf8');
+  } catch {
+    return null;
+  }
+};
+
+const runCommand = (file) => file.endsWith('.ts') ? ['node', '--import', 'tsx', file] : ['node', file];
+
+// Which services the app's files call for, built on the single-container
+// selection (deployment/select.js) for the shared template variables:
+//   web     Vite build served by nginx, which proxies /api/ to the API
+//   api     the server file, on the backend image
+//   worker  worker.js on the API image, no port
+//   db      Postgres, when the app depends on a Postgres driver
+// The published port goes to web, or to the API when there is no frontend.
+export const selectServices = async (appPath, analysis, deployment) => {
+  const packageJson = (await readPackageJson(appPath)) || {};
+  const dependencies = { ...packageJson.dependencies, ...packageJson.devDependencies };
+
+  const hasApi = deployment.appType !== 'frontend';
+  const hasWeb = deployment.hasBuild || deployment.rootFiles.includes('index.html');
+  let workerFile = null;
+  for (const file of WORKER_FILES) {
+    if ((await readIfExists(path.join(appPath, file))) !== null) {
+      workerFile = file;
+      break;
+    }
+  }
+  const postgres = POSTGRES_PACKAGES.some(name => dependencies[name]) || analysis.database === 'postgres';
+
+  const services = [];
+  if (hasWeb) services.push({ name: 'web', dockerfile: 'Dockerfile.web', template: DEPLOYMENT_PROFILES.frontend.template });
+  if (hasApi) services.push({ name: 'api', dockerfile: 'Dockerfile.api', template: DEPLOYMENT_PROFILES.backend.template, legacyTemplate: DEPLOYMENT_PROFILES.backend.legacyTemplate });
+  if (hasApi && workerFile) services.push({ name: 'worker', dockerfile: 'Dockerfile.api', command: runCommand(workerFile) });
+  if (postgres) services.push({ name: 'db', image: POSTGRES.image });
+
+  const published = hasWeb ? 'web' : 'api';
+
+  return {
+    services,
+    published,
+    web: hasWeb,
+    api: hasApi,
+    worker: Boolean(hasApi && workerFile),
+    workerCommand: workerFile ? runCommand(workerFile) : null,
+    postgres,
+    postgresConfig: POSTGRES,
+    databaseUrl: `postgres://${POSTGRES.user}:${POSTGRES.password}@db:5432/${POSTGRES.database}`,
+    reason: services.map(service => service.name).join(' + '),
+    // The published service is what the deploy waits on
+    healthCheck: hasWeb ? DEPLOYMENT_PROFILES.frontend.healthCheck : deployment.healthCheck
+  };
+};
+
+// `docker compose ps --format json` prints an array on older Compose
+// releases and one object per line on newer ones
+export const parseComposePs = (output) => {
+  const text = output.trim();
+  if (!text) return [];
+  const entries = text.startsWith('[') ? JSON.parse(text) : text.split('\n').map(line => JSON.parse(line));
+
+  return entries.map(entry => ({
+    name: entry.Service,
+    container: entry.Name,
+    state: entry.State,
+    status: entry.Status || entry.State,
+    health: entry.Health || null
+  }));
+};
@@ -0,0 +1,3 @@
+export { DEPLOYMENT_PROFILES, APP_TYPES, PYTHON_PROFILE } from './profiles.js';
+export { selectDeployment, findServerFile, findPythonServer } from './select.js';
+export { COMPOSE_FILE, usesServices, selectServices, parseComposePs } from './compose.js';
@@ -0,0 +1,37 @@
+// Blue-green deploys wait for this request to succeed before switching ports
+const NODE_HEALTH_CHECK = { path: '/', method: 'HEAD' };
+
+// How each kind of app is packaged. Every image serves on port 3000, so the
+// run and blue-green commands are the same for all of them.
+export const DEPLOYMENT_PROFILES = {
+  fullstack: {
+    description: 'Vite frontend built into dist/ and served by the Node.js server',
+    template: 'Dockerfile.fullstack.optimized',
+    legacyTemplate: 'Dockerfile.fullstack',
+    healthCheck: NODE_HEALTH_CHECK
+  },
+  backend: {
+    description: 'Node.js API server, no frontend build',
+    template: 'Dockerfile.backend.optimized',
+    legacyTemplate: 'Dockerfile.backend',
+    healthCheck: NODE_HEALTH_CHECK
+  },
+  frontend: {
+    description: 'Static site served by nginx, built with npm run build when there is a build script',
+    // nginx needs the multi-stage build either way
+    template: 'Dockerfile.frontend',
+    legacyTemplate: 'Dockerfile.frontend',
+    healthCheck: NODE_HEALTH_CHECK
+  }
+};
+
+export const APP_TYPES = Object.keys(DEPLOYMENT_PROFILES);
+
+// Python API servers deploy as backends but with their own image. The Python
+// generation prompt asks for a GET /health route, which the deploy waits on.
+export const PYTHON_PROFILE = {
+  description: 'Python API server, FastAPI under uvicorn or Flask under gunicorn',
+  template: 'Dockerfile.python',
+  legacyTemplate: 'Dockerfile.python',
+  healthCheck: { path: '/health', method: 'GET' }
+};
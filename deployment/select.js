@@ -0,0 +1,163 @@
+import fs from 'fs/promises';
+import path from 'path';
+import { DEPLOYMENT_PROFILES, PYTHON_PROFILE } from './profiles.js';
+import { frameworkProfile, usesTypeScript } from '../frameworks/index.js';
+
+const SERVER_FILES = ['server.js', 'app.js', 'index.js', 'main.js', 'server.ts', 'app.ts', 'index.ts', 'main.ts'];
+// A root-level script only counts as a server if it listens for requests
+const SERVER_PATTERN = /\.listen\s*\(|createServer\s*\(|\bserve\s*\(\s*\{/;
+const PYTHON_SERVER_FILES = ['main.py', 'app.py', 'server.py'];
+// A module-level `app = FastAPI(...)` or `app = Flask(__name__)`
+const PYTHON_APP_PATTERN = /^(\w+)\s*(?::[^=\n]+)?=\s*(FastAPI|Flask)\s*\(/m;
+const SQLITE_PACKAGES = ['sqlite3', 'sqlite', 'better-sqlite3'];
+// Root files that never go into the image
+const IGNORED_ROOT_FILES = new Set(['Dockerfile', 'Dockerfile.web', 'Dockerfile.api', 'docker-compose.yml', 'response.txt']);
+
+const readIfExists = async (filePath) => {
+  try {
+    return await fs.readFile(filePath, 'utf8');
+  } catch {
+    return null;
+  }
+};
+
+// null when package.json is there but not valid JSON. Selection then goes on
+// as if there were none, and the build reports the broken file.
+export const readPackageJson = async (appPath) => {
+  try {
+    return JSON.parse((await readIfExists(path.join(appPath, 'package.json'))) || '{}');
+  } catch {
+    return null;
+  }
+};
+
+export const findServerFile = async (appPath, preferred) => {
+  const candidates = [...new Set([preferred, ...SERVER_FILES].filter(file => file && file !== 'none'))];
+  for (const file of candidates) {
+    const content = await readIfExists(path.join(appPath, file));
+    if (content !== null && SERVER_PATTERN.test(content)) return file;
+  }
+  return null;
+};
+
+// The module and variable uvicorn or gunicorn is pointed at. Without a
+// recognisable app object, requirements.txt decides and `app` is assumed.
+export const findPythonServer = async (appPath, preferred) => {
+  const candidates = [...new Set([preferred, ...PYTHON_SERVER_FILES].filter(file => file?.endsWith('.py')))];
+  const existing = [];
+
+  for (const file of candidates) {
+    const content = await readIfExists(path.join(appPath, file));
+    if (content === null) continue;
+    existing.push(file);
+
+    const match = PYTHON_APP_PATTERN.exec(content);
+    if (match) {
+      return { file, module: file.slice(0, -3), variable: match[1], framework: match[2].toLowerCase() };
+    }
+  }
+
+  const requirements = await readIfExists(path.join(appPath, 'requirements.txt'));
+  if (requirements === null || existing.length === 0) return null;
+
+  return {
+    file: existing[0],
+    module: existing[0].slice(0, -3),
+    variable: 'app',
+    framework: /^fastapi\b/im.test(requirements) ? 'fastapi' : 'flask'
+  };
+};
+
+const listRootFiles = async (appPath) => {
+  const entries = await fs.readdir(appPath, { withFileTypes: true });
+  return entries
+    .filter(entry => entry.isFile() && !entry.name.startsWith('.') && !IGNORED_ROOT_FILES.has(entry.name))
+    .map(entry => entry.name)
+    .sort();
+};
+
+// Decides how to deploy the app from what is actually on disk, with the
+// analysis as a tie-breaker: a listening server plus a build script is
+// fullstack, a server alone is backend, anything else with an index.html or
+// build script is frontend. Returns the profile plus the template variables.
+export const selectDeployment = async (appPath, analysis = {}) => {
+  const parsedPackageJson = await readPackageJson(appPath);
+  const packageJson = parsedPackageJson || {};
+  const dependencies = { ...packageJson.dependencies, ...packageJson.devDependencies };
+  const rootFiles = await listRootFiles(appPath);
+
+  const serverFile = await findServerFile(appPath, analysis.serverFile);
+
+  // Without a Node.js server, a FastAPI or Flask app gets the Python image
+  const pythonServer = serverFile ? null : await findPythonServer(appPath, analysis.serverFile);
+  if (pythonServer) {
+    const label = pythonServer.framework === 'fastapi' ? 'FastAPI' : 'Flask';
+    let reason = `${pythonServer.file} creates a ${label} app`;
+    if (analysis.appType && analysis.appType !== 'backend') {
+      reason += ` (analysis said ${analysis.appType})`;
+    }
+
+    return {
+      appType: 'backend',
+      runtime: 'python',
+      reason,
+      ...PYTHON_PROFILE,
+      serverFile: pythonServer.file,
+      appModule: pythonServer.module,
+      appVariable: pythonServer.variable,
+      pythonServer: pythonServer.framework === 'fastapi' ? 'uvicorn' : 'gunicorn',
+      hasBuild: false,
+      typescript: false,
+      typeCheck: null,
+      tsServer: false,
+      sqlite: false,
+      rootFiles: rootFiles.filter(file => file !== 'requirements.txt')
+    };
+  }
+
+  const hasBuild = Boolean(packageJson.scripts?.build);
+  const hasIndexHtml = rootFiles.includes('index.html');
+
+  let appType;
+  let reason;
+  if (serverFile && hasBuild) {
+    appType = 'fullstack';
+    reason = `${serverFile} starts a server and package.json has a build script`;
+  } else if (serverFile) {
+    appType = 'backend';
+    reason = `${serverFile} starts a server and there is no build script`;
+  } else if (hasBuild || hasIndexHtml) {
+    appType = 'frontend';
+    reason = hasBuild ? 'build script but no server file' : 'index.html but no server file';
+  } else {
+    appType = DEPLOYMENT_PROFILES[analysis.appType] ? analysis.appType : 'fullstack';
+    reason = 'nothing to go by on disk, following the analysis';
+  }
+
+  // TypeScript apps are type-checked during the build; .ts servers run through tsx
+  const typescript = usesTypeScript(analysis, packageJson) || rootFiles.includes('tsconfig.json');
+  const typeCheck = typescript
+    ? (appType === 'backend' ? 'npx tsc -b' : frameworkProfile({ ...analysis, typescript: 'true' }, packageJson).typeCheck)
+    : null;
+
+  if (analysis.appType && analysis.appType !== appType) {
+    reason += ` (analysis said ${analysis.appType})`;
+  }
+  if (!parsedPackageJson) {
+    reason += ' (package.json is not valid JSON and was ignored)';
+  }
+
+  return {
+    appType,
+    runtime: 'node',
+    reason,
+    ...DEPLOYMENT_PROFILES[appType],
+    serverFile: serverFile || 'server.js',
+    hasBuild,
+    typescript,
+    typeCheck,
+    tsServer: Boolean(serverFile?.endsWith('.ts')),
+    sqlite: SQLITE_PACKAGES.some(name => dependencies[name]),
+    rootFiles: rootFiles.filter(file => file !== 'package.json' && file !== 'package-lock.json')
+  };
+};
@@ -0,0 +1,3 @@
+export { BUILTIN_RULES } from './rules.js';
+export { loadFixRules, fixRuleDirs, matchesConditions, ruleStages, STAGES as FIX_STAGES } from './registry.js';
+export { runFixRules, createFixContext } from './runner.js';
@@ -0,0 +1,113 @@
+import fs from 'fs/promises';
+import path from 'path';
+import os from 'os';
+import { pathToFileURL } from 'url';
+import { BUILTIN_RULES } from './rules.js';
+
+// Custom rules are .js files in fix-rules/ (project) or
+// ~/.config/cerebras-app-generator/fix-rules/ (user). A file exports one rule
+// as default, or several as `rules`. A rule with the id of an existing one
+// replaces it; { id, enabled: false } just switches it off.
+//
+//   export default {
+//     id: 'express-health-route',
+//     description: 'Every server gets a /health route',
+//     when: { files: ['server.js'] },
+//     check: async ({ read }) => !(await read('server.js')).includes('/health') && 'no /health route',
+//     fix: async ({ read, write }) => { …; return 'Added /health to server.js'; }
+//   };
+
+export const STAGES = ['create', 'improve'];
+// Custom rules run after the built-in ones unless they set an order
+const CUSTOM_ORDER = 1000;
+const CONDITION_KEYS = ['appType', 'framework', 'buildTool', 'styling', 'database', 'typescript'];
+
+// User rules load first so project rules win on the same id
+export const fixRuleDirs = () => [
+  path.join(os.homedir(), '.config', 'cerebras-app-generator', 'fix-rules'),
+  path.resolve('fix-rules')
+];
+
+const validateRule = (rule, source) => {
+  if (!rule || typeof rule.id !== 'string' || !rule.id) {
+    throw new Error(`${source}: every fix rule needs a string id`);
+  }
+  if (rule.enabled === false) return;
+
+  for (const hook of ['check', 'fix']) {
+    if (typeof rule[hook] !== 'function') {
+      throw new Error(`${source}: fix rule "${rule.id}" needs a ${hook}() function`);
+    }
+  }
+  for (const stage of rule.stages || []) {
+    if (!STAGES.includes(stage)) {
+      throw new Error(`${source}: fix rule "${rule.id}" has unknown stage "${stage}" (use ${STAGES.join(' or ')})`);
+    }
+  }
+};
+
+const loadRuleFiles = async (dir) => {
+  let entries;
+  try {
+    entries = await fs.readdir(dir);
+  } catch {
+    return [];
+  }
+
+  const rules = [];
+  for (const file of entries.filter(entry => /\.m?js$/.test(entry)).sort()) {
+    const source = path.join(dir, file);
+    const module = await import(pathToFileURL(source).href);
+    const exported = module.rules || (module.default ? [module.default] : []);
+
+    if (exported.length === 0) {
+      throw new Error(`${source} must export a fix rule as default or an array as rules`);
+    }
+    for (const rule of exported) {
+      validateRule(rule, source);
+      rules.push({ ...rule, source });
+    }
+  }
+  return rules;
+};
+
+// Returns every known rule in pipeline order, disabled ones included (for
+// the --fixes listing). `skip` disables rules by id for this run.
+export const loadFixRules = async ({ skip = [] } = {}) => {
+  const rules = new Map(BUILTIN_RULES.map(rule => [rule.id, { ...rule, source: 'built-in' }]));
+
+  for (const dir of fixRuleDirs()) {
+    for (const rule of await loadRuleFiles(dir)) {
+      const existing = rules.get(rule.id);
+      if (rule.enabled === false && existing) {
+        rules.set(rule.id, { ...existing, enabled: false, disabledBy: rule.source });
+      } else {
+        rules.set(rule.id, { order: existing?.order ?? CUSTOM_ORDER, ...rule });
+      }
+    }
+  }
+
+  for (const id of skip) {
+    if (!rules.has(id)) {
+      throw new Error(`Unknown fix rule "${id}". Available: ${[...rules.keys()].join(', ')}`);
+    }
+    rules.set(id, { ...rules.get(id), enabled: false, disabledBy: '--skip-fixes' });
+  }
+
+  // Array#sort is stable, so equal orders keep registration order
+  return [...rules.values()].sort((a, b) => (a.order ?? CUSTOM_ORDER) - (b.order ?? CUSTOM_ORDER));
+};
+
+export const ruleStages = (rule) => rule.stages || ['create'];
+
+// Does the rule apply to this app at this stage? File conditions are checked
+// by the runner, which has the app directory.
+export const matchesConditions = (rule, analysis = {}, stage = 'create') => {
+  if (rule.enabled === false || !ruleStages(rule).includes(stage)) return false;
+
+  return CONDITION_KEYS.every(key => {
+    const expected = rule.when?.[key];
+    if (expected === undefined) return true;
+    return [].concat(expected).includes(analysis[key]);
+  });
+};
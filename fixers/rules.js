@@ -0,0 +1,393 @@
+import { reconcileDependencies, collectSources, versionFor, reconcileRequirements, collectPythonSources } from '../dependencies/index.js';
+import { FRAMEWORK_PROFILES, frameworkProfile, usesTypeScript, entryHtml, viteConfig, findMountId, tsconfigFor } from '../frameworks/index.js';
+import { findServerFile, findPythonServer } from '../deployment/index.js';
+
+// Built-in post-generation fixers. Each rule declares:
+//   id           unique name, used by --skip-fixes and to override the rule
+//   description  what the rule is for (shown by --fixes)
+//   order        position in the pipeline, lower runs first
+//   stages       'create' (after generation) and/or 'improve' (after --improve)
+//   when         conditions on the analysis (appType, framework, buildTool,
+//                styling, database, typescript) and on files that must exist (files)
+//   check(ctx)   returns a description of the problem, or nothing when fine
+//   fix(ctx)     makes the change and returns what it did (string or array)
+
+const postcssConfig = `import tailwindcss from "@tailwindcss/postcss";
+
+export default {
+  plugins: [tailwindcss]
+}`;
+
+const localDirs = async (ctx) => new Set(
+  (await ctx.list('.')).filter(entry => entry.isDirectory()).map(entry => entry.name)
+);
+
+const readPackageJson = async ({ read, readJson }) => (await read('package.json')) !== null ? readJson('package.json') : {};
+
+const profileFor = async (ctx) => frameworkProfile(ctx.analysis, await readPackageJson(ctx));
+
+const VITE_CONFIGS = ['vite.config.js', 'vite.config.mjs', 'vite.config.ts'];
+
+const findViteConfig = async ({ exists }) => {
+  for (const file of VITE_CONFIGS) {
+    if (await exists(file)) return file;
+  }
+  return null;
+};
+
+// The framework plugin a Vite config imports: { name, statement, local } or null
+const configuredPlugin = (config) => {
+  for (const [name, profile] of Object.entries(FRAMEWORK_PROFILES)) {
+    if (!profile.plugin) continue;
+    const match = new RegExp(`import\\s+(\\{\\s*\\w+\\s*\\}|\\w+)\\s+from\\s+['"]${profile.plugin.package}['"];?`).exec(config);
+    if (match) return { name, statement: match[0], local: match[1].replace(/[{}\s]/g, '') };
+  }
+  return null;
+};
+
+// TypeScript by the analysis, package.json or the sources the model wrote
+const isTypeScriptApp = async (ctx) => {
+  if (usesTypeScript(ctx.analysis, await readPackageJson(ctx))) return true;
+  const server = await findServerFile(ctx.appPath, ctx.analysis.serverFile);
+  return Boolean(server?.endsWith('.ts')) || (await ctx.exists('src/main.ts')) || (await ctx.exists('src/main.tsx'));
+};
+
+// FastAPI and Flask apps are found on disk, whatever the analysis said
+const pythonServerFor = (ctx) => findPythonServer(ctx.appPath, ctx.analysis.serverFile);
+
+const requirementsFor = async (ctx) => {
+  const { sources, localModules } = await collectPythonSources(ctx.appPath);
+  return reconcileRequirements((await ctx.read('requirements.txt')) || '', sources, { localModules });
+};
+
+const HEALTH_ROUTE = /["']\/health["']/;
+
+const ENTRY_SCRIPT = /<script[^>]*type=["']module["'][^>]*src=["']\/?([^"']+)["'][^>]*>/;
+
+// What's wrong with index.html's entry script and mount point:
+// { entry: { from, to } | null, mountId: string | null }
+const entryProblems = async (ctx) => {
+  const profile = await profileFor(ctx);
+  const html = await ctx.read('index.html');
+  const script = ENTRY_SCRIPT.exec(html);
+  let entryFile = script?.[1];
+  let entry = null;
+
+  if (entryFile && !(await ctx.exists(entryFile))) {
+    const candidates = [profile.entry, 'src/main.js', 'src/main.jsx', 'src/main.ts', 'src/main.tsx'];
+    let to = null;
+    for (const candidate of candidates) {
+      if (await ctx.exists(candidate)) {
+        to = candidate;
+        break;
+      }
+    }
+    if (to) {
+      entry = { from: entryFile, to };
+      entryFile = to;
+    }
+  }
+
+  const source = entryFile && await ctx.read(entryFile);
+  const mountId = source && findMountId(source);
+  const mounted = mountId && new RegExp(`id=["']${mountId}["']`).test(html);
+
+  return { entry, mountId: mountId && !mounted ? mountId : null };
+};
+
+export const BUILTIN_RULES = [
+  {
+    id: 'package-type-module',
+    description: 'Add "type": "module" to package.json so ES module imports work',
+    order: 10,
+    when: { files: ['package.json'] },
+    check: async ({ readJson }) => !(await readJson('package.json')).type && 'package.json has no "type"',
+    fix: async ({ readJson, writeJson }) => {
+      const packageJson = await readJson('package.json');
+      packageJson.type = 'module';
+      await writeJson('package.json', packageJson);
+      return 'Added "type": "module" to package.json';
+    }
+  },
+
+  {
+    // Runs before reconcile-dependencies so a plugin it adds gets declared
+    id: 'vite-framework-plugin',
+    description: "Create vite.config.js with the framework's plugin, or swap in the right one when it loads another framework's",
+    order: 15,
+    when: { appType: ['frontend', 'fullstack'], buildTool: 'vite' },
+    check: async (ctx) => {
+      const profile = await profileFor(ctx);
+      const file = await findViteConfig(ctx);
+      if (!file) return 'vite.config.js is missing';
+      if (!profile.plugin) return false;
+
+      const configured = configuredPlugin(await ctx.read(file));
+      if (!configured) return `${file} does not load ${profile.plugin.package}`;
+      return configured.name !== profile.name && `${file} loads ${FRAMEWORK_PROFILES[configured.name].plugin.package} instead of ${profile.plugin.package}`;
+    },
+    fix: async (ctx) => {
+      const profile = await profileFor(ctx);
+      const file = await findViteConfig(ctx);
+      if (!file) {
+        await ctx.write('vite.config.js', viteConfig(profile));
+        return 'Created missing vite.config.js';
+      }
+
+      const config = await ctx.read(file);
+      const configured = configuredPlugin(config);
+      const call = profile.plugin.call.replace('()', '');
+
+      if (configured) {
+        const replaced = config
+          .replace(configured.statement, profile.plugin.import)
+          .replace(new RegExp(`\\b${configured.local}\\(`, 'g'), `${call}(`);
+        await ctx.write(file, replaced);
+        return `Replaced ${FRAMEWORK_PROFILES[configured.name].plugin.package} with ${profile.plugin.package} in ${file}`;
+      }
+
+      if (/plugins\s*:\s*\[/.test(config)) {
+        const withPlugin = `${profile.plugin.import}\n${config}`.replace(/plugins\s*:\s*\[\s*/, match => `${match}${profile.plugin.call}, `);
+        await ctx.write(file, withPlugin.replace(`${profile.plugin.call}, ]`, `${profile.plugin.call}]`));
+        return `Added ${profile.plugin.package} to ${file}`;
+      }
+
+      ctx.warn(`${file} has no plugins array, add ${profile.plugin.call} by hand`);
+      return [];
+    }
+  },
+
+  {
+    id: 'reconcile-dependencies',
+    description: 'Declare every imported package from the curated version table and drop unused runtime dependencies',
+    order: 20,
+    stages: ['create', 'improve'],
+    when: { files: ['package.json'] },
+    check: async (ctx) => {
+      // Dry run on a copy
+      const { added, removed } = reconcileDependencies(structuredClone(await ctx.readJson('package.json')), await collectSources(ctx.appPath), { localDirs: await localDirs(ctx) });
+      return (added.length > 0 || removed.length > 0) && `${added.length} missing and ${removed.length} unused packages`;
+    },
+    fix: async (ctx) => {
+      const packageJson = await ctx.readJson('package.json');
+      const { added, removed, unused } = reconcileDependencies(packageJson, await collectSources(ctx.appPath), { localDirs: await localDirs(ctx) });
+      await ctx.writeJson('package.json', packageJson);
+
+      for (const dependency of added.filter(dependency => !dependency.known)) {
+        ctx.warn(`${dependency.name} is not in the curated version table, pinned to "latest"`);
+      }
+      for (const dependency of unused) {
+        ctx.warn(`${dependency.name} in ${dependency.section} looks unused`);
+      }
+
+      return [
+        ...added.map(dependency => {
+          const section = dependency.dev ? 'devDependencies' : 'dependencies';
+          const reason = dependency.requiredBy ? `required by ${dependency.requiredBy}` : `imported in ${dependency.files.join(', ')}`;
+          return `Added ${dependency.name}@${dependency.version} to ${section} (${reason})`;
+        }),
+        ...removed.map(dependency => `Removed unused dependency ${dependency.name} (never imported or referenced)`)
+      ];
+    }
+  },
+
+  {
+    // Runs after reconcile-dependencies, which may have put tsx in devDependencies
+    id: 'typescript-server-runtime',
+    description: 'A .ts server runs through tsx in the image, so tsx must be a runtime dependency with a start script',
+    order: 22,
+    stages: ['create', 'improve'],
+    when: { appType: ['backend', 'fullstack'], files: ['package.json'] },
+    check: async (ctx) => {
+      const server = await findServerFile(ctx.appPath, ctx.analysis.serverFile);
+      if (!server?.endsWith('.ts')) return false;
+      const { dependencies, scripts } = await ctx.readJson('package.json');
+      return (!dependencies?.tsx || !scripts?.start) && `${server} has no tsx runtime`;
+    },
+    fix: async (ctx) => {
+      const server = await findServerFile(ctx.appPath, ctx.analysis.serverFile);
+      const packageJson = await ctx.readJson('package.json');
+      const changes = [];
+
+      if (!packageJson.dependencies?.tsx) {
+        const version = packageJson.devDependencies?.tsx || versionFor('tsx');
+        delete packageJson.devDependencies?.tsx;
+        packageJson.dependencies = Object.fromEntries(Object.entries({ ...packageJson.dependencies, tsx: version }).sort(([a], [b]) => a.localeCompare(b)));
+        changes.push(`Added tsx@${version} to dependencies to run ${server}`);
+      }
+      if (!packageJson.scripts?.start) {
+        packageJson.scripts = { ...packageJson.scripts, start: `tsx ${server}` };
+        changes.push(`Added "start": "tsx ${server}" to package.json`);
+      }
+
+      await ctx.writeJson('package.json', packageJson);
+      return changes;
+    }
+  },
+
+  {
+    id: 'typescript-tsconfig',
+    description: 'Create tsconfig.json for TypeScript apps (strict, no emit, typed for Node and/or Vite)',
+    order: 25,
+    stages: ['create', 'improve'],
+    check: async (ctx) => (await isTypeScriptApp(ctx)) && !(await ctx.exists('tsconfig.json')) && 'tsconfig.json is missing',
+    fix: async (ctx) => {
+      const server = await findServerFile(ctx.appPath, ctx.analysis.serverFile);
+      const ui = (await ctx.exists('index.html')) || ctx.analysis.appType === 'frontend';
+      await ctx.writeJson('tsconfig.json', tsconfigFor(await profileFor(ctx), { ui, server: Boolean(server) }));
+      return 'Created missing tsconfig.json';
+    }
+  },
+
+  {
+    id: 'reconcile-requirements',
+    description: 'Declare every package a Python app imports in requirements.txt, pinned from the curated version table',
+    order: 20,
+    stages: ['create', 'improve'],
+    check: async (ctx) => {
+      if (!(await pythonServerFor(ctx))) return false;
+      if (!(await ctx.exists('requirements.txt'))) return 'requirements.txt is missing';
+      const { added } = await requirementsFor(ctx);
+      return added.length > 0 && `${added.length} packages missing from requirements.txt`;
+    },
+    fix: async (ctx) => {
+      const { content, added, unused } = await requirementsFor(ctx);
+      await ctx.write('requirements.txt', content);
+
+      for (const requirement of added.filter(requirement => !requirement.known)) {
+        ctx.warn(`${requirement.name} is not in the curated version table, left unpinned`);
+      }
+      for (const name of unused) {
+        ctx.warn(`${name} in requirements.txt looks unused`);
+      }
+
+      return added.map(requirement => {
+        const reason = requirement.requiredBy ? `required by ${requirement.requiredBy}` : `imported in ${requirement.files.join(', ')}`;
+        return `Added ${requirement.known ? `${requirement.name}==${requirement.version}` : requirement.name} to requirements.txt (${reason})`;
+      });
+    }
+  },
+
+  {
+    id: 'python-health-route',
+    description: 'Python apps are deployed once GET /health answers, so the app object needs that route',
+    order: 26,
+    stages: ['create', 'improve'],
+    check: async (ctx) => {
+      const server = await pythonServerFor(ctx);
+      return server && !HEALTH_ROUTE.test(await ctx.read(server.file)) && `${server.file} has no /health route`;
+    },
+    fix: async (ctx) => {
+      const server = await pythonServerFor(ctx);
+      const source = await ctx.read(server.file);
+      const route = `@${server.variable}.get("/health")\ndef health():\n    return {"status": "ok"}\n`;
+
+      // Registered before the __main__ block so running the file directly serves it too
+      const main = /^if __name__ == ["']__main__["']:/m.exec(source);
+      const updated = main
+        ? `${source.slice(0, main.index)}${route}\n\n${source.slice(main.index)}`
+        : `${source.trimEnd()}\n\n\n${route}`;
+
+      await ctx.write(server.file, updated);
+      return `Added a GET /health route to ${server.file}`;
+    }
+  },
+
+  {
+    id: 'tailwind-postcss-dependency',
+    description: 'Tailwind CSS v4 needs @tailwindcss/postcss next to tailwindcss',
+    order: 30,
+    when: { styling: 'tailwind', files: ['package.json'] },
+    check: async ({ readJson }) => {
+      const { devDependencies } = await readJson('package.json');
+      return devDependencies?.tailwindcss && !devDependencies['@tailwindcss/postcss'] && '@tailwindcss/postcss is missing';
+    },
+    fix: async ({ readJson, writeJson }) => {
+      const packageJson = await readJson('package.json');
+      packageJson.devDependencies['@tailwindcss/postcss'] = '^4.1.11';
+      await writeJson('package.json', packageJson);
+      return 'Added @tailwindcss/postcss dependency to package.json';
+    }
+  },
+
+  {
+    // Vite builds start from index.html; API-only apps have none
+    id: 'vite-index-html',
+    description: "Create index.html (or fill an empty one) with the framework's mount point and entry module",
+    order: 40,
+    when: { appType: ['frontend', 'fullstack'], buildTool: 'vite' },
+    check: async ({ read }) => {
+      const content = await read('index.html');
+      if (content === null) return 'index.html is missing';
+      return !content.trim() && 'index.html is empty';
+    },
+    fix: async (ctx) => {
+      const existed = (await ctx.read('index.html')) !== null;
+      const packageJson = await readPackageJson(ctx);
+      await ctx.write('index.html', entryHtml(await profileFor(ctx), packageJson.name || 'App'));
+      return existed ? 'Generated proper index.html content' : 'Created missing index.html file';
+    }
+  },
+
+  {
+    // A React-shaped index.html in a Vue app loads /src/main.jsx into #root
+    id: 'vite-entry-script',
+    description: 'Point the index.html module script at the entry file that exists and add the element it mounts into',
+    order: 45,
+    when: { appType: ['frontend', 'fullstack'], buildTool: 'vite', files: ['index.html'] },
+    check: async (ctx) => {
+      const { entry, mountId } = await entryProblems(ctx);
+      return [entry && `index.html loads missing ${entry.from}`, mountId && `index.html has no #${mountId}`].filter(Boolean).join(', ');
+    },
+    fix: async (ctx) => {
+      const { entry, mountId } = await entryProblems(ctx);
+      let html = await ctx.read('index.html');
+      const changes = [];
+
+      if (entry) {
+        html = html.replace(ENTRY_SCRIPT, tag => tag.replace(entry.from, entry.to));
+        changes.push(`Pointed index.html at /${entry.to} instead of /${entry.from}`);
+      }
+      if (mountId) {
+        const mount = `<div id="${mountId}"></div>`;
+        html = /<script[^>]*type=["']module["']/.test(html)
+          ? html.replace(/(\s*)(<script[^>]*type=["']module["'])/, `$1${mount}$1$2`)
+          : html.replace('</body>', `  ${mount}\n  </body>`);
+        changes.push(`Added ${mount} to index.html`);
+      }
+
+      await ctx.write('index.html', html);
+      return changes;
+    }
+  },
+
+  {
+    id: 'tailwind-postcss-config',
+    description: 'Create postcss.config.js with the Tailwind CSS v4 plugin',
+    order: 50,
+    when: { styling: 'tailwind', files: ['package.json'] },
+    check: async ({ readJson, exists }) =>
+      (await readJson('package.json')).devDependencies?.tailwindcss && !(await exists('postcss.config.js')) && 'postcss.config.js is missing',
+    fix: async ({ write }) => {
+      await write('postcss.config.js', postcssConfig);
+      return 'Created missing postcss.config.js for Tailwind CSS v4';
+    }
+  },
+
+  {
+    id: 'tailwind-v4-css-import',
+    description: 'Replace old @tailwind directives with @import "tailwindcss" in src/index.css',
+    order: 60,
+    when: { styling: 'tailwind', files: ['package.json', 'src/index.css'] },
+    check: async ({ read, readJson }) => {
+      if (!(await readJson('package.json')).devDependencies?.tailwindcss) return false;
+      const css = await read('src/index.css');
+      return css.includes('@tailwind') && !css.includes('@import "tailwindcss"') && 'src/index.css uses @tailwind directives';
+    },
+    fix: async ({ read, write }) => {
+      const css = await read('src/index.css');
+      await write('src/index.css', css.replace(/@tailwind\s+[^;]+;/g, '@import "tailwindcss";'));
+      return 'Updated CSS file to use Tailwind CSS v4 @import syntax';
+    }
+  }
+];
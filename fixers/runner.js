@@ -0,0 +1,76 @@
+import fs from 'fs/promises';
+import path from 'path';
+import { matchesConditions } from './registry.js';
+
+// The helpers every rule receives. Paths are relative to the app directory.
+export const createFixContext = (appPath, analysis, stage) => {
+  const resolve = (relativePath) => path.join(appPath, relativePath);
+  const warnings = [];
+  const written = [];
+
+  const read = async (relativePath) => {
+    try {
+      return await fs.readFile(resolve(relativePath), 'utf8');
+    } catch (error) {
+      if (error.code === 'ENOENT') return null;
+      throw error;
+    }
+  };
+
+  const write = async (relativePath, content) => {
+    await fs.mkdir(path.dirname(resolve(relativePath)), { recursive: true });
+    await fs.writeFile(resolve(relativePath), content);
+    if (!written.includes(relativePath)) written.push(relativePath);
+  };
+
+  return {
+    appPath,
+    analysis,
+    stage,
+    warnings,
+    written,
+    resolve,
+    read,
+    write,
+    exists: async (relativePath) => (await read(relativePath)) !== null,
+    list: (relativePath) => fs.readdir(resolve(relativePath), { withFileTypes: true }),
+    readJson: async (relativePath) => JSON.parse(await read(relativePath)),
+    writeJson: (relativePath, data) => write(relativePath, JSON.stringify(data, null, 2)),
+    warn: (message) => warnings.push(message)
+  };
+};
+
+// Runs the rules in order. One rule failing doesn't stop the others.
+// Returns one entry per rule that fired: { rule, issue, changes, files,
+// warnings } or { rule, error }.
+export const runFixRules = async (rules, appPath, { analysis = {}, stage = 'create', onResult = () => {} } = {}) => {
+  const results = [];
+
+  for (const rule of rules) {
+    if (!matchesConditions(rule, analysis, stage)) continue;
+
+    const context = createFixContext(appPath, analysis, stage);
+    let result;
+
+    try {
+      const missing = [];
+      for (const file of [].concat(rule.when?.files || [])) {
+        if (!(await context.exists(file))) missing.push(file);
+      }
+      if (missing.length > 0) continue;
+
+      const issue = await rule.check(context);
+      if (!issue) continue;
+
+      const changes = [].concat((await rule.fix(context)) || []);
+      result = { rule: rule.id, issue: typeof issue === 'string' ? issue : null, changes, files: context.written, warnings: context.warnings };
+    } catch (error) {
+      result = { rule: rule.id, error: error.message };
+    }
+
+    results.push(result);
+    onResult(result);
+  }
+
+  return results;
+};
@@ -0,0 +1,3 @@
+export { FRAMEWORK_PROFILES, resolveFramework, usesTypeScript, frameworkProfile, entryHtml, viteConfig, scaffoldPackageJson, findMountId } from './profiles.js';
+export { tsconfigFor } from './typescript.js';
+export { PYTHON_FRAMEWORKS, isPythonFramework } from './python.js';
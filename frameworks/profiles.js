@@ -0,0 +1,277 @@
+import { versionFor } from '../dependencies/index.js';
+
+// What a Vite app looks like for each UI framework. Scaffolding, the
+// critical-file check and the fix rules all read from here, so they agree
+// with what the prompts ask for.
+//   viteTemplate     create-vite template name
+//   createVite       create-vite version to scaffold with (default: latest)
+//   entry            module that index.html loads
+//   mountId          element the app mounts into
+//   criticalFiles    files the build can't do without
+//   plugin           Vite plugin: package, import line and call
+//   dependencies / devDependencies   names only; versions come from dependencies/versions.js
+//   starter          minimal source files for the manual scaffold
+//   typescript       the same fields for the TypeScript layout, plus the
+//                    typeCheck command the Docker build runs. Build mode (-b)
+//                    follows the references of create-vite's solution-style
+//                    tsconfig.json, which checks nothing under --noEmit.
+export const FRAMEWORK_PROFILES = {
+  react: {
+    viteTemplate: 'react',
+    entry: 'src/main.jsx',
+    mountId: 'root',
+    criticalFiles: ['index.html', 'src/main.jsx', 'src/App.jsx'],
+    plugin: { package: '@vitejs/plugin-react', import: "import react from '@vitejs/plugin-react'", call: 'react()' },
+    dependencies: ['react', 'react-dom'],
+    devDependencies: ['vite', '@vitejs/plugin-react'],
+    // The React starter is the create-vite one in createManualViteSetup
+    starter: null,
+    typescript: {
+      viteTemplate: 'react-ts',
+      entry: 'src/main.tsx',
+      criticalFiles: ['index.html', 'src/main.tsx', 'src/App.tsx', 'tsconfig.json'],
+      devDependencies: ['vite', '@vitejs/plugin-react', 'typescript', '@types/react', '@types/react-dom'],
+      typeCheck: 'npx tsc -b',
+      starter: {
+        'src/main.tsx': `import React from 'react'
+import ReactDOM from 'react-dom/client'
+import App from './App'
+import './index.css'
+
+ReactDOM.createRoot(document.getElementById('root')!).render(
+  <React.StrictMode>
+    <App />
+  </React.StrictMode>,
+)
+`,
+        'src/App.tsx': `import { useState } from 'react'
+
+function App() {
+  const [count, setCount] = useState<number>(0)
+
+  return (
+    <>
+      <h1>Vite + React</h1>
+      <button onClick={() => setCount((count) => count + 1)}>count is {count}</button>
+    </>
+  )
+}
+
+export default App
+`
+      }
+    }
+  },
+
+  vue: {
+    viteTemplate: 'vue',
+    entry: 'src/main.js',
+    mountId: 'app',
+    criticalFiles: ['index.html', 'src/main.js', 'src/App.vue'],
+    plugin: { package: '@vitejs/plugin-vue', import: "import vue from '@vitejs/plugin-vue'", call: 'vue()' },
+    dependencies: ['vue'],
+    devDependencies: ['vite', '@vitejs/plugin-vue'],
+    starter: {
+      'src/main.js': `import { createApp } from 'vue'
+import App from './App.vue'
+import './index.css'
+
+createApp(App).mount('#app')
+`,
+      'src/App.vue': `<script setup>
+import { ref } from 'vue'
+
+const count = ref(0)
+</script>
+
+<template>
+  <h1>Vite + Vue</h1>
+  <button type="button" @click="count++">count is {{ count }}</button>
+</template>
+`
+    },
+    typescript: {
+      viteTemplate: 'vue-ts',
+      entry: 'src/main.ts',
+      criticalFiles: ['index.html', 'src/main.ts', 'src/App.vue', 'tsconfig.json'],
+      devDependencies: ['vite', '@vitejs/plugin-vue', 'typescript', 'vue-tsc'],
+      typeCheck: 'npx vue-tsc -b',
+      starter: {
+        'src/main.ts': `import { createApp } from 'vue'
+import App from './App.vue'
+import './index.css'
+
+createApp(App).mount('#app')
+`,
+        'src/App.vue': `<script setup lang="ts">
+import { ref } from 'vue'
+
+const count = ref<number>(0)
+</script>
+
+<template>
+  <h1>Vite + Vue</h1>
+  <button type="button" @click="count++">count is {{ count }}</button>
+</template>
+`
+      }
+    }
+  },
+
+  svelte: {
+    viteTemplate: 'svelte',
+    // The last release whose Svelte templates are Svelte 4, the API the
+    // prompts and starters use; later ones scaffold Svelte 5
+    createVite: '5.5.3',
+    entry: 'src/main.js',
+    mountId: 'app',
+    criticalFiles: ['index.html', 'src/main.js', 'src/App.svelte'],
+    plugin: { package: '@sveltejs/vite-plugin-svelte', import: "import { svelte } from '@sveltejs/vite-plugin-svelte'", call: 'svelte()' },
+    dependencies: [],
+    devDependencies: ['vite', '@sveltejs/vite-plugin-svelte', 'svelte'],
+    starter: {
+      'src/main.js': `import App from './App.svelte'
+import './index.css'
+
+const app = new App({
+  target: document.getElementById('app')
+})
+
+export default app
+`,
+      'src/App.svelte': `<script>
+  let count = 0
+</script>
+
+<h1>Vite + Svelte</h1>
+<button on:click={() => count += 1}>count is {count}</button>
+`
+    },
+    typescript: {
+      viteTemplate: 'svelte-ts',
+      entry: 'src/main.ts',
+      criticalFiles: ['index.html', 'src/main.ts', 'src/App.svelte', 'tsconfig.json'],
+      devDependencies: ['vite', '@sveltejs/vite-plugin-svelte', 'svelte', 'typescript', 'svelte-check'],
+      // Machine output is one diagnostic per line, which parseTypeErrors reads
+      typeCheck: 'npx svelte-check --output machine',
+      starter: {
+        'src/main.ts': `import App from './App.svelte'
+import './index.css'
+
+const app = new App({
+  target: document.getElementById('app')!
+})
+
+export default app
+`,
+        'src/App.svelte': `<script lang="ts">
+  let count: number = 0
+</script>
+
+<h1>Vite + Svelte</h1>
+<button on:click={() => count += 1}>count is {count}</button>
+`
+      }
+    }
+  },
+
+  vanilla: {
+    viteTemplate: 'vanilla',
+    entry: 'src/main.js',
+    mountId: 'app',
+    criticalFiles: ['index.html', 'src/main.js'],
+    plugin: null,
+    dependencies: [],
+    devDependencies: ['vite'],
+    starter: {
+      'src/main.js': `import './index.css'
+
+document.querySelector('#app').innerHTML = '<h1>Hello Vite!</h1>'
+`
+    },
+    typescript: {
+      viteTemplate: 'vanilla-ts',
+      entry: 'src/main.ts',
+      criticalFiles: ['index.html', 'src/main.ts', 'tsconfig.json'],
+      devDependencies: ['vite', 'typescript'],
+      typeCheck: 'npx tsc -b',
+      starter: {
+        'src/main.ts': `import './index.css'
+
+document.querySelector<HTMLDivElement>('#app')!.innerHTML = '<h1>Hello Vite!</h1>'
+`
+      }
+    }
+  }
+};
+
+// The analysis names the framework for frontend apps; fullstack apps often
+// say "express", so the UI framework is then read from package.json
+export const resolveFramework = (analysis = {}, packageJson = {}) => {
+  if (FRAMEWORK_PROFILES[analysis.framework]) return analysis.framework;
+
+  const dependencies = { ...packageJson.dependencies, ...packageJson.devDependencies };
+  return ['react', 'vue', 'svelte'].find(name => dependencies[name]) || 'vanilla';
+};
+
+// --typescript (or the analysis) decides for new apps, a declared typescript
+// dependency for existing ones
+export const usesTypeScript = (analysis = {}, packageJson = {}) =>
+  analysis.typescript === 'true' || Boolean(packageJson.dependencies?.typescript || packageJson.devDependencies?.typescript);
+
+// The profile with its TypeScript layout swapped in when the app uses it
+export const frameworkProfile = (analysis = {}, packageJson = {}) => {
+  const name = resolveFramework(analysis, packageJson);
+  const { typescript, ...profile } = FRAMEWORK_PROFILES[name];
+  return usesTypeScript(analysis, packageJson)
+    ? { ...profile, ...typescript, name, typescript: true }
+    : { ...profile, name, typescript: false, typeCheck: null };
+};
+
+export const entryHtml = (profile, title) => `<!DOCTYPE html>
+<html lang="en">
+  <head>
+    <meta charset="UTF-8" />
+    <meta name="viewport" content="width=device-width, initial-scale=1.0" />
+    <title>${title}</title>
+  </head>
+  <body>
+    <div id="${profile.mountId}"></div>
+    <script type="module" src="/${profile.entry}"></script>
+  </body>
+</html>`;
+
+export const viteConfig = (profile) => profile.plugin
+  ? `import { defineConfig } from 'vite'
+${profile.plugin.import}
+
+export default defineConfig({
+  plugins: [${profile.plugin.call}],
+})`
+  : `import { defineConfig } from 'vite'
+
+export default defineConfig({})`;
+
+export const scaffoldPackageJson = (profile, name) => {
+  const section = (names) => Object.fromEntries(names.map(dependency => [dependency, versionFor(dependency)]));
+  return {
+    name,
+    private: true,
+    version: '0.0.0',
+    type: 'module',
+    scripts: {
+      dev: 'vite',
+      build: 'vite build',
+      preview: 'vite preview'
+    },
+    dependencies: section(profile.dependencies),
+    devDependencies: section(profile.devDependencies)
+  };
+};
+
+// The element id the entry module mounts into, if it can be read off:
+// getElementById('root'), mount('#app'), querySelector('#app')
+export const findMountId = (entrySource) => {
+  const match = /getElementById\(\s*['"]([\w-]+)['"]\s*\)|(?:mount|querySelector)\(\s*['"]#([\w-]+)['"]\s*\)/.exec(entrySource);
+  return match ? match[1] || match[2] : null;
+};
@@ -0,0 +1,23 @@
+// Python backends the analysis can pick instead of a Node.js server. The
+// generation prompt, the requirements fix rule and the Python Dockerfile all
+// read from here.
+//   label        name used in prompts and logs
+//   serverFile   module that creates the app object
+//   packages     what requirements.txt always needs (framework plus its server)
+//   command      how the image serves it
+export const PYTHON_FRAMEWORKS = {
+  fastapi: {
+    label: 'FastAPI',
+    serverFile: 'main.py',
+    packages: ['fastapi', 'uvicorn'],
+    command: 'uvicorn main:app --host 0.0.0.0 --port 3000'
+  },
+  flask: {
+    label: 'Flask',
+    serverFile: 'app.py',
+    packages: ['flask', 'gunicorn'],
+    command: 'gunicorn --bind 0.0.0.0:3000 app:app'
+  }
+};
+
+export const isPythonFramework = (name) => Boolean(PYTHON_FRAMEWORKS[name]);
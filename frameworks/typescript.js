@@ -0,0 +1,26 @@
+// tsconfig.json for the TypeScript layout. One config covers the client and
+// the server: Vite and tsx both resolve imports like a bundler, and nothing
+// is emitted, since Vite builds the client and tsx runs the server.
+export const tsconfigFor = (profile, { ui = true, server = false } = {}) => {
+  const types = [...(server ? ['node'] : []), ...(ui ? ['vite/client'] : [])];
+  const include = ['**/*.ts', ...(profile.name === 'react' ? ['**/*.tsx'] : []), ...(profile.name === 'vue' ? ['src/**/*.vue'] : []), ...(profile.name === 'svelte' ? ['src/**/*.svelte'] : [])];
+
+  return {
+    compilerOptions: {
+      target: 'ES2022',
+      lib: ui ? ['ES2022', 'DOM', 'DOM.Iterable'] : ['ES2022'],
+      module: 'ESNext',
+      moduleResolution: 'bundler',
+      ...(profile.name === 'react' && { jsx: 'react-jsx' }),
+      types,
+      strict: true,
+      noEmit: true,
+      isolatedModules: true,
+      esModuleInterop: true,
+      resolveJsonModule: true,
+      skipLibCheck: true
+    },
+    include,
+    exclude: ['node_modules', 'dist', 'build', 'data', '.backups', '.staged']
+  };
+};
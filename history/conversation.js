@@ -0,0 +1,100 @@
+// Per-app conversation history. Improvement requests, the model's own change
+// summaries and build/fix outcomes are stored on the app record and replayed
+// as real chat turns, so follow-ups like "undo that" have something to refer to.
+
+// Upper bound on stored turns; the token budget decides what is replayed
+export const MAX_STORED_TURNS = 200;
+// Build errors can carry whole Docker logs; one turn never needs more than this
+export const MAX_TURN_CHARS = 2000;
+
+// Rough token estimate, close enough for budgeting English and code
+export const estimateTokens = (text) => Math.ceil((text || '').length / 4);
+
+const TURN_ROLES = { request: 'user', changes: 'assistant', outcome: 'user' };
+
+export const createTurn = (kind, content, version = null) => {
+  if (!TURN_ROLES[kind]) {
+    throw new Error(`Unknown conversation turn "${kind}"`);
+  }
+
+  return { role: TURN_ROLES[kind], kind, content, version, timestamp: new Date().toISOString() };
+};
+
+export const appendTurn = (history, kind, content, version = null) => {
+  if (!content || !content.trim()) return history;
+
+  const text = content.trim();
+  history.push(createTurn(kind, text.length > MAX_TURN_CHARS ? `${text.slice(0, MAX_TURN_CHARS)}…` : text, version));
+  if (history.length > MAX_STORED_TURNS) {
+    history.splice(0, history.length - MAX_STORED_TURNS);
+  }
+  return history;
+};
+
+const formatTurn = (turn) => {
+  switch (turn.kind) {
+    case 'request':
+      return `${turn.version ? `[${turn.version}] ` : ''}${turn.content}`;
+    case 'changes':
+      return `<changes>\n${turn.content}\n</changes>`;
+    default:
+      return `[Outcome${turn.version ? ` for ${turn.version}` : ''}] ${turn.content}`;
+  }
+};
+
+// Newest turns that fit the budget, as chat messages. Consecutive turns of the
+// same role are merged and the result always starts with a user message,
+// since most chat APIs reject anything else.
+export const buildConversation = (history = [], maxTokens = 8000) => {
+  const kept = [];
+  let tokens = 0;
+
+  for (let i = history.length - 1; i >= 0; i--) {
+    const content = formatTurn(history[i]);
+    const cost = estimateTokens(content);
+    if (tokens + cost > maxTokens) break;
+
+    tokens += cost;
+    kept.unshift({ role: history[i].role, content });
+  }
+
+  while (kept.length > 0 && kept[0].role !== 'user') {
+    kept.shift();
+  }
+
+  const messages = [];
+  for (const message of kept) {
+    const last = messages[messages.length - 1];
+    if (last && last.role === message.role) {
+      last.content += `\n\n${message.content}`;
+    } else {
+      messages.push({ ...message });
+    }
+  }
+
+  return messages;
+};
+
+// The conversation followed by the new request. History that ends on a user
+// turn (an outcome) gets the request merged into it, so roles still alternate.
+export const withRequest = (history, content) => {
+  const last = history[history.length - 1];
+  if (last?.role === 'user') {
+    return [...history.slice(0, -1), { ...last, content: `${last.content}\n\n${content}` }];
+  }
+  return [...history, { role: 'user', content }];
+};
+
+// Apps created before history was stored get one reconstructed from their versions
+export const seedConversation = (app) => {
+  const history = [];
+
+  for (const version of app.versions || []) {
+    const improvements = version.improvements || [];
+    const request = version.parentVersion ? improvements[improvements.length - 1] : version.prompt;
+    appendTurn(history, 'request', request, version.version);
+    appendTurn(history, 'changes', version.changesExplanation, version.version);
+  }
+
+  return history;
+};
@@ -0,0 +1 @@
+export { appendTurn, buildConversation, withRequest, seedConversation, estimateTokens, MAX_STORED_TURNS, MAX_TURN_CHARS } from './conversation.js';
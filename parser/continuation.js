@@ -0,0 +1,40 @@
+// Helpers for stitching continuation rounds onto a response that stopped at
+// the token limit (finish_reason "length").
+const MIN_OVERLAP = 16;
+const MAX_OVERLAP = 500;
+
+const escapeRegExp = (text) => text.replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+
+// The last <file> block that was opened but never closed. path is null when
+// the cut landed inside the opening tag itself.
+export const findOpenFile = (output) => {
+  const index = output.lastIndexOf('<file ');
+  if (index === -1 || output.indexOf('</file>', index) !== -1) {
+    return null;
+  }
+
+  const match = /^<file path="([^"]+)"[^>]*>/.exec(output.slice(index));
+  return { path: match ? match[1] : null, index };
+};
+
+export const stitchContinuation = (previous, continuation) => {
+  const openFile = findOpenFile(previous);
+
+  // The model restarted the open file from the top: keep the complete restart
+  if (openFile?.path) {
+    const restart = new RegExp(`^\\s*<file path="${escapeRegExp(openFile.path)}"`).test(continuation);
+    if (restart) {
+      return previous.slice(0, openFile.index) + continuation.trimStart();
+    }
+  }
+
+  // Drop text the model repeated from the end of the previous round
+  const maxOverlap = Math.min(previous.length, continuation.length, MAX_OVERLAP);
+  for (let size = maxOverlap; size >= MIN_OVERLAP; size--) {
+    if (previous.endsWith(continuation.slice(0, size))) {
+      return previous + continuation.slice(size);
+    }
+  }
+
+  return previous + continuation;
+};
@@ -0,0 +1,68 @@
+// Search/replace edit blocks for surgical improvements:
+//
+//   <edit path="server.js">
+//   <search>
+//   exact lines from the current file
+//   </search>
+//   <replace>
+//   the lines that take their place
+//   </replace>
+//   </edit>
+//
+// An <edit> may hold several hunks. Each search text must match the current
+// file exactly once, otherwise the hunk is rejected rather than guessed at.
+const hunkRegex = /<search>([\s\S]*?)<\/search>\s*<replace>([\s\S]*?)<\/replace>/g;
+
+// The tags usually sit on their own lines; that newline is not part of the code
+const stripTagNewlines = (text) => text.replace(/^\r?\n/, '').replace(/\r?\n$/, '');
+
+export const parseEditHunks = (body) => {
+  const hunks = [];
+  let match;
+
+  hunkRegex.lastIndex = 0;
+  while ((match = hunkRegex.exec(body)) !== null) {
+    hunks.push({ search: stripTagNewlines(match[1]), replace: stripTagNewlines(match[2]) });
+  }
+
+  return hunks;
+};
+
+const countOccurrences = (content, search) => {
+  let count = 0;
+  for (let index = content.indexOf(search); index !== -1; index = content.indexOf(search, index + search.length)) {
+    count++;
+  }
+  return count;
+};
+
+// Hunks apply in order against the progressively edited content. Failed hunks
+// are skipped and returned with the reason so the model can be asked again.
+export const applyEditHunks = (content, hunks) => {
+  const failed = [];
+  let result = content;
+
+  hunks.forEach((hunk, index) => {
+    if (!hunk.search.trim()) {
+      failed.push({ ...hunk, index, reason: 'empty <search> block' });
+      return;
+    }
+
+    const occurrences = countOccurrences(result, hunk.search);
+    if (occurrences !== 1) {
+      failed.push({
+        ...hunk,
+        index,
+        reason: occurrences === 0
+          ? 'search text not found in the current file'
+          : `search text matches ${occurrences} places; include more surrounding lines`
+      });
+      return;
+    }
+
+    // A function replacement keeps "$&" and friends in the new code literal
+    result = result.replace(hunk.search, () => hunk.replace);
+  });
+
+  return { content: result, applied: hunks.length - failed.length, failed };
+};
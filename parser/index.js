@@ -0,0 +1,4 @@
+export { parseResponse, readBlock, stripCodeFence, parseAttributes } from './response.js';
+export { createStreamingParser } from './stream.js';
+export { findOpenFile, stitchContinuation } from './continuation.js';
+export { parseEditHunks, applyEditHunks } from './edits.js';
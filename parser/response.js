@@ -0,0 +1,229 @@
+// Tokenizer for the LLM response format:
+//
+//   <changes>…</changes>
+//   <file path="…" [encoding="…"]>…</file>     (content may be wrapped in CDATA)
+//   <edit path="…">…</edit>
+//   <delete path="…" />
+//   <rename from="…" to="…" />
+//
+// Block content is free text, so a closing tag only counts when it balances
+// the opening tag and no other stray closing tag follows before the next
+// block. A README that mentions "</file>" or shows a nested <file> example
+// therefore stays intact. Problems are returned as warnings, never dropped
+// silently.
+// Blocks that have no content, only attributes
+const DIRECTIVE_TAGS = ['delete', 'rename'];
+
+const openTagRegex = /<(changes|file|edit|delete|rename)(?=[\s>\/])((?:\s+[\w-]+\s*=\s*(?:"[^"]*"|'[^']*'))*)\s*(\/?)>/g;
+const attributeRegex = /([\w-]+)\s*=\s*(?:"([^"]*)"|'([^']*)')/g;
+const blockStartRegex = /<(?:changes|file|edit|delete|rename)(?=[\s>\/])[^>]*>/g;
+
+const CDATA_OPEN = '<![CDATA[';
+const CDATA_CLOSE = ']]>';
+
+export const parseAttributes = (text = '') => {
+  const attributes = {};
+  let match;
+
+  attributeRegex.lastIndex = 0;
+  while ((match = attributeRegex.exec(text)) !== null) {
+    attributes[match[1]] = match[2] ?? match[3];
+  }
+
+  return attributes;
+};
+
+// Models often wrap file content in a markdown fence despite instructions;
+// strip one fence of any language (```json, ```tsx, ~~~python, …)
+export const stripCodeFence = (content) => {
+  const trimmed = content.trim();
+  const match = /^(```|~~~)[^\n]*\n([\s\S]*?)\n?\1\s*$/.exec(trimmed);
+  if (match) return match[2].trim();
+
+  // An opening fence without a closing one (or the reverse) is still noise
+  return trimmed.replace(/^(```|~~~)[\w+#.-]*[ \t]*\n/, '').replace(/\n(```|~~~)\s*$/, '').trim();
+};
+
+const nextBlockStart = (text, from) => {
+  blockStartRegex.lastIndex = from;
+  const match = blockStartRegex.exec(text);
+  return match ? match.index : -1;
+};
+
+// Finds the closing tag for a block whose content starts at contentStart.
+// Returns { end, closeEnd } or null when more text is needed (or never comes).
+const findClose = (text, tag, contentStart, final) => {
+  const tagRegex = new RegExp(`<(/?)${tag}(?=[\\s>/])[^>]*?(/?)>`, 'g');
+  const closeTag = `</${tag}>`;
+  let depth = 1;
+  let match;
+
+  tagRegex.lastIndex = contentStart;
+  while ((match = tagRegex.exec(text)) !== null) {
+    if (match[2] === '/') continue;
+
+    depth += match[1] ? -1 : 1;
+    if (depth > 0) continue;
+
+    // Balanced. If another stray closing tag shows up before the next block,
+    // this one was part of the content.
+    const closeEnd = match.index + match[0].length;
+    const boundary = nextBlockStart(text, closeEnd);
+    const searchEnd = boundary === -1 ? text.length : boundary;
+    const strayClose = text.indexOf(closeTag, closeEnd);
+
+    if (strayClose !== -1 && strayClose < searchEnd) {
+      depth = 1;
+      continue;
+    }
+
+    // Mid-stream, text after the last block may still grow a stray closing tag
+    if (boundary === -1 && !final) return null;
+
+    return { end: match.index, closeEnd };
+  }
+
+  return null;
+};
+
+const unwrapCdata = (raw) => {
+  const start = raw.indexOf(CDATA_OPEN);
+  if (start === -1 || raw.slice(0, start).trim()) return null;
+
+  const end = raw.lastIndexOf(CDATA_CLOSE);
+  if (end < start) return null;
+
+  // CDATA content is taken verbatim apart from the newlines around the markers
+  return raw.slice(start + CDATA_OPEN.length, end).replace(/^\r?\n/, '').replace(/\r?\n$/, '');
+};
+
+const describe = (tag, attributes) => {
+  if (attributes.path) return `<${tag} path="${attributes.path}">`;
+  if (attributes.from) return `<${tag} from="${attributes.from}">`;
+  return `<${tag}>`;
+};
+
+const lineAt = (text, index) => text.slice(0, index).split('\n').length;
+
+const buildBlock = (tag, attributes, rawContent, start, end, text) => {
+  const warnings = [];
+  const line = lineAt(text, start);
+
+  if (tag === 'changes') {
+    return { block: { type: 'changes', content: rawContent.trim(), start, end }, warnings };
+  }
+
+  if (tag === 'rename') {
+    if (!attributes.from || !attributes.to) {
+      warnings.push(`line ${line}: <rename> needs both from and to attributes, skipped`);
+      return { block: null, warnings };
+    }
+    return { block: { type: 'rename', from: attributes.from, to: attributes.to, attributes, start, end }, warnings };
+  }
+
+  if (!attributes.path) {
+    warnings.push(`line ${line}: <${tag}> without a path attribute, skipped`);
+    return { block: null, warnings };
+  }
+
+  if (tag === 'delete') {
+    return { block: { type: 'delete', path: attributes.path, attributes, start, end }, warnings };
+  }
+
+  if (tag === 'edit') {
+    return { block: { type: 'edit', path: attributes.path, body: rawContent, attributes, start, end }, warnings };
+  }
+
+  const cdata = unwrapCdata(rawContent);
+  const content = cdata !== null ? cdata : stripCodeFence(rawContent);
+  return { block: { type: 'file', path: attributes.path, content, encoding: attributes.encoding || null, attributes, start, end }, warnings };
+};
+
+// Reads the next block at or after `from`. Returns null when the text has no
+// further block yet; with final=false a block is only returned once it can no
+// longer change, so streaming callers simply feed more text and call again.
+export const readBlock = (text, from, { final = true } = {}) => {
+  openTagRegex.lastIndex = from;
+  const open = openTagRegex.exec(text);
+  if (!open) return null;
+
+  const [openText, tag, attributeText, selfClosing] = open;
+  const attributes = parseAttributes(attributeText);
+  const start = open.index;
+  const contentStart = start + openText.length;
+
+  if (DIRECTIVE_TAGS.includes(tag) || selfClosing) {
+    // Tolerate an explicit closing tag on directives
+    const explicitClose = new RegExp(`^\\s*</${tag}>`).exec(text.slice(contentStart));
+    const end = contentStart + (explicitClose ? explicitClose[0].length : 0);
+    const result = selfClosing && !DIRECTIVE_TAGS.includes(tag)
+      ? { block: null, warnings: [`line ${lineAt(text, start)}: empty ${describe(tag, attributes)} skipped`] }
+      : buildBlock(tag, attributes, '', start, end, text);
+    return { ...result, next: end };
+  }
+
+  // CDATA content ends at "]]>", whatever it contains
+  const afterOpen = text.slice(contentStart);
+  if (/^\s*<!\[CDATA\[/.test(afterOpen)) {
+    const cdataEnd = text.indexOf(CDATA_CLOSE, contentStart);
+    if (cdataEnd === -1 && !final) return null;
+
+    if (cdataEnd !== -1) {
+      const rest = text.slice(cdataEnd + CDATA_CLOSE.length);
+      const closeMatch = new RegExp(`^\\s*</${tag}>`).exec(rest);
+      if (closeMatch) {
+        const end = cdataEnd + CDATA_CLOSE.length + closeMatch[0].length;
+        return { ...buildBlock(tag, attributes, text.slice(contentStart, cdataEnd + CDATA_CLOSE.length), start, end, text), next: end };
+      }
+      // The closing tag may still be on its way
+      if (!final && /^\s*(<\/?[\w]*)?$/.test(rest)) return null;
+    }
+  }
+
+  const close = findClose(text, tag, contentStart, final);
+  if (close) {
+    return { ...buildBlock(tag, attributes, text.slice(contentStart, close.end), start, close.closeEnd, text), next: close.closeEnd };
+  }
+
+  if (!final) return null;
+
+  // Unterminated: if another block follows, the model just forgot the closing
+  // tag; if the text simply ends, the block was cut off and is not trusted
+  const boundary = nextBlockStart(text, contentStart);
+  const label = describe(tag, attributes);
+  const line = lineAt(text, start);
+
+  if (boundary !== -1) {
+    const result = buildBlock(tag, attributes, text.slice(contentStart, boundary), start, boundary, text);
+    return { ...result, warnings: [`line ${line}: ${label} has no closing </${tag}>, ended it at the next block`, ...result.warnings], next: boundary };
+  }
+
+  return { block: null, warnings: [`line ${line}: ${label} is unterminated (output cut off?), skipped`], next: text.length };
+};
+
+export const parseResponse = (text) => {
+  const blocks = [];
+  const warnings = [];
+  let changes = null;
+  let cursor = 0;
+  let result;
+
+  while ((result = readBlock(text, cursor)) !== null) {
+    cursor = result.next;
+    warnings.push(...result.warnings);
+    if (!result.block) continue;
+
+    if (result.block.type === 'changes') {
+      if (changes === null) {
+        changes = result.block.content;
+      } else {
+        warnings.push(`line ${lineAt(text, result.block.start)}: extra <changes> block ignored`);
+      }
+      continue;
+    }
+
+    blocks.push(result.block);
+  }
+
+  return { changes: changes || '', blocks, warnings };
+};
@@ -0,0 +1,59 @@
+import { readBlock } from './response.js';
+
+// Incremental reader for the response format (see response.js). Feed it text
+// as it streams in; each block is reported once it can no longer change, i.e.
+// when the next block starts or the stream is finished.
+export const createStreamingParser = ({ onChanges = () => {}, onBlock = () => {}, onWarning = () => {} } = {}) => {
+  let buffer = '';
+  let cursor = 0;
+  let changesSeen = false;
+
+  const report = (block) => {
+    if (block.type !== 'changes') return onBlock(block);
+
+    // Like the batch parser, only the first <changes> block counts
+    if (changesSeen) return onWarning('extra <changes> block ignored');
+    changesSeen = true;
+    onChanges(block.content);
+  };
+
+  const scan = (final) => {
+    let result;
+    while ((result = readBlock(buffer, cursor, { final })) !== null) {
+      cursor = result.next;
+      result.warnings.forEach(warning => onWarning(warning));
+      if (result.block) report(result.block);
+    }
+  };
+
+  return {
+    feed(text) {
+      buffer += text;
+      scan(false);
+    },
+
+    // Replace the whole output, e.g. after stitching a continuation round onto
+    // an unfinished file. Blocks already reported must stay untouched.
+    sync(text) {
+      if (!text.startsWith(buffer.slice(0, cursor))) {
+        throw new Error('Streamed output diverged from blocks already written');
+      }
+      buffer = text;
+      scan(false);
+    },
+
+    // The stream is over: settle the last block, or report it as unterminated
+    finish() {
+      scan(true);
+    },
+
+    // Text after the last reported block
+    get remainder() {
+      return buffer.slice(cursor);
+    },
+
+    get output() {
+      return buffer;
+    }
+  };
+};
@@ -5,12 +5,14 @@ REQUEST: "${prompt}"
 IMPORTANT: Respond with ONLY raw JSON - NO markdown, NO code blocks, NO explanations. Just the JSON object:
 {
   "appType": "frontend|backend|fullstack",
-  "framework": "react|vue|svelte|express|fastify|koa|vanilla",
+  "framework": "react|vue|svelte|express|fastify|koa|fastapi|flask|vanilla",
   "buildTool": "vite|webpack|parcel|none",
   "styling": "tailwind|css|sass|styled-components|none",
   "database": "sqlite|postgres|mongodb|none",
   "authentication": "true|false",
-  "serverFile": "server.js|app.js|index.js|none",
+  "typescript": "true|false",
+  "services": "true|false",
+  "serverFile": "server.js|app.js|index.js|server.ts|app.ts|index.ts|main.py|app.py|none",
   "staticBuild": "true|false",
   "missingFiles": ["index.html", "package.json", "src/main.jsx", "src/App.jsx", "src/index.css"],
   "missingDependencies": ["react", "react-dom", "express", "sqlite3"],
@@ -19,11 +21,23 @@ IMPORTANT: Respond with ONLY raw JSON - NO markdown, NO code blocks, NO explanat
 
 CRITICAL RULES:
 - If the prompt mentions both UI/frontend AND API/database, classify as "fullstack"
+- If the prompt only asks for an API, service or bot with no UI, classify as "backend" with buildTool "none" and staticBuild "false"
+- If the prompt only asks for pages or a UI that needs no server or database, classify as "frontend" with serverFile "none" and database "none"
 - If using Vite + Express + Database, set staticBuild to "true"
 - If using Vite + Express, always include "express" in missingDependencies
 - If using React, always include "react" and "react-dom" in missingDependencies
+- If using Vue or Svelte, always include the framework and its Vite plugin ("@vitejs/plugin-vue" or "@sveltejs/vite-plugin-svelte") in missingDependencies
 - If using database, always include appropriate database driver in missingDependencies
 - For full-stack apps, ensure both frontend build and backend server are configured
 - For full-stack apps, set serverFile to "server.js" and staticBuild to "true"
+- Set typescript to "true" only if the prompt asks for TypeScript; then use "server.ts" instead of "server.js"
+- Set services to "true" only if the prompt asks for separate services, a background worker, PostgreSQL or docker-compose; then classify as "fullstack" with buildTool "vite" and database "postgres"
+- If the prompt asks for Python, FastAPI or Flask, classify as "backend" with framework "fastapi" (serverFile "main.py") or "flask" (serverFile "app.py"), buildTool "none" and typescript "false"; list Python packages (e.g. "fastapi", "uvicorn") in missingDependencies
 
-Be specific and practical. Consider the user's exact requirements. For Vite React apps, always include "react" and "react-dom" in missingDependencies.`; 
\ No newline at end of file
+Be specific and practical. Consider the user's exact requirements. For Vite React apps, always include "react" and "react-dom" in missingDependencies.`; 
+
+export const analysisRepairPrompt = (errors) => `Your analysis JSON did not pass validation:
+
+${errors.map(error => `- ${error}`).join('\n')}
+
+Return the corrected analysis. Respond with ONLY the raw JSON object - NO markdown, NO code blocks, NO explanations. Use only the allowed values for each field.`;
@@ -0,0 +1,5 @@
+export const localAssetsPrompt = (assets) => `
+
+PROVIDED ASSETS (already copied into the app, do NOT re-create or re-send them):
+${assets.map(asset => `- ${asset.path} (served as /${asset.path.replace(/^public\//, '')}, ${(asset.size / 1024).toFixed(1)} KB)`).join('\n')}
+Reference these files where they fit the request (e.g. logo, favicon, hero image).`;
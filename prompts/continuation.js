@@ -0,0 +1,7 @@
+export const continuationPrompt = (openFilePath) => `Your previous response was cut off because it reached the output token limit.
+
+Continue EXACTLY where you stopped, starting with the very next character.
+- Do NOT repeat anything you already wrote
+- Do NOT restart the response, the <changes> section or any finished file
+${openFilePath ? `- You were in the middle of <file path="${openFilePath}">: continue its content and close it with </file>` : '- If you were in the middle of a tag or file, finish it first'}
+- Then output any remaining files using the same <file path="filename.js">file content here</file> format`;
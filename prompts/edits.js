@@ -0,0 +1,21 @@
+export const editRetryPrompt = (failures) => `Some of your <edit> hunks could not be applied because their <search> text did not match the current file exactly once.
+
+${failures.map(failure => `FILE: ${failure.path}
+${failure.hunks.map(hunk => `Failed hunk (${hunk.reason}):
+<search>
+${hunk.search}
+</search>
+<replace>
+${hunk.replace}
+</replace>`).join('\n\n')}
+
+<current_file path="${failure.path}">
+${failure.content ?? '(file does not exist)'}
+</current_file>`).join('\n\n')}
+
+Re-send ONLY the failed changes, based on the current file contents above:
+- Use <edit path="..."><search>exact current lines</search><replace>new lines</replace></edit>
+- Copy the <search> text character for character from the current file, including indentation
+- Include enough surrounding lines that each <search> matches exactly one place
+- Do NOT repeat hunks that were already applied; they are already in the current file
+- If the file does not exist or the edit is too large, send the whole file as <file path="...">content</file> instead`;
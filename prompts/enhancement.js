@@ -26,6 +26,13 @@ REQUIREMENTS:`;
 - CRITICAL: In vite.config.js, use @vitejs/plugin-vue (NOT @vitejs/plugin-react)
 - CRITICAL: In package.json, include "vue" and "@vitejs/plugin-vue" dependencies
 - IMPORTANT: In main.js, import './index.css' and mount Vue app to #app`;
+    } else if (analysis.framework === 'svelte') {
+      enhancementPrompt += `
+- IMPORTANT: Create src/main.js (NOT main.jsx) that mounts App with new App({ target: document.getElementById('app') })
+- CRITICAL: Create src/App.svelte (NOT App.jsx) with <script>, markup and <style> sections
+- CRITICAL: In vite.config.js, use { svelte } from '@sveltejs/vite-plugin-svelte' (NOT @vitejs/plugin-react)
+- CRITICAL: In package.json, include "svelte" and "@sveltejs/vite-plugin-svelte" in devDependencies
+- IMPORTANT: In main.js, import './index.css'`;
     } else if (analysis.framework === 'react') {
       enhancementPrompt += `
 - IMPORTANT: In main.jsx, import the CSS file: import './index.css'
@@ -64,6 +71,13 @@ REQUIREMENTS:`;
 - CRITICAL: In vite.config.js, use @vitejs/plugin-vue (NOT @vitejs/plugin-react)
 - CRITICAL: In package.json, include "vue" and "@vitejs/plugin-vue" dependencies
 - CRITICAL: index.html must contain <div id="app"></div> (NOT #root) for Vue mounting`;
+    } else if (analysis.framework === 'svelte') {
+      enhancementPrompt += `
+- CRITICAL: Create src/main.js (NOT main.jsx) that mounts App with new App({ target: document.getElementById('app') })
+- CRITICAL: Create src/App.svelte (NOT App.jsx) with <script>, markup and <style> sections
+- CRITICAL: In vite.config.js, use { svelte } from '@sveltejs/vite-plugin-svelte' (NOT @vitejs/plugin-react)
+- CRITICAL: In package.json, include "svelte" and "@sveltejs/vite-plugin-svelte" in devDependencies
+- CRITICAL: index.html must contain <div id="app"></div> (NOT #root) for Svelte mounting`;
     } else if (analysis.framework === 'react') {
       enhancementPrompt += `
 - CRITICAL: Always create src/main.jsx and src/App.jsx for React apps
@@ -24,6 +24,7 @@ CRITICAL REQUIREMENTS:
 - If using Express.js, ALWAYS include "express": "^4.18.2" in dependencies
 - If using React, ALWAYS include "react": "^18.2.0" and "react-dom": "^18.2.0" in dependencies
 - If using Vue, ALWAYS include "vue": "^3.3.0" in dependencies and "@vitejs/plugin-vue": "^4.2.1" in devDependencies
+- If using Svelte, ALWAYS include "svelte": "^4.2.18" and "@sveltejs/vite-plugin-svelte": "^3.1.1" in devDependencies
 - Always include ALL required dependencies in package.json
 
 FRAMEWORK-SPECIFIC REQUIREMENTS:
@@ -36,6 +37,14 @@ FOR VUE APPLICATIONS:
 - CRITICAL: App.vue must have <template>, <script>, and <style> sections
 - CRITICAL: Use .vue file extension for Vue components, NOT .jsx
 
+FOR SVELTE APPLICATIONS:
+- CRITICAL: Create src/main.js (NOT main.jsx) that imports App from './App.svelte'
+- CRITICAL: Create src/App.svelte (NOT App.jsx) with <script>, markup and <style> sections
+- CRITICAL: Use { svelte } from '@sveltejs/vite-plugin-svelte' in vite.config.js, NOT @vitejs/plugin-react
+- CRITICAL: Include "svelte": "^4.2.18" and "@sveltejs/vite-plugin-svelte": "^3.1.1" in devDependencies
+- CRITICAL: Mount with new App({ target: document.getElementById('app') }) (NOT id="root")
+- CRITICAL: Use .svelte file extension for Svelte components, NOT .jsx
+
 FOR REACT APPLICATIONS:
 - CRITICAL: Create src/main.jsx with React imports and ReactDOM.createRoot
 - CRITICAL: Create src/App.jsx with React component syntax
@@ -57,15 +66,15 @@ FULL-STACK APP REQUIREMENTS:
   * Use res.sendFile(path.join(__dirname, 'dist/index.html')) for catch-all route
   * Ensure proper error handling and database initialization
   * CRITICAL: Always create index.html in the root directory for Vite apps with proper HTML content
-  * CRITICAL: Always create src/main.jsx and src/App.jsx for React apps
+  * CRITICAL: Always create src/main.jsx and src/App.jsx for React apps, src/main.js and src/App.vue for Vue apps, src/main.js and src/App.svelte for Svelte apps
   * CRITICAL: Always create src/index.css for styling
-  * CRITICAL: index.html must contain: <!DOCTYPE html>, <html>, <head>, <body>, <div id="root"></div>, and <script type="module" src="/src/main.jsx"></script>
+  * CRITICAL: index.html must contain: <!DOCTYPE html>, <html>, <head>, <body>, the mount element and the entry script - <div id="root"></div> and <script type="module" src="/src/main.jsx"></script> for React, <div id="app"></div> and <script type="module" src="/src/main.js"></script> for Vue and Svelte
 
 FRONTEND STACK RECOMMENDATIONS:
 - For modern frontend apps, prefer Vite + Tailwind CSS v4 stack:
   * Install: "vite": "^5.0.0", "tailwindcss": "^4.1.11", and "@tailwindcss/postcss": "^4.1.11" in devDependencies
-  * Install: "@vitejs/plugin-react": "^4.2.1" in devDependencies
-  * Create vite.config.js with: import react from '@vitejs/plugin-react'; export default { plugins: [react()] }
+  * Install the framework's Vite plugin in devDependencies: "@vitejs/plugin-react": "^4.2.1", "@vitejs/plugin-vue": "^4.2.1" or "@sveltejs/vite-plugin-svelte": "^3.1.1"
+  * Create vite.config.js with the plugin, e.g. for React: import react from '@vitejs/plugin-react'; export default { plugins: [react()] }
   * CRITICAL: Create postcss.config.js with: import tailwindcss from "@tailwindcss/postcss"; export default { plugins: [tailwindcss] }
   * Use @import "tailwindcss"; in CSS instead of old @tailwind directives
   * Add build script: "build": "vite build" and dev script: "dev": "vite"
@@ -74,4 +83,9 @@ FRONTEND STACK RECOMMENDATIONS:
   * Create postcss.config.js with: import tailwindcss from "@tailwindcss/postcss"; export default { plugins: [tailwindcss] }
   * Use @import "tailwindcss"; in CSS files
 
+BINARY ASSETS:
+- Prefer inline SVG (a normal <file>) for icons and logos
+- If a binary file is really needed (favicon.ico, a small PNG), send it base64-encoded: <file path="public/favicon.ico" encoding="base64">raw base64, no data: prefix</file>
+- Keep binary files tiny (a few KB); anything over 512 KB or not matching its extension is rejected
+
 If database storage is needed, use SQLite instead of external databases like Redis or MongoDB.`; 
\ No newline at end of file
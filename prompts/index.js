@@ -1,3 +1,13 @@
-export { analysisPrompt } from './analysis.js';
+export { analysisPrompt, analysisRepairPrompt } from './analysis.js';
 export { generationPrompt } from './generation.js';
-export { createEnhancementPrompt } from './enhancement.js'; 
\ No newline at end of file
+export { createEnhancementPrompt } from './enhancement.js';
+export { continuationPrompt } from './continuation.js';
+export { editRetryPrompt } from './edits.js';
+export { localAssetsPrompt } from './assets.js';
+export { syntaxRepairPrompt } from './repair.js';
+export { declinedChangesPrompt } from './review.js';
+export { loadPromptPack, promptPackDirs, DEFAULT_PROMPT_PACK } from './packs.js';
+export { typescriptPrompt, typeErrorsPrompt } from './typescript.js';
+export { pythonGenerationPrompt } from './python.js';
+export { servicesPrompt } from './services.js';
+export { starterTemplatePrompt } from './starters.js';
\ No newline at end of file
@@ -0,0 +1,150 @@
+import fs from 'fs/promises';
+import path from 'path';
+import os from 'os';
+import crypto from 'crypto';
+import { fileURLToPath, pathToFileURL } from 'url';
+import { analysisPrompt } from './analysis.js';
+import { generationPrompt } from './generation.js';
+import { createEnhancementPrompt } from './enhancement.js';
+import { pythonGenerationPrompt } from './python.js';
+
+// Prompt packs override or extend the prompt builders without editing the
+// repo. A pack is a directory holding any of analysis.js, generation.js,
+// enhancement.js and python.js, each exporting the builder it replaces, plus an optional
+// pack.json ({ "description": "...", "extends": "other-pack" }).
+//
+// Overrides are called with the builder's usual arguments followed by
+// { base, pack }, where base is the builder they replace, so a pack can
+// append house rules instead of copying the whole prompt:
+//
+//   export const generationPrompt = (prompt, { base }) => `${base(prompt)}
+//   - Pin "express": "^4.21.0"`;
+const BUILDERS = {
+  analysisPrompt: { file: 'analysis.js', arity: 1 },
+  generationPrompt: { file: 'generation.js', arity: 1 },
+  createEnhancementPrompt: { file: 'enhancement.js', arity: 3 },
+  pythonGenerationPrompt: { file: 'python.js', arity: 2 }
+};
+
+// Built-in prompts that packs can't override but that are sent alongside
+// the builders' output, so they count towards the pack hash as well
+const COMPANION_FILES = ['continuation.js', 'edits.js', 'repair.js', 'assets.js', 'review.js', 'typescript.js', 'services.js', 'starters.js'];
+
+const BUILTIN_DIR = path.dirname(fileURLToPath(import.meta.url));
+const BUILTIN_BUILDERS = { analysisPrompt, generationPrompt, createEnhancementPrompt, pythonGenerationPrompt };
+
+export const DEFAULT_PROMPT_PACK = 'default';
+
+// Project packs shadow user packs of the same name
+export const promptPackDirs = () => [
+  path.resolve('prompt-packs'),
+  path.join(os.homedir(), '.config', 'cerebras-app-generator', 'prompt-packs')
+];
+
+const exists = async (target) => {
+  try {
+    await fs.access(target);
+    return true;
+  } catch {
+    return false;
+  }
+};
+
+const findPackDir = async (name) => {
+  // Anything that looks like a path is used as-is
+  if (name.includes('/') || name.includes(path.sep)) {
+    const dir = path.resolve(name);
+    return (await exists(dir)) ? dir : null;
+  }
+
+  for (const root of promptPackDirs()) {
+    const dir = path.join(root, name);
+    if (await exists(dir)) return dir;
+  }
+  return null;
+};
+
+const readManifest = async (dir) => {
+  const manifestPath = path.join(dir, 'pack.json');
+  if (!(await exists(manifestPath))) return {};
+
+  try {
+    return JSON.parse(await fs.readFile(manifestPath, 'utf8'));
+  } catch (error) {
+    throw new Error(`Invalid ${manifestPath}: ${error.message}`);
+  }
+};
+
+const hashSources = (sources) => {
+  const hash = crypto.createHash('sha256');
+  for (const { label, content } of sources) {
+    hash.update(`${label}\0${content}\0`);
+  }
+  return hash.digest('hex').slice(0, 12);
+};
+
+const loadBuiltinPack = async () => {
+  const sources = [];
+  for (const file of [...Object.values(BUILDERS).map(({ file }) => file), ...COMPANION_FILES]) {
+    sources.push({ label: `builtin/${file}`, content: await fs.readFile(path.join(BUILTIN_DIR, file), 'utf8') });
+  }
+
+  return { name: DEFAULT_PROMPT_PACK, dir: null, builders: { ...BUILTIN_BUILDERS }, sources, chain: [] };
+};
+
+const loadPackChain = async (name, seen) => {
+  if (seen.includes(name)) {
+    throw new Error(`Prompt pack "${name}" extends itself: ${[...seen, name].join(' → ')}`);
+  }
+
+  const dir = await findPackDir(name);
+  if (!dir) {
+    // "default" is always available, even when no directory overrides it
+    if (name === DEFAULT_PROMPT_PACK) return loadBuiltinPack();
+    throw new Error(`Prompt pack "${name}" not found in ${promptPackDirs().join(' or ')}`);
+  }
+
+  const manifest = await readManifest(dir);
+  const parentName = manifest.extends || (name === DEFAULT_PROMPT_PACK ? null : DEFAULT_PROMPT_PACK);
+  const parent = parentName ? await loadPackChain(parentName, [...seen, name]) : await loadBuiltinPack();
+
+  const builders = { ...parent.builders };
+  const sources = [...parent.sources];
+  const overridden = [];
+
+  for (const [builderName, { file, arity }] of Object.entries(BUILDERS)) {
+    const modulePath = path.join(dir, file);
+    if (!(await exists(modulePath))) continue;
+
+    const content = await fs.readFile(modulePath, 'utf8');
+    sources.push({ label: `${name}/${file}`, content });
+
+    const module = await import(pathToFileURL(modulePath).href);
+    const override = module[builderName] || module.default;
+    if (typeof override !== 'function') {
+      throw new Error(`${modulePath} must export ${builderName}`);
+    }
+
+    const base = parent.builders[builderName];
+    const context = { base, pack: name };
+    builders[builderName] = (...args) => {
+      // Keep { base, pack } in a fixed position even when optional arguments are omitted
+      return override(...Array.from({ length: arity }, (_, i) => args[i]), context);
+    };
+    overridden.push(builderName);
+  }
+
+  return {
+    name,
+    dir,
+    description: manifest.description || null,
+    builders,
+    sources,
+    chain: [...parent.chain, { name, dir, overridden }]
+  };
+};
+
+export const loadPromptPack = async (name = DEFAULT_PROMPT_PACK) => {
+  const pack = await loadPackChain(name, []);
+  return { ...pack, hash: hashSources(pack.sources) };
+};
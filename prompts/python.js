@@ -0,0 +1,42 @@
+import { PYTHON_FRAMEWORKS } from '../frameworks/index.js';
+import { pythonVersionFor } from '../dependencies/index.js';
+
+const pin = (name) => `${name}==${pythonVersionFor(name)}`;
+
+// Replaces generationPrompt for FastAPI and Flask apps: the same output
+// format, Python rules instead of the npm ones
+export const pythonGenerationPrompt = (prompt, framework = 'fastapi') => {
+  const { label, serverFile, packages, command } = PYTHON_FRAMEWORKS[framework] || PYTHON_FRAMEWORKS.fastapi;
+  const module = serverFile.replace(/\.py$/, '');
+
+  return `${prompt}. 
+
+OUTPUT FORMAT:
+Start with a brief explanation of what you're implementing:
+
+<changes>
+Brief explanation of what functionality is being added/modified
+</changes>
+
+Then include each file using this syntax: <file path="${serverFile}">file content here</file>. Make it a complete working application with proper structure. 
+
+PYTHON BACKEND REQUIREMENTS (${label}):
+- CRITICAL: This is a Python ${label} app - do NOT create package.json, server.js or any other Node.js files
+- CRITICAL: Create ${serverFile} with a module-level app object (app = ${label}(${framework === 'flask' ? '__name__' : ''})) - the image runs: ${command}
+- CRITICAL: Create requirements.txt listing every third-party package you import, one per line, pinned with == (${packages.map(pin).join(', ')})
+- CRITICAL: Add a GET /health route that returns {"status": "ok"} - deployments wait for it before switching traffic
+- CRITICAL: Under if __name__ == "__main__", run the app on host 0.0.0.0 and port 3000
+- Import the app's own modules absolutely (from models import Item), never relatively, with ${module}.py at the root
+${framework === 'flask'
+  ? `- Return JSON with jsonify() or plain dicts; use flask-cors (${pin('flask-cors')}) only if the API is called from another origin
+- For HTML pages, render Jinja2 templates from templates/ and serve assets from static/`
+  : `- Use Pydantic models for request and response bodies (${pin('pydantic')})
+- For form data or file uploads, include ${pin('python-multipart')}
+- For HTML pages, use Jinja2Templates with templates/ (${pin('jinja2')}) and mount static/ with StaticFiles`}
+- For SQLite use the standard sqlite3 module (or ${pin('sqlalchemy')}) with the database at ./data/app.db; create the data directory on startup
+- Read configuration from environment variables with sensible defaults
+- Target Python 3.12 and use type hints
+- There is no Node.js build step: any UI is served by the Python app itself
+
+If database storage is needed, use SQLite instead of external databases like Redis or MongoDB.`;
+};
@@ -0,0 +1,14 @@
+export const syntaxRepairPrompt = (invalidFiles) => `Some of the files you generated have syntax errors and were not written.
+
+${invalidFiles.map(file => `FILE: ${file.path}
+Error: ${file.error}
+
+<broken_file path="${file.path}">
+${file.content}
+</broken_file>`).join('\n\n')}
+
+Fix ONLY these files:
+- Send each fixed file complete as <file path="...">content</file>, with the same path
+- Fix the reported error and anything else that would stop the file from parsing (unclosed tags, brackets or strings, trailing commas in JSON)
+- Keep the intended functionality; do not rewrite or restyle working code
+- Do NOT send any other files`;
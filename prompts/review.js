@@ -0,0 +1,13 @@
+// Long rejected hunks are cut down; the model only needs the gist
+const MAX_HUNK_LINES = 40;
+
+export const declinedChangesPrompt = (rejectedHunks) => `
+
+CHANGES THE USER DECLINED LAST TIME (reviewed and rejected, do NOT make them again unless this request asks for them):
+${rejectedHunks.map(hunk => {
+  if (hunk.lines.length === 0) return `- ${hunk.path}: the ${hunk.status === 'removed' ? 'removal of this file' : `change to this ${hunk.header}`}`;
+  const lines = hunk.lines.length > MAX_HUNK_LINES
+    ? [...hunk.lines.slice(0, MAX_HUNK_LINES), `… ${hunk.lines.length - MAX_HUNK_LINES} more lines`]
+    : hunk.lines;
+  return `- ${hunk.path}${hunk.status === 'added' ? ' (new file)' : ''} ${hunk.header}\n${lines.join('\n')}`;
+}).join('\n')}`;
@@ -0,0 +1,15 @@
+// Appended to generation and improvement requests for service-group apps
+// (--services or an analysis with services "true")
+export const servicesPrompt = ({ typescript = false } = {}) => {
+  const ext = typescript ? 'ts' : 'js';
+  return `
+
+MULTI-SERVICE MODE - the app runs as separate docker-compose services (web, api, worker, db):
+- CRITICAL: web is the Vite frontend, built and served by nginx; it calls the API with relative URLs under /api/ (fetch('/api/todos')), which nginx proxies to the api service
+- CRITICAL: api is server.${ext}: an Express API only - every route under /api/, listening on process.env.PORT || 3000; do NOT serve dist/ or index.html from it
+- CRITICAL: The database is PostgreSQL: use the "pg" package ("pg": "^8.12.0" in dependencies) with new pg.Pool({ connectionString: process.env.DATABASE_URL }) - do NOT use SQLite
+- CRITICAL: Create tables on startup with CREATE TABLE IF NOT EXISTS, and retry the first connection a few times while the database starts
+- If the app needs background work (queues, scheduled jobs, emails, cleanup), put it in worker.${ext}: no HTTP server, same DATABASE_URL, a loop or setInterval that polls for work, and log what it does
+- Share database code between server.${ext} and worker.${ext} through a module such as db.${ext}
+- For local development, add server: { proxy: { '/api': 'http://localhost:3000' } } to vite.config.${ext}`;
+};
@@ -0,0 +1,23 @@
+// Appended to the generation request when the app was seeded from a starter
+// template (--template). fileContents maps each seeded file to its content.
+export const starterTemplatePrompt = (starter, fileContents) => {
+  const files = Object.entries(fileContents)
+    .filter(([, content]) => content !== null)
+    .map(([file, content]) => `<current_file path="${file}">
+${content}
+</current_file>`)
+    .join('\n');
+
+  return `
+
+STARTER TEMPLATE "${starter.name}"${starter.description ? ` (${starter.description})` : ''}:
+The app was seeded from this template. These files already exist:
+${files}
+
+- CRITICAL: Build the request on top of these files - keep the template's stack, layout and conventions
+- Send a file only when you change or add it, and always send the complete file; files you leave out are kept as they are
+- Replace the template's placeholder content and sample features with what the request asks for${starter.prompt ? `
+
+TEMPLATE NOTES:
+${starter.prompt}` : ''}`;
+};
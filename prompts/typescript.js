@@ -0,0 +1,28 @@
+// Appended to generation and improvement requests for TypeScript apps
+// (--typescript or an analysis with typescript "true")
+export const typescriptPrompt = (profile, { ui = true, server = true } = {}) => `
+
+TYPESCRIPT MODE - write TypeScript, not JavaScript:
+- CRITICAL: Use .ts files (and .tsx for React components) - no .js or .jsx sources except config files
+- CRITICAL: Create tsconfig.json with "strict": true, "noEmit": true, "module": "ESNext" and "moduleResolution": "bundler"
+- CRITICAL: Include "typescript": "^5.5.3" in devDependencies, plus the @types/* package of every library without bundled types (e.g. "@types/express": "^4.17.21", "@types/node": "^20.14.10")
+- CRITICAL: The code must pass \`${profile.typeCheck}\` with no errors - the Docker build runs it${ui ? `
+- CRITICAL: The frontend entry is ${profile.entry}; index.html must load <script type="module" src="/${profile.entry}"></script>` : ''}${profile.name === 'vue' ? `
+- CRITICAL: Use <script setup lang="ts"> in .vue components` : ''}${profile.name === 'svelte' ? `
+- CRITICAL: Use <script lang="ts"> in .svelte components` : ''}${server ? `
+- CRITICAL: Name the server server.ts and type every Express handler: import express, { Request, Response, NextFunction } from 'express', then (req: Request, res: Response) => { ... }
+- CRITICAL: Type request bodies, params and database rows with interfaces instead of any
+- CRITICAL: The server runs through tsx: include "tsx": "^4.16.2" in dependencies (NOT devDependencies) and "start": "tsx server.ts" in scripts
+- Import local modules without an extension (import { db } from './db'), tsx resolves them
+- The server is an ES module: get __dirname from path.dirname(fileURLToPath(import.meta.url))` : ''}`;
+
+// Added to the Docker error analysis when the build's type-check step failed
+export const typeErrorsPrompt = (errors, fileContents) => `
+
+TYPE ERRORS (the build runs a type-check step and it failed):
+${errors.map(error => `- ${error.file}:${error.line}:${error.column} ${error.code}: ${error.message}`).join('\n')}
+
+FILES WITH TYPE ERRORS:
+${Object.entries(fileContents).map(([file, content]) => `--- ${file} ---\n${content}`).join('\n\n')}
+
+Fix the code so it type-checks: return the corrected files in full as "modify" changes. Do NOT loosen tsconfig.json, add // @ts-ignore or cast to any.`;
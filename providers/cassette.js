@@ -0,0 +1,140 @@
+import fs from 'fs/promises';
+import path from 'path';
+import crypto from 'crypto';
+
+// Record/replay store for chat-completions traffic. Interactions are kept in
+// call order and keyed by a hash of the request, so a replayed run gets the
+// same responses without touching the network.
+export class Cassette {
+  constructor(filePath, mode, data = null) {
+    this.filePath = filePath;
+    this.mode = mode;
+    this.data = data || { version: 1, createdAt: new Date().toISOString(), interactions: [] };
+    this.consumed = new Set();
+  }
+
+  // "name" maps to cassettes/name.json, anything ending in .json is a path
+  static resolvePath(nameOrPath) {
+    if (!nameOrPath) {
+      return path.join('cassettes', `${new Date().toISOString().replace(/[:.]/g, '-')}.json`);
+    }
+    return nameOrPath.endsWith('.json') ? nameOrPath : path.join('cassettes', `${nameOrPath}.json`);
+  }
+
+  static async open(nameOrPath, mode) {
+    const filePath = Cassette.resolvePath(nameOrPath);
+
+    if (mode === 'record') {
+      await fs.mkdir(path.dirname(filePath), { recursive: true });
+      return new Cassette(filePath, mode);
+    }
+
+    try {
+      const data = JSON.parse(await fs.readFile(filePath, 'utf8'));
+      return new Cassette(filePath, mode, data);
+    } catch (error) {
+      throw new Error(`Could not load cassette ${filePath}: ${error.message}`);
+    }
+  }
+
+  static keyFor(providerName, model, request) {
+    // Streaming and non-streaming calls share a key so either mode can replay
+    const identity = {
+      provider: providerName,
+      model,
+      messages: request.messages,
+      maxTokens: request.maxTokens ?? null,
+      temperature: request.temperature ?? null,
+      topP: request.topP ?? null
+    };
+    return crypto.createHash('sha256').update(JSON.stringify(identity)).digest('hex');
+  }
+
+  async record(key, providerName, model, request, response) {
+    this.data.interactions.push({
+      key,
+      stage: request.stage || null,
+      provider: providerName,
+      model,
+      request: {
+        messages: request.messages,
+        maxTokens: request.maxTokens ?? null,
+        temperature: request.temperature ?? null,
+        topP: request.topP ?? null
+      },
+      response,
+      recordedAt: new Date().toISOString()
+    });
+
+    // Written after every call so an interrupted run still leaves a usable cassette
+    await fs.writeFile(this.filePath, JSON.stringify(this.data, null, 2));
+  }
+
+  replay(key, stage) {
+    const interactions = this.data.interactions;
+    const unconsumed = (interaction, index) => !this.consumed.has(index);
+
+    let index = interactions.findIndex((interaction, i) => unconsumed(interaction, i) && interaction.key === key);
+
+    if (index === -1) {
+      // Prompts that embed Docker logs or timings never hash the same twice,
+      // and a different provider setup changes every key; fall back to the
+      // next unplayed call of the same stage
+      index = interactions.findIndex((interaction, i) => unconsumed(interaction, i) && interaction.stage === (stage || null));
+
+      if (index === -1) {
+        throw new Error(`No recorded response in cassette ${this.filePath} for ${stage || 'request'} ${key.slice(0, 12)}`);
+      }
+
+      console.log(`⚠️  Cassette: no exact match for ${stage || 'request'} ${key.slice(0, 12)}, replaying next recorded ${stage || 'call'} in order`);
+    }
+
+    this.consumed.add(index);
+    return interactions[index].response;
+  }
+}
+
+// Wraps a provider (or stands in for one during replay) and routes every call
+// through the cassette
+export class CassetteProvider {
+  constructor({ name, defaultModel = null, cassette, inner = null }) {
+    this.name = name;
+    this.defaultModel = defaultModel;
+    this.cassette = cassette;
+    this.inner = inner;
+  }
+
+  async chatCompletion(request) {
+    const model = request.model || this.defaultModel;
+    const key = Cassette.keyFor(this.name, model, request);
+
+    if (this.cassette.mode === 'replay') {
+      return { ...this.cassette.replay(key, request.stage) };
+    }
+
+    const response = await this.inner.chatCompletion(request);
+    await this.cassette.record(key, this.name, model, request, response);
+    return response;
+  }
+
+  async streamChatCompletion(request, onDelta) {
+    const model = request.model || this.defaultModel;
+    const key = Cassette.keyFor(this.name, model, request);
+
+    if (this.cassette.mode === 'replay') {
+      const response = this.cassette.replay(key, request.stage);
+      // Replay in chunks so incremental file writing behaves as it did live
+      for (const chunk of response.content.match(/[\s\S]{1,512}/g) || []) {
+        onDelta(chunk);
+      }
+      return { ...response };
+    }
+
+    const response = await this.inner.streamChatCompletion(request, onDelta);
+    // An aborted stream is incomplete; replaying it would bake in the abort
+    if (response.finishReason !== 'aborted') {
+      await this.cassette.record(key, this.name, model, request, response);
+    }
+    return response;
+  }
+}
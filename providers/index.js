@@ -0,0 +1,97 @@
+import fs from 'fs/promises';
+import { OpenAICompatibleProvider } from './openai-compatible.js';
+import { CassetteProvider } from './cassette.js';
+
+// Provider implementations by protocol. Everything we talk to today is
+// OpenAI-compatible; new protocols register here.
+export const PROVIDER_TYPES = {
+  'openai-compatible': OpenAICompatibleProvider
+};
+
+export const BUILTIN_PROVIDERS = {
+  cerebras: {
+    baseUrl: 'https://api.cerebras.ai/v1',
+    apiKeyEnv: 'CEREBRAS_API_KEY',
+    defaultModel: 'qwen-3-coder-480b'
+  },
+  openai: {
+    baseUrl: 'https://api.openai.com/v1',
+    apiKeyEnv: 'OPENAI_API_KEY',
+    defaultModel: 'gpt-4o'
+  },
+  openrouter: {
+    baseUrl: 'https://openrouter.ai/api/v1',
+    apiKeyEnv: 'OPENROUTER_API_KEY',
+    defaultModel: 'qwen/qwen3-coder'
+  },
+  ollama: {
+    baseUrl: 'http://localhost:11434/v1',
+    defaultModel: 'qwen2.5-coder'
+  }
+};
+
+export const loadLLMConfig = async (configPath = process.env.LLM_CONFIG || 'llm.config.json') => {
+  let fileConfig = {};
+
+  try {
+    fileConfig = JSON.parse(await fs.readFile(configPath, 'utf8'));
+  } catch (error) {
+    // A missing config file is fine, a broken one is not
+    if (error.code !== 'ENOENT') {
+      throw new Error(`Could not load LLM config ${configPath}: ${error.message}`);
+    }
+  }
+
+  return {
+    ...fileConfig,
+    defaultProvider: process.env.LLM_PROVIDER || fileConfig.defaultProvider || 'cerebras',
+    providers: { ...BUILTIN_PROVIDERS, ...(fileConfig.providers || {}) }
+  };
+};
+
+// activeProvider is the one this run selected (--provider, LLM_PROVIDER or the config default)
+export const resolveProviderSettings = (name, config, activeProvider = config.defaultProvider) => {
+  const settings = config.providers[name];
+  if (!settings) {
+    throw new Error(`Unknown LLM provider "${name}". Available: ${Object.keys(config.providers).join(', ')}`);
+  }
+
+  // LLM_* variables override the active provider so a gateway or local
+  // server can be targeted without writing a config file
+  const isActive = name === activeProvider;
+  const envOverride = (key) => (isActive ? process.env[key] : undefined);
+
+  return {
+    type: 'openai-compatible',
+    ...settings,
+    name,
+    baseUrl: envOverride('LLM_BASE_URL') || settings.baseUrl,
+    apiKey: envOverride('LLM_API_KEY') || (settings.apiKeyEnv ? process.env[settings.apiKeyEnv] : settings.apiKey) || null,
+    defaultModel: envOverride('LLM_MODEL') || settings.defaultModel
+  };
+};
+
+export const createProvider = (name, config, cassette = null, activeProvider = config.defaultProvider) => {
+  const settings = resolveProviderSettings(name, config, activeProvider);
+
+  // Replay never reaches the network, so no key is needed
+  if (cassette?.mode === 'replay') {
+    return new CassetteProvider({ name, defaultModel: settings.defaultModel, cassette });
+  }
+
+  if (settings.apiKeyEnv && !settings.apiKey) {
+    throw new Error(`${settings.apiKeyEnv} environment variable is required for provider "${name}"`);
+  }
+
+  const ProviderClass = PROVIDER_TYPES[settings.type];
+  if (!ProviderClass) {
+    throw new Error(`Unsupported provider type "${settings.type}" for provider "${name}"`);
+  }
+
+  const provider = new ProviderClass(settings);
+  return cassette ? new CassetteProvider({ name, defaultModel: settings.defaultModel, cassette, inner: provider }) : provider;
+};
+
+export { STAGES, STAGE_DEFAULTS, resolveRoute, mergeRouting, parseRouteOverrides } from './routing.js';
+export { withRetry, withTimeout, isRetryableError, resolveRetryPolicy } from './policy.js';
+export { Cassette } from './cassette.js';
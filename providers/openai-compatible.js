@@ -0,0 +1,139 @@
+// Client for any endpoint that speaks the OpenAI chat-completions protocol:
+// Cerebras, OpenAI, OpenRouter, vLLM, Ollama, LM Studio or an internal gateway.
+export class OpenAICompatibleProvider {
+  constructor({ name, baseUrl, apiKey = null, authHeader = 'Authorization', authScheme = 'Bearer', headers = {}, defaultModel = null }) {
+    if (!baseUrl) {
+      throw new Error(`Provider ${name} has no baseUrl configured`);
+    }
+
+    this.name = name;
+    this.baseUrl = baseUrl.replace(/\/+$/, '');
+    this.apiKey = apiKey;
+    this.authHeader = authHeader;
+    this.authScheme = authScheme;
+    this.headers = headers;
+    this.defaultModel = defaultModel;
+  }
+
+  get endpoint() {
+    return `${this.baseUrl}/chat/completions`;
+  }
+
+  buildHeaders() {
+    const headers = { 'Content-Type': 'application/json', ...this.headers };
+
+    // Local model servers usually need no auth at all
+    if (this.apiKey) {
+      headers[this.authHeader] = this.authScheme ? `${this.authScheme} ${this.apiKey}` : this.apiKey;
+    }
+
+    return headers;
+  }
+
+  buildRequestBody({ model, messages, maxTokens, temperature, topP, stream = false }) {
+    const body = {
+      model: model || this.defaultModel,
+      stream,
+      messages
+    };
+
+    if (maxTokens !== undefined) body.max_tokens = maxTokens;
+    if (temperature !== undefined) body.temperature = temperature;
+    if (topP !== undefined) body.top_p = topP;
+
+    return body;
+  }
+
+  async sendRequest(body, signal) {
+    const response = await fetch(this.endpoint, {
+      method: 'POST',
+      headers: this.buildHeaders(),
+      body: JSON.stringify(body),
+      signal
+    });
+
+    if (!response.ok) {
+      const error = new Error(`HTTP error! status: ${response.status}`);
+      error.status = response.status;
+      error.retryAfter = response.headers.get('retry-after');
+      throw error;
+    }
+
+    return response;
+  }
+
+  async chatCompletion(request) {
+    const response = await this.sendRequest(this.buildRequestBody(request), request.signal);
+    const data = await response.json();
+    return this.parseResponse(data, request);
+  }
+
+  // Consumes the SSE stream, calling onDelta(text) for every content chunk.
+  // Aborting through request.signal resolves with what arrived so far and
+  // finishReason 'aborted' instead of throwing.
+  async streamChatCompletion(request, onDelta) {
+    const body = {
+      ...this.buildRequestBody({ ...request, stream: true }),
+      stream_options: { include_usage: true }
+    };
+    const response = await this.sendRequest(body, request.signal);
+
+    const decoder = new TextDecoder();
+    let buffer = '';
+    let content = '';
+    let finishReason = null;
+    let usage = null;
+    let model = request.model || this.defaultModel;
+
+    const handleLine = (line) => {
+      const trimmed = line.trim();
+      if (!trimmed.startsWith('data:')) return;
+
+      const payload = trimmed.slice(5).trim();
+      if (!payload || payload === '[DONE]') return;
+
+      const event = JSON.parse(payload);
+      if (event.model) model = event.model;
+      if (event.usage) usage = event.usage;
+
+      const choice = event.choices?.[0];
+      if (choice?.finish_reason) finishReason = choice.finish_reason;
+
+      const delta = choice?.delta?.content;
+      if (delta) {
+        content += delta;
+        onDelta(delta);
+      }
+    };
+
+    try {
+      for await (const chunk of response.body) {
+        buffer += decoder.decode(chunk, { stream: true });
+        const lines = buffer.split('\n');
+        buffer = lines.pop();
+        lines.forEach(handleLine);
+      }
+      handleLine(buffer);
+    } catch (error) {
+      if (!request.signal?.aborted) throw error;
+      finishReason = 'aborted';
+    }
+
+    return { content, finishReason, usage, model, provider: this.name };
+  }
+
+  parseResponse(data, request) {
+    const choice = data.choices?.[0];
+    if (!choice) {
+      throw new Error(`Provider ${this.name} returned no choices`);
+    }
+
+    return {
+      content: choice.message?.content ?? '',
+      finishReason: choice.finish_reason || null,
+      usage: data.usage || null,
+      model: data.model || request.model || this.defaultModel,
+      provider: this.name
+    };
+  }
+}
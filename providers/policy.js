@@ -0,0 +1,110 @@
+// Shared request policy for every LLM call: per-attempt timeouts and retries
+// with exponential backoff that honours Retry-After.
+export const DEFAULT_RETRY_POLICY = {
+  maxAttempts: 4,
+  baseDelayMs: 1000,
+  maxDelayMs: 30000
+};
+
+const NETWORK_ERROR_CODES = ['ECONNRESET', 'ECONNREFUSED', 'ETIMEDOUT', 'EAI_AGAIN', 'UND_ERR_SOCKET', 'UND_ERR_CONNECT_TIMEOUT'];
+
+export const isRetryableError = (error) => {
+  if (error.timedOut) return true;
+  if (error.status) return error.status === 429 || error.status >= 500;
+
+  // fetch() network failures surface as TypeError("fetch failed") with a cause
+  return NETWORK_ERROR_CODES.includes(error.cause?.code) || (error.name === 'TypeError' && error.message === 'fetch failed');
+};
+
+// Retry-After is either delta-seconds or an HTTP date
+export const parseRetryAfter = (value) => {
+  if (!value) return null;
+
+  const seconds = Number(value);
+  if (!Number.isNaN(seconds)) return Math.max(0, seconds * 1000);
+
+  const date = Date.parse(value);
+  return Number.isNaN(date) ? null : Math.max(0, date - Date.now());
+};
+
+export const backoffDelay = (attempt, policy, error) => {
+  const retryAfter = parseRetryAfter(error.retryAfter);
+  if (retryAfter !== null) {
+    return Math.min(retryAfter, policy.maxDelayMs);
+  }
+
+  // Exponential with jitter so parallel runs don't retry in lockstep
+  const exponential = policy.baseDelayMs * 2 ** (attempt - 1);
+  return Math.min(policy.maxDelayMs, Math.round(exponential / 2 + Math.random() * exponential / 2));
+};
+
+// Runs fn(signal) with a deadline. The signal also follows parentSignal, so a
+// user abort still propagates; only the deadline turns into a timeout error.
+export const withTimeout = async (fn, timeoutMs, parentSignal = null) => {
+  const controller = new AbortController();
+  const forwardAbort = () => controller.abort();
+  let timedOut = false;
+
+  if (parentSignal?.aborted) controller.abort();
+  parentSignal?.addEventListener('abort', forwardAbort, { once: true });
+
+  const timer = timeoutMs
+    ? setTimeout(() => {
+        timedOut = true;
+        controller.abort();
+      }, timeoutMs)
+    : null;
+
+  const timeoutError = () => {
+    const error = new Error(`Request timed out after ${timeoutMs}ms`);
+    error.timedOut = true;
+    return error;
+  };
+
+  try {
+    const result = await fn(controller.signal);
+    // Streaming resolves with partial output on abort instead of throwing
+    if (timedOut) throw timeoutError();
+    return result;
+  } catch (error) {
+    throw timedOut && !error.timedOut ? timeoutError() : error;
+  } finally {
+    clearTimeout(timer);
+    parentSignal?.removeEventListener('abort', forwardAbort);
+  }
+};
+
+export const withRetry = async (fn, policy, { shouldRetry = isRetryableError, onRetry = () => {} } = {}) => {
+  for (let attempt = 1; ; attempt++) {
+    try {
+      return await fn(attempt);
+    } catch (error) {
+      if (attempt >= policy.maxAttempts || !shouldRetry(error)) {
+        throw error;
+      }
+
+      const delay = backoffDelay(attempt, policy, error);
+      onRetry(error, attempt, delay);
+      await new Promise(resolve => setTimeout(resolve, delay));
+    }
+  }
+};
+
+const isPositiveInteger = (value) => Number.isInteger(value) && value > 0;
+
+// route > LLM_MAX_ATTEMPTS > config.retry > default. A maxAttempts that is not
+// a positive integer (e.g. LLM_MAX_ATTEMPTS=abc, which is NaN) would never
+// stop retrying, so it falls back to the default.
+export const resolveRetryPolicy = (config, route = {}) => {
+  const policy = {
+    ...DEFAULT_RETRY_POLICY,
+    ...(config.retry || {}),
+    ...(process.env.LLM_MAX_ATTEMPTS ? { maxAttempts: Number(process.env.LLM_MAX_ATTEMPTS) } : {}),
+    ...(route.maxAttempts != null ? { maxAttempts: Number(route.maxAttempts) } : {})
+  };
+
+  if (!isPositiveInteger(policy.maxAttempts)) {
+    policy.maxAttempts = DEFAULT_RETRY_POLICY.maxAttempts;
+  }
+  return policy;
+};
@@ -0,0 +1,82 @@
+// Per-stage model routing. Each stage resolves to an ordered fallback chain of
+// { provider, model } targets plus its sampling parameters.
+export const STAGE_DEFAULTS = {
+  analysis: { maxTokens: 1000, temperature: 0.3, topP: 0.8, maxContinuations: 0, timeoutMs: 60000 },
+  generation: { maxTokens: 40000, temperature: 0.7, topP: 0.8, maxContinuations: 3, timeoutMs: 600000 },
+  improvement: { maxTokens: 40000, temperature: 0.7, topP: 0.8, maxContinuations: 3, timeoutMs: 600000, historyTokens: 8000, editRetries: 2 },
+  repair: { maxTokens: 20000, temperature: 0.1, topP: 0.9, maxContinuations: 1, timeoutMs: 300000, repairRetries: 2 },
+  errorFix: { maxTokens: 2000, temperature: 0.1, topP: 0.9, maxContinuations: 0, timeoutMs: 120000 }
+};
+
+export const STAGES = Object.keys(STAGE_DEFAULTS);
+
+// "provider:model" or a bare "model" on the default provider. Only a known
+// provider name counts as a prefix, so Ollama tags like "qwen2.5-coder:7b" survive.
+export const parseModelRef = (ref, providerNames, defaultProvider) => {
+  if (typeof ref === 'object' && ref !== null) {
+    return { provider: ref.provider || defaultProvider, model: ref.model || null };
+  }
+
+  const separator = ref.indexOf(':');
+  if (separator > 0 && providerNames.includes(ref.slice(0, separator))) {
+    return { provider: ref.slice(0, separator), model: ref.slice(separator + 1) || null };
+  }
+
+  return { provider: defaultProvider, model: ref || null };
+};
+
+// A route entry may be a model string, an array (fallback chain) or an object
+// with `models` / `model` and sampling overrides
+const normalizeRouteEntry = (entry) => {
+  if (!entry) return {};
+  if (typeof entry === 'string') return { models: [entry] };
+  if (Array.isArray(entry)) return { models: entry };
+
+  const { model, ...rest } = entry;
+  return model && !rest.models ? { ...rest, models: [model] } : rest;
+};
+
+export const mergeRouting = (...routings) => {
+  const merged = {};
+
+  for (const routing of routings) {
+    for (const [stage, entry] of Object.entries(routing || {})) {
+      merged[stage] = { ...(merged[stage] || {}), ...normalizeRouteEntry(entry) };
+    }
+  }
+
+  return merged;
+};
+
+export const resolveRoute = (stage, config, defaultProvider, appRouting = {}) => {
+  if (!STAGE_DEFAULTS[stage]) {
+    throw new Error(`Unknown LLM stage "${stage}". Available: ${STAGES.join(', ')}`);
+  }
+
+  const providerNames = Object.keys(config.providers);
+  const { models, ...params } = {
+    ...STAGE_DEFAULTS[stage],
+    ...mergeRouting(config.routing, appRouting)[stage]
+  };
+
+  const targets = (models && models.length > 0 ? models : [null])
+    .map(ref => (ref ? parseModelRef(ref, providerNames, defaultProvider) : { provider: defaultProvider, model: null }));
+
+  return { stage, targets, ...params };
+};
+
+// CLI form: --route "generation=cerebras:qwen-3-coder-480b,openai:gpt-4o"
+export const parseRouteOverrides = (routes = []) => {
+  const routing = {};
+
+  for (const route of [].concat(routes)) {
+    const [stage, chain] = route.split('=');
+    if (!STAGE_DEFAULTS[stage] || !chain) {
+      throw new Error(`Invalid --route "${route}". Use stage=model[,fallback] with stage one of: ${STAGES.join(', ')}`);
+    }
+
+    routing[stage] = { models: chain.split(',').map(ref => ref.trim()).filter(Boolean) };
+  }
+
+  return routing;
+};
@@ -0,0 +1,61 @@
+// Declared shape of the object returned by the analysis stage. Enum fields
+// mirror the options offered in prompts/analysis.js.
+export const ANALYSIS_SCHEMA = {
+  appType: { type: 'enum', values: ['frontend', 'backend', 'fullstack'], required: true },
+  framework: { type: 'enum', values: ['react', 'vue', 'svelte', 'express', 'fastify', 'koa', 'fastapi', 'flask', 'vanilla'], required: true },
+  buildTool: { type: 'enum', values: ['vite', 'webpack', 'parcel', 'none'], required: true },
+  styling: { type: 'enum', values: ['tailwind', 'css', 'sass', 'styled-components', 'none'], required: true },
+  database: { type: 'enum', values: ['sqlite', 'postgres', 'mongodb', 'none'], required: true },
+  authentication: { type: 'enum', values: ['true', 'false'], default: 'false' },
+  typescript: { type: 'enum', values: ['true', 'false'], default: 'false' },
+  services: { type: 'enum', values: ['true', 'false'], default: 'false' },
+  serverFile: { type: 'enum', values: ['server.js', 'app.js', 'index.js', 'server.ts', 'app.ts', 'index.ts', 'main.py', 'app.py', 'none'], default: 'server.js' },
+  staticBuild: { type: 'enum', values: ['true', 'false'], default: 'true' },
+  missingFiles: { type: 'string[]', default: [] },
+  missingDependencies: { type: 'string[]', default: [] },
+  recommendations: { type: 'string[]', default: [] }
+};
+
+// Returns { value, errors }. Harmless drift (booleans for "true"/"false",
+// casing, missing optional fields) is normalized; anything else is an error
+// worth sending back to the model.
+export const validateAnalysis = (raw, schema = ANALYSIS_SCHEMA) => {
+  const errors = [];
+
+  if (!raw || typeof raw !== 'object' || Array.isArray(raw)) {
+    return { value: null, errors: ['Analysis must be a JSON object'] };
+  }
+
+  const value = { ...raw };
+
+  for (const [field, rule] of Object.entries(schema)) {
+    let fieldValue = value[field];
+
+    if (fieldValue === undefined || fieldValue === null || fieldValue === '') {
+      if (rule.required) {
+        errors.push(`"${field}" is required (one of: ${rule.values.join(', ')})`);
+      } else {
+        value[field] = Array.isArray(rule.default) ? [...rule.default] : rule.default;
+      }
+      continue;
+    }
+
+    if (rule.type === 'enum') {
+      if (typeof fieldValue === 'boolean') fieldValue = String(fieldValue);
+      fieldValue = typeof fieldValue === 'string' ? fieldValue.trim().toLowerCase() : fieldValue;
+
+      if (!rule.values.includes(fieldValue)) {
+        errors.push(`"${field}" must be one of: ${rule.values.join(', ')} (got ${JSON.stringify(value[field])})`);
+        continue;
+      }
+      value[field] = fieldValue;
+    } else if (rule.type === 'string[]') {
+      if (!Array.isArray(fieldValue) || fieldValue.some(item => typeof item !== 'string')) {
+        errors.push(`"${field}" must be an array of strings`);
+        continue;
+      }
+    }
+  }
+
+  return { value: errors.length === 0 ? value : null, errors };
+};
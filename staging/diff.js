@@ -0,0 +1,126 @@
+// Line-based unified diffs for --dry-run previews
+
+const CONTEXT_LINES = 3;
+// Above this many LCS cells the changed middle is shown as one replacement
+const MAX_LCS_CELLS = 4_000_000;
+
+export const splitLines = (text) => {
+  if (text === '') return [];
+  const lines = text.split('\n');
+  if (lines[lines.length - 1] === '') lines.pop();
+  return lines;
+};
+
+// Edit script of { type: ' ' | '-' | '+', line } entries
+const diffLines = (before, after) => {
+  let start = 0;
+  while (start < before.length && start < after.length && before[start] === after[start]) start++;
+
+  let endBefore = before.length;
+  let endAfter = after.length;
+  while (endBefore > start && endAfter > start && before[endBefore - 1] === after[endAfter - 1]) {
+    endBefore--;
+    endAfter--;
+  }
+
+  const a = before.slice(start, endBefore);
+  const b = after.slice(start, endAfter);
+  const middle = [];
+
+  if (a.length * b.length > MAX_LCS_CELLS) {
+    middle.push(...a.map(line => ({ type: '-', line })), ...b.map(line => ({ type: '+', line })));
+  } else {
+    // lengths[i][j] = LCS length of a[i..] and b[j..]
+    const lengths = Array.from({ length: a.length + 1 }, () => new Uint32Array(b.length + 1));
+    for (let i = a.length - 1; i >= 0; i--) {
+      for (let j = b.length - 1; j >= 0; j--) {
+        lengths[i][j] = a[i] === b[j] ? lengths[i + 1][j + 1] + 1 : Math.max(lengths[i + 1][j], lengths[i][j + 1]);
+      }
+    }
+
+    let i = 0;
+    let j = 0;
+    while (i < a.length || j < b.length) {
+      if (i < a.length && j < b.length && a[i] === b[j]) {
+        middle.push({ type: ' ', line: a[i++] });
+        j++;
+      } else if (i < a.length && (j === b.length || lengths[i + 1][j] >= lengths[i][j + 1])) {
+        middle.push({ type: '-', line: a[i++] });
+      } else {
+        middle.push({ type: '+', line: b[j++] });
+      }
+    }
+  }
+
+  return [
+    ...before.slice(0, start).map(line => ({ type: ' ', line })),
+    ...middle,
+    ...before.slice(endBefore).map(line => ({ type: ' ', line }))
+  ];
+};
+
+// Groups the edit script into hunks with CONTEXT_LINES of context:
+// [{ oldStart, oldLines, newStart, newLines, lines: [' x', '-y', '+z'] }]
+export const diffHunks = (beforeText, afterText) => {
+  const ops = diffLines(splitLines(beforeText), splitLines(afterText));
+
+  // Line numbers each op starts at on either side
+  let oldLine = 1;
+  let newLine = 1;
+  const positions = ops.map(op => {
+    const position = { oldLine, newLine };
+    if (op.type !== '+') oldLine++;
+    if (op.type !== '-') newLine++;
+    return position;
+  });
+
+  // Changes closer than two contexts apart share a hunk
+  const ranges = [];
+  ops.forEach((op, index) => {
+    if (op.type === ' ') return;
+    const last = ranges[ranges.length - 1];
+    if (last && index - last.end <= CONTEXT_LINES * 2 + 1) last.end = index;
+    else ranges.push({ start: index, end: index });
+  });
+
+  return ranges.map(range => {
+    const from = Math.max(0, range.start - CONTEXT_LINES);
+    const to = Math.min(ops.length - 1, range.end + CONTEXT_LINES);
+    const slice = ops.slice(from, to + 1);
+    return {
+      oldStart: positions[from].oldLine,
+      oldLines: slice.filter(op => op.type !== '+').length,
+      newStart: positions[from].newLine,
+      newLines: slice.filter(op => op.type !== '-').length,
+      lines: slice.map(op => `${op.type}${op.line}`)
+    };
+  });
+};
+
+const hunkRange = (start, count) => {
+  // An empty side starts at the line before it, as diff -u does
+  if (count === 0) return `${start - 1},0`;
+  return count === 1 ? `${start}` : `${start},${count}`;
+};
+
+export const formatHunkHeader = (hunk) =>
+  `@@ -${hunkRange(hunk.oldStart, hunk.oldLines)} +${hunkRange(hunk.newStart, hunk.newLines)} @@`;
+
+// before/after are strings, Buffers (binary files) or null (file absent)
+export const unifiedDiff = (filePath, before, after) => {
+  const oldName = before === null ? '/dev/null' : `a/${filePath}`;
+  const newName = after === null ? '/dev/null' : `b/${filePath}`;
+
+  if (Buffer.isBuffer(before) || Buffer.isBuffer(after)) {
+    return `Binary files ${oldName} and ${newName} differ`;
+  }
+
+  const hunks = diffHunks(before ?? '', after ?? '');
+  if (hunks.length === 0) return '';
+
+  return [
+    `--- ${oldName}`,
+    `+++ ${newName}`,
+    ...hunks.flatMap(hunk => [formatHunkHeader(hunk), ...hunk.lines])
+  ].join('\n');
+};
@@ -0,0 +1,3 @@
+export { unifiedDiff, diffHunks, formatHunkHeader } from './diff.js';
+export { STAGED_DIR, isStagedId, stagedPath, stagedFilesPath, createStagedId, copyWorkTree, compareTrees, writeStagedManifest, readStagedManifest, listStaged, removeStaged } from './store.js';
+export { reviewUnits, parseEditedHunk, formatHunkForEdit, mergeAcceptedHunks, describeRejectedUnit } from './review.js';
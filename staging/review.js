@@ -0,0 +1,52 @@
+import { diffHunks, formatHunkHeader, splitLines } from './diff.js';
+
+// Hunk-level review of a staged improvement (--review). Text files are
+// reviewed hunk by hunk; binary files and removals are all or nothing.
+
+// The units a change is reviewed in. `before`/`after` are what compareTrees
+// returned: strings, Buffers for binary files, null when absent.
+export const reviewUnits = (change) => {
+  const binary = Buffer.isBuffer(change.before) || Buffer.isBuffer(change.after);
+  if (binary || change.status === 'removed') {
+    return [{ header: binary ? 'binary file' : 'removed file', lines: [], whole: true }];
+  }
+  return diffHunks(change.before ?? '', change.after).map(hunk => ({ ...hunk, header: formatHunkHeader(hunk) }));
+};
+
+// What an edited hunk turns into: context and added lines, without the
+// marker column. Removed lines and # comments drop out, as in git add -p.
+export const parseEditedHunk = (text) => splitLines(text)
+  .filter(line => !line.startsWith('#') && !line.startsWith('-'))
+  .map(line => line.slice(1));
+
+export const formatHunkForEdit = (filePath, unit) => [
+  `# Editing a hunk of ${filePath} ${unit.header}`,
+  '# Lines starting with "+" are added and lines starting with " " are kept.',
+  '# To drop an added line, delete it. To keep a removed line, change its "-" to " ".',
+  '# Lines starting with # are ignored.',
+  ...unit.lines
+].join('\n') + '\n';
+
+// Applies the accepted hunks to the original text. Each hunk replaces its
+// old-side lines with its new side, or with `edited` when the user changed it.
+export const mergeAcceptedHunks = (beforeText, units, afterText) => {
+  const lines = splitLines(beforeText);
+
+  // Back to front, so earlier line numbers stay valid
+  for (const unit of [...units].reverse()) {
+    if (!unit.accepted) continue;
+    const replacement = unit.edited ?? unit.lines.filter(line => !line.startsWith('-')).map(line => line.slice(1));
+    lines.splice(unit.oldStart - 1, unit.oldLines, ...replacement);
+  }
+
+  if (lines.length === 0) return '';
+  return lines.join('\n') + (afterText.endsWith('\n') ? '\n' : '');
+};
+
+// Stored on the version and shown to the model on the next improvement
+export const describeRejectedUnit = (filePath, status, unit) => ({
+  path: filePath,
+  status,
+  header: unit.header,
+  lines: unit.lines
+});
@@ -0,0 +1,107 @@
+import fs from 'fs/promises';
+import path from 'path';
+import crypto from 'crypto';
+
+// Staged improvements live next to the app they change:
+//   tmp/<app>/.staged/<id>/files/           the app with the improvement applied
+//   tmp/<app>/.staged/<id>/manifest.json    what it was based on and what changed
+export const STAGED_DIR = '.staged';
+const COPY_SKIPPED = new Set(['node_modules', 'dist', 'build', '.backups', '.git', '.vite', 'data', STAGED_DIR]);
+
+// Ids come from the command line (--apply <id>), so they must not leave .staged/
+export const isStagedId = (id) => typeof id === 'string' && /^[\w-]+$/.test(id);
+
+export const stagedPath = (appPath, id) => path.join(appPath, STAGED_DIR, id);
+export const stagedFilesPath = (appPath, id) => path.join(stagedPath(appPath, id), 'files');
+
+// Sortable and short enough to type: 20261019T174512-a3f9
+export const createStagedId = (date = new Date()) =>
+  `${date.toISOString().replace(/[-:]/g, '').slice(0, 15)}-${crypto.randomBytes(2).toString('hex')}`;
+
+// Copies the app into a scratch directory, without installs, builds and data
+export const copyWorkTree = async (appPath, destination) => {
+  await fs.mkdir(destination, { recursive: true });
+
+  // Entry by entry, since the destination is inside appPath
+  for (const entry of await fs.readdir(appPath)) {
+    if (COPY_SKIPPED.has(entry)) continue;
+    await fs.cp(path.join(appPath, entry), path.join(destination, entry), {
+      recursive: true,
+      filter: (source) => !COPY_SKIPPED.has(path.basename(source))
+    });
+  }
+};
+
+const readIfExists = async (filePath) => {
+  try {
+    return await fs.readFile(filePath);
+  } catch (error) {
+    if (error.code === 'ENOENT') return null;
+    throw error;
+  }
+};
+
+// Text files come back as strings and binary ones as Buffers, for unifiedDiff
+const asDiffable = (content) => {
+  if (content === null || content.includes(0)) return content;
+  return content.toString('utf8');
+};
+
+// Compares candidate paths between the app and its scratch copy:
+// [{ path, status: 'modified' | 'added' | 'removed', before, after }]
+export const compareTrees = async (appPath, scratchPath, candidates) => {
+  const changes = [];
+
+  for (const file of [...new Set(candidates)].sort()) {
+    const before = await readIfExists(path.join(appPath, file));
+    const after = await readIfExists(path.join(scratchPath, file));
+    if (before === null && after === null) continue;
+    if (before && after && before.equals(after)) continue;
+
+    const status = before === null ? 'added' : after === null ? 'removed' : 'modified';
+    changes.push({ path: file, status, before: asDiffable(before), after: asDiffable(after) });
+  }
+
+  return changes;
+};
+
+export const writeStagedManifest = async (appPath, manifest) => {
+  await fs.writeFile(path.join(stagedPath(appPath, manifest.id), 'manifest.json'), JSON.stringify(manifest, null, 2));
+};
+
+export const readStagedManifest = async (appPath, id) => {
+  if (!isStagedId(id)) {
+    throw new Error(`Invalid staged id "${id}"`);
+  }
+
+  const content = await readIfExists(path.join(stagedPath(appPath, id), 'manifest.json'));
+  if (!content) return null;
+
+  try {
+    return JSON.parse(content.toString('utf8'));
+  } catch (error) {
+    throw new Error(`Staged change ${id} has a broken manifest.json (${error.message}); remove ${stagedPath(appPath, id)} and stage it again`);
+  }
+};
+
+export const listStaged = async (appPath) => {
+  let entries;
+  try {
+    entries = await fs.readdir(path.join(appPath, STAGED_DIR), { withFileTypes: true });
+  } catch {
+    return [];
+  }
+
+  const manifests = [];
+  for (const entry of entries.filter(entry => entry.isDirectory() && isStagedId(entry.name))) {
+    try {
+      const manifest = await readStagedManifest(appPath, entry.name);
+      if (manifest) manifests.push(manifest);
+    } catch (error) {
+      console.log(`⚠️  ${error.message}`);
+    }
+  }
+  return manifests.sort((a, b) => a.id.localeCompare(b.id));
+};
+
+export const removeStaged = (appPath, id) => fs.rm(stagedPath(appPath, id), { recursive: true, force: true });
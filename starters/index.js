@@ -0,0 +1 @@
+export { loadStarter, listStarters, seedStarter, starterTemplateDirs, BUILTIN_STARTERS_DIR } from './registry.js';
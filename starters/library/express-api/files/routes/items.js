@@ -0,0 +1,37 @@
+import { Router } from 'express'
+
+const router = Router()
+const items = new Map()
+let nextId = 1
+
+router.get('/', (req, res) => {
+  res.json([...items.values()])
+})
+
+router.get('/:id', (req, res) => {
+  const item = items.get(Number(req.params.id))
+  if (!item) {
+    return res.status(404).json({ error: 'Item not found' })
+  }
+  res.json(item)
+})
+
+router.post('/', (req, res) => {
+  const name = String(req.body?.name || '').trim()
+  if (!name) {
+    return res.status(400).json({ error: 'name is required' })
+  }
+
+  const item = { id: nextId++, name, createdAt: new Date().toISOString() }
+  items.set(item.id, item)
+  res.status(201).json(item)
+})
+
+router.delete('/:id', (req, res) => {
+  if (!items.delete(Number(req.params.id))) {
+    return res.status(404).json({ error: 'Item not found' })
+  }
+  res.status(204).end()
+})
+
+export default router
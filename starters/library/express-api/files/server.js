@@ -0,0 +1,30 @@
+import express from 'express'
+import itemsRouter from './routes/items.js'
+
+const app = express()
+const PORT = process.env.PORT || 3000
+
+app.use(express.json())
+
+app.get('/', (req, res) => {
+  res.json({ name: 'express-api', endpoints: ['GET /health', 'GET /api/items', 'POST /api/items', 'GET /api/items/:id', 'DELETE /api/items/:id'] })
+})
+
+app.get('/health', (req, res) => {
+  res.json({ status: 'ok' })
+})
+
+app.use('/api/items', itemsRouter)
+
+app.use((req, res) => {
+  res.status(404).json({ error: 'Not found' })
+})
+
+app.use((error, req, res, next) => {
+  console.error(error)
+  res.status(error.status || 500).json({ error: error.status ? error.message : 'Internal server error' })
+})
+
+app.listen(PORT, '0.0.0.0', () => {
+  console.log(`API listening on port ${PORT}`)
+})
@@ -0,0 +1,29 @@
+import fs from 'fs'
+import sqlite3 from 'sqlite3'
+
+// ./data is the container volume, so the database survives rebuilds
+fs.mkdirSync('./data', { recursive: true })
+const db = new sqlite3.Database('./data/app.db')
+
+db.serialize(() => {
+  db.run(`CREATE TABLE IF NOT EXISTS items (
+    id INTEGER PRIMARY KEY AUTOINCREMENT,
+    title TEXT NOT NULL,
+    created_at DATETIME DEFAULT CURRENT_TIMESTAMP
+  )`)
+})
+
+export const run = (sql, params = []) => new Promise((resolve, reject) => {
+  db.run(sql, params, function (error) {
+    if (error) reject(error)
+    else resolve({ lastID: this.lastID, changes: this.changes })
+  })
+})
+
+export const get = (sql, params = []) => new Promise((resolve, reject) => {
+  db.get(sql, params, (error, row) => (error ? reject(error) : resolve(row)))
+})
+
+export const all = (sql, params = []) => new Promise((resolve, reject) => {
+  db.all(sql, params, (error, rows) => (error ? reject(error) : resolve(rows)))
+})
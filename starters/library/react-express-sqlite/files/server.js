@@ -0,0 +1,59 @@
+import express from 'express'
+import path from 'path'
+import { fileURLToPath } from 'url'
+import { run, all } from './db.js'
+
+const __dirname = path.dirname(fileURLToPath(import.meta.url))
+const app = express()
+const PORT = process.env.PORT || 3000
+
+app.use(express.json())
+
+app.get('/api/items', async (req, res, next) => {
+  try {
+    res.json(await all('SELECT id, title, created_at FROM items ORDER BY id DESC'))
+  } catch (error) {
+    next(error)
+  }
+})
+
+app.post('/api/items', async (req, res, next) => {
+  const title = String(req.body?.title || '').trim()
+  if (!title) {
+    return res.status(400).json({ error: 'title is required' })
+  }
+
+  try {
+    const { lastID } = await run('INSERT INTO items (title) VALUES (?)', [title])
+    res.status(201).json({ id: lastID, title })
+  } catch (error) {
+    next(error)
+  }
+})
+
+app.delete('/api/items/:id', async (req, res, next) => {
+  try {
+    const { changes } = await run('DELETE FROM items WHERE id = ?', [req.params.id])
+    if (changes === 0) {
+      return res.status(404).json({ error: 'Item not found' })
+    }
+    res.status(204).end()
+  } catch (error) {
+    next(error)
+  }
+})
+
+// The Vite build; unknown paths fall back to index.html for client-side routing
+app.use(express.static(path.join(__dirname, 'dist')))
+app.get('*', (req, res) => {
+  res.sendFile(path.join(__dirname, 'dist', 'index.html'))
+})
+
+app.use((error, req, res, next) => {
+  console.error(error)
+  res.status(500).json({ error: 'Internal server error' })
+})
+
+app.listen(PORT, '0.0.0.0', () => {
+  console.log(`Server running on port ${PORT}`)
+})
@@ -0,0 +1,62 @@
+import { useEffect, useState } from 'react'
+
+function App() {
+  const [items, setItems] = useState([])
+  const [title, setTitle] = useState('')
+  const [error, setError] = useState(null)
+
+  const loadItems = async () => {
+    try {
+      const response = await fetch('/api/items')
+      if (!response.ok) throw new Error(`Request failed: ${response.status}`)
+      setItems(await response.json())
+    } catch (err) {
+      setError(err.message)
+    }
+  }
+
+  useEffect(() => {
+    loadItems()
+  }, [])
+
+  const addItem = async (event) => {
+    event.preventDefault()
+    if (!title.trim()) return
+
+    const response = await fetch('/api/items', {
+      method: 'POST',
+      headers: { 'Content-Type': 'application/json' },
+      body: JSON.stringify({ title })
+    })
+    if (response.ok) {
+      setTitle('')
+      loadItems()
+    }
+  }
+
+  const removeItem = async (id) => {
+    await fetch(`/api/items/${id}`, { method: 'DELETE' })
+    loadItems()
+  }
+
+  return (
+    <main className="container">
+      <h1>Items</h1>
+      <form onSubmit={addItem}>
+        <input value={title} onChange={(event) => setTitle(event.target.value)} placeholder="New item" />
+        <button type="submit">Add</button>
+      </form>
+      {error && <p className="error">{error}</p>}
+      <ul>
+        {items.map((item) => (
+          <li key={item.id}>
+            <span>{item.title}</span>
+            <button onClick={() => removeItem(item.id)}>Delete</button>
+          </li>
+        ))}
+      </ul>
+    </main>
+  )
+}
+
+export default App
@@ -0,0 +1,10 @@
+import { defineConfig } from 'vite'
+import react from '@vitejs/plugin-react'
+
+export default defineConfig({
+  plugins: [react()],
+  server: {
+    // npm run dev talks to a locally running server.js
+    proxy: { '/api': 'http://localhost:3000' }
+  }
+})
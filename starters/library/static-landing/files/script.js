@@ -0,0 +1,16 @@
+document.getElementById('year').textContent = new Date().getFullYear()
+
+// Sections fade in as they scroll into view
+const observer = new IntersectionObserver((entries) => {
+  for (const entry of entries) {
+    if (entry.isIntersecting) {
+      entry.target.classList.add('visible')
+      observer.unobserve(entry.target)
+    }
+  }
+}, { threshold: 0.2 })
+
+document.querySelectorAll('.feature, .cta').forEach((section) => {
+  section.classList.add('reveal')
+  observer.observe(section)
+})
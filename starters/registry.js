@@ -0,0 +1,156 @@
+import fs from 'fs/promises';
+import path from 'path';
+import os from 'os';
+import { fileURLToPath } from 'url';
+import { ANALYSIS_SCHEMA } from '../schemas/analysis.js';
+
+// Starter templates seed a new app before the LLM enhancement step
+// (--template <name>). A template is a directory:
+//
+//   template.json   { "description": "...", "analysis": { "appType": "fullstack", ... } }
+//   files/          copied into the app as-is
+//   Dockerfile      optional nunjucks template, rendered with the same
+//                   variables as templates/Dockerfile.* (serverFile,
+//                   rootFiles, appFolders, sqlite, ...)
+//   prompt.md       optional notes appended to the generation request
+//
+// The analysis fields replace what the analysis stage chose, so the app keeps
+// the template's stack. Built-in templates live in starters/library/.
+
+export const BUILTIN_STARTERS_DIR = path.join(path.dirname(fileURLToPath(import.meta.url)), 'library');
+const MANIFEST = 'template.json';
+const STARTER_NAME = /^[a-z0-9][\w-]*$/i;
+
+// Project templates shadow user templates, and both shadow built-ins
+export const starterTemplateDirs = () => [
+  path.resolve('starter-templates'),
+  path.join(os.homedir(), '.config', 'cerebras-app-generator', 'starter-templates')
+];
+
+const exists = async (target) => {
+  try {
+    await fs.access(target);
+    return true;
+  } catch {
+    return false;
+  }
+};
+
+const validateStarterAnalysis = (analysis, source) => {
+  for (const [field, value] of Object.entries(analysis)) {
+    const rule = ANALYSIS_SCHEMA[field];
+    if (!rule || rule.type !== 'enum') {
+      throw new Error(`${source}: "${field}" can't be set by a template (use ${Object.keys(ANALYSIS_SCHEMA).filter(key => ANALYSIS_SCHEMA[key].type === 'enum').join(', ')})`);
+    }
+    if (!rule.values.includes(value)) {
+      throw new Error(`${source}: "${field}" must be one of: ${rule.values.join(', ')} (got ${JSON.stringify(value)})`);
+    }
+  }
+};
+
+// Relative paths of every file under dir, sorted
+const listFiles = async (dir, prefix = '') => {
+  const files = [];
+  for (const entry of await fs.readdir(dir, { withFileTypes: true })) {
+    const relativePath = prefix ? `${prefix}/${entry.name}` : entry.name;
+    if (entry.isDirectory()) {
+      files.push(...await listFiles(path.join(dir, entry.name), relativePath));
+    } else if (entry.isFile()) {
+      files.push(relativePath);
+    }
+  }
+  return files.sort();
+};
+
+// ref is what loadStarter() takes to find the template again: its name, or
+// the directory when it was given as a path
+const readStarter = async (name, dir, source, ref = name) => {
+  const manifestPath = path.join(dir, MANIFEST);
+  if (!(await exists(manifestPath))) {
+    throw new Error(`Starter template "${name}" has no ${MANIFEST} (${dir})`);
+  }
+
+  let manifest;
+  try {
+    manifest = JSON.parse(await fs.readFile(manifestPath, 'utf8'));
+  } catch (error) {
+    throw new Error(`Invalid ${manifestPath}: ${error.message}`);
+  }
+  validateStarterAnalysis(manifest.analysis || {}, manifestPath);
+
+  const filesDir = path.join(dir, 'files');
+  const dockerfile = path.join(dir, 'Dockerfile');
+  const promptPath = path.join(dir, 'prompt.md');
+
+  return {
+    name,
+    ref,
+    dir,
+    source,
+    description: manifest.description || null,
+    analysis: manifest.analysis || {},
+    files: (await exists(filesDir)) ? await listFiles(filesDir) : [],
+    dockerfile: (await exists(dockerfile)) ? dockerfile : null,
+    prompt: (await exists(promptPath)) ? (await fs.readFile(promptPath, 'utf8')).trim() : null
+  };
+};
+
+const searchRoots = () => [
+  ...starterTemplateDirs().map(root => ({ root, source: root })),
+  { root: BUILTIN_STARTERS_DIR, source: 'built-in' }
+];
+
+export const loadStarter = async (name) => {
+  // Anything that looks like a path is used as-is
+  if (name.includes('/') || name.includes(path.sep)) {
+    const dir = path.resolve(name);
+    if (!(await exists(dir))) {
+      throw new Error(`Starter template directory ${dir} not found`);
+    }
+    return readStarter(path.basename(dir), dir, dir, dir);
+  }
+
+  if (!STARTER_NAME.test(name)) {
+    throw new Error(`Invalid starter template name "${name}"`);
+  }
+
+  for (const { root, source } of searchRoots()) {
+    const dir = path.join(root, name);
+    if (await exists(dir)) return readStarter(name, dir, source);
+  }
+
+  const available = (await listStarters()).map(starter => starter.name);
+  throw new Error(`Starter template "${name}" not found. Available: ${available.join(', ') || 'none'}`);
+};
+
+// Every template by name, with shadowed ones left out
+export const listStarters = async () => {
+  const starters = new Map();
+
+  for (const { root, source } of searchRoots()) {
+    let entries;
+    try {
+      entries = await fs.readdir(root, { withFileTypes: true });
+    } catch {
+      continue;
+    }
+
+    for (const entry of entries.filter(entry => entry.isDirectory() && STARTER_NAME.test(entry.name))) {
+      if (!starters.has(entry.name)) {
+        starters.set(entry.name, await readStarter(entry.name, path.join(root, entry.name), source));
+      }
+    }
+  }
+
+  return [...starters.values()].sort((a, b) => a.name.localeCompare(b.name));
+};
+
+// Copies the template's files/ into the app. Returns their relative paths.
+export const seedStarter = async (starter, appPath) => {
+  for (const file of starter.files) {
+    const target = path.join(appPath, file);
+    await fs.mkdir(path.dirname(target), { recursive: true });
+    await fs.copyFile(path.join(starter.dir, 'files', file), target);
+  }
+  return [...starter.files];
+};
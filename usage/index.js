@@ -0,0 +1 @@
+export { createLedgerEntry, filterEntries, summarizeUsage, monthlySpend } from './ledger.js';
@@ -0,0 +1,86 @@
+// Token and cost accounting for LLM calls. Prices are USD per million tokens,
+// configured under "pricing" in llm.config.json keyed by "provider:model" or "model".
+export const findPrice = (pricing = {}, provider, model) =>
+  pricing[`${provider}:${model}`] || pricing[model] || null;
+
+export const priceUsage = (pricing, provider, model, promptTokens, completionTokens) => {
+  const price = findPrice(pricing, provider, model);
+  if (!price) return { cost: 0, priced: false };
+
+  const cost = (promptTokens * (price.prompt || 0) + completionTokens * (price.completion || 0)) / 1_000_000;
+  return { cost, priced: true };
+};
+
+export const createLedgerEntry = ({ app, version, stage, provider, model, usage, latency, pricing }) => {
+  const promptTokens = usage?.prompt_tokens || 0;
+  const completionTokens = usage?.completion_tokens || 0;
+
+  return {
+    timestamp: new Date().toISOString(),
+    app: app || null,
+    version: version || null,
+    stage,
+    provider,
+    model,
+    promptTokens,
+    completionTokens,
+    latency,
+    ...priceUsage(pricing, provider, model, promptTokens, completionTokens)
+  };
+};
+
+// Date-only bounds are inclusive whole days
+const parseBound = (value, endOfDay) => {
+  if (!value) return null;
+  const date = new Date(/^\d{4}-\d{2}-\d{2}$/.test(value) ? `${value}T${endOfDay ? '23:59:59.999' : '00:00:00.000'}Z` : value);
+  if (Number.isNaN(date.getTime())) {
+    throw new Error(`Invalid date: ${value}`);
+  }
+  return date;
+};
+
+export const filterEntries = (entries, { since, until, app } = {}) => {
+  const from = parseBound(since, false);
+  const to = parseBound(until, true);
+
+  return entries.filter(entry => {
+    const timestamp = new Date(entry.timestamp);
+    if (from && timestamp < from) return false;
+    if (to && timestamp > to) return false;
+    if (app && entry.app !== app) return false;
+    return true;
+  });
+};
+
+const emptyTotals = () => ({ calls: 0, promptTokens: 0, completionTokens: 0, cost: 0, latency: 0, unpriced: 0 });
+
+const addEntry = (totals, entry) => {
+  totals.calls++;
+  totals.promptTokens += entry.promptTokens;
+  totals.completionTokens += entry.completionTokens;
+  totals.cost += entry.cost;
+  totals.latency += entry.latency || 0;
+  if (!entry.priced) totals.unpriced++;
+  return totals;
+};
+
+export const summarizeUsage = (entries) => {
+  const summary = { total: emptyTotals(), byApp: {}, byStage: {}, byModel: {}, byDay: {} };
+
+  for (const entry of entries) {
+    addEntry(summary.total, entry);
+    addEntry(summary.byApp[entry.app || '(none)'] ||= emptyTotals(), entry);
+    addEntry(summary.byStage[entry.stage] ||= emptyTotals(), entry);
+    addEntry(summary.byModel[`${entry.provider}/${entry.model}`] ||= emptyTotals(), entry);
+    addEntry(summary.byDay[entry.timestamp.slice(0, 10)] ||= emptyTotals(), entry);
+  }
+
+  return summary;
+};
+
+export const monthlySpend = (entries, now = new Date()) => {
+  const month = now.toISOString().slice(0, 7);
+  return entries
+    .filter(entry => entry.timestamp.startsWith(month))
+    .reduce((total, entry) => total + entry.cost, 0);
+};
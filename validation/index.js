@@ -0,0 +1,2 @@
+export { validateSyntax, formatSyntaxError, checkJson, checkScript, checkTagBalance, checkVue, checkSvelte } from './syntax.js';
+export { parseTypeErrors, formatTypeError } from './typecheck.js';
@@ -0,0 +1,222 @@
+import { parse } from '@babel/parser';
+
+// Cheap syntax checks that run before a generated file is written, so broken
+// output is caught (and sent back to the model) long before a Docker build.
+// Each check returns null or { message, line, column }.
+
+const SCRIPT_PLUGINS = {
+  js: ['jsx'],
+  mjs: [],
+  cjs: [],
+  jsx: ['jsx'],
+  ts: ['typescript'],
+  mts: ['typescript'],
+  cts: ['typescript'],
+  tsx: ['typescript', 'jsx']
+};
+
+const VOID_ELEMENTS = new Set(['area', 'base', 'br', 'col', 'embed', 'hr', 'img', 'input', 'link', 'meta', 'param', 'source', 'track', 'wbr']);
+// HTML lets these be closed implicitly by their parent's closing tag
+const OPTIONAL_CLOSE = new Set(['html', 'head', 'body', 'p', 'li', 'dt', 'dd', 'option', 'optgroup', 'tr', 'td', 'th', 'thead', 'tbody', 'tfoot', 'colgroup', 'rt', 'rp']);
+// Content is not markup, so it is skipped up to the closing tag
+const RAW_TEXT = new Set(['script', 'style', 'textarea', 'title']);
+
+const tagRegex = /<!--[\s\S]*?-->|<!\[CDATA\[[\s\S]*?\]\]>|<![^>]*>|<\/([A-Za-z][\w:.-]*)\s*>|<([A-Za-z][\w:.-]*)((?:\s+[^\s"'>\/=]+(?:\s*=\s*(?:"[^"]*"|'[^']*'|[^\s"'>]+))?)*)\s*(\/?)>/g;
+
+const position = (text, index) => {
+  const before = text.slice(0, index).split('\n');
+  return { line: before.length, column: before[before.length - 1].length + 1 };
+};
+
+const extension = (filePath) => filePath.split('.').pop().toLowerCase();
+
+// tsconfig*.json and jsconfig.json are JSONC, as TypeScript reads them
+const JSONC_FILE = /(^|\/)(tsconfig(\.[\w-]+)?|jsconfig)\.json$/i;
+
+// Blanks out comments and trailing commas outside strings. Everything else
+// keeps its position, so JSON.parse errors still point at the right line.
+export const stripJsonComments = (content) => {
+  let result = '';
+  let i = 0;
+
+  while (i < content.length) {
+    const char = content[i];
+
+    if (char === '"') {
+      let end = i + 1;
+      while (end < content.length && content[end] !== '"' && content[end] !== '\n') {
+        end += content[end] === '\\' ? 2 : 1;
+      }
+      result += content.slice(i, end + 1);
+      i = end + 1;
+    } else if (char === '/' && content[i + 1] === '/') {
+      const end = content.indexOf('\n', i);
+      const stop = end === -1 ? content.length : end;
+      result += ' '.repeat(stop - i);
+      i = stop;
+    } else if (char === '/' && content[i + 1] === '*') {
+      const end = content.indexOf('*/', i + 2);
+      const stop = end === -1 ? content.length : end + 2;
+      result += content.slice(i, stop).replace(/[^\n]/g, ' ');
+      i = stop;
+    } else {
+      result += char;
+      i++;
+    }
+  }
+
+  return result.replace(/("(?:[^"\\\n]|\\.)*")|,(\s*[\]}])/g, (match, string, close) => string || ` ${close}`);
+};
+
+export const checkJson = (content, { jsonc = false } = {}) => {
+  try {
+    JSON.parse(jsonc ? stripJsonComments(content) : content);
+    return null;
+  } catch (error) {
+    const match = /position (\d+)/.exec(error.message);
+    const at = match ? position(content, Number(match[1])) : { line: null, column: null };
+    return { message: error.message.replace(/\s*at position \d+.*$/, ''), ...at };
+  }
+};
+
+export const checkScript = (content, plugins = ['jsx']) => {
+  try {
+    parse(content, {
+      sourceType: 'unambiguous',
+      allowAwaitOutsideFunction: true,
+      allowReturnOutsideFunction: true,
+      plugins
+    });
+    return null;
+  } catch (error) {
+    return {
+      message: error.message.replace(/\s*\(\d+:\d+\)$/, ''),
+      line: error.loc?.line ?? null,
+      column: error.loc ? error.loc.column + 1 : null
+    };
+  }
+};
+
+// Open/close balance of elements. Components are case-sensitive (<Input>
+// is a component, not the void <input>); plain HTML is not.
+export const checkTagBalance = (content, { caseSensitive = false } = {}) => {
+  const stack = [];
+  let match;
+
+  tagRegex.lastIndex = 0;
+  while ((match = tagRegex.exec(content)) !== null) {
+    const [text, closing, opening, , selfClosing] = match;
+    if (!closing && !opening) continue;
+
+    const name = caseSensitive ? (closing || opening) : (closing || opening).toLowerCase();
+
+    if (opening) {
+      if (selfClosing || VOID_ELEMENTS.has(name)) continue;
+
+      if (RAW_TEXT.has(name)) {
+        const end = content.toLowerCase().indexOf(`</${name}`, tagRegex.lastIndex);
+        if (end === -1) {
+          return { message: `<${name}> is never closed`, ...position(content, match.index) };
+        }
+        tagRegex.lastIndex = content.indexOf('>', end) + 1 || content.length;
+        continue;
+      }
+
+      stack.push({ name, index: match.index });
+      continue;
+    }
+
+    if (VOID_ELEMENTS.has(name)) continue;
+
+    const openIndex = stack.map(entry => entry.name).lastIndexOf(name);
+    const unclosed = openIndex === -1 ? [] : stack.slice(openIndex + 1);
+    const blocking = unclosed.find(entry => !OPTIONAL_CLOSE.has(entry.name));
+
+    if (openIndex === -1 || blocking) {
+      const expected = blocking || stack[stack.length - 1];
+      return {
+        message: expected
+          ? `unexpected ${text}, <${expected.name}> from line ${position(content, expected.index).line} is still open`
+          : `unexpected ${text} without a matching opening tag`,
+        ...position(content, match.index)
+      };
+    }
+
+    stack.length = openIndex;
+  }
+
+  const unclosed = stack.find(entry => !OPTIONAL_CLOSE.has(entry.name));
+  return unclosed ? { message: `<${unclosed.name}> is never closed`, ...position(content, unclosed.index) } : null;
+};
+
+const blank = (text) => text.replace(/[^\n]/g, ' ');
+
+// Every <script> block of a component must parse in its lang
+const checkScriptBlocks = (content) => {
+  const scriptRegex = /<script\b([^>]*)>([\s\S]*?)<\/script>/g;
+  let match;
+  while ((match = scriptRegex.exec(content)) !== null) {
+    const lang = /\blang\s*=\s*["']?(\w+)/.exec(match[1])?.[1] || 'js';
+    const scriptError = checkScript(match[2], SCRIPT_PLUGINS[lang] || SCRIPT_PLUGINS.js);
+    if (scriptError) {
+      const offset = position(content, match.index + match[0].indexOf('>') + 1).line - 1;
+      return { ...scriptError, line: scriptError.line && scriptError.line + offset, message: `<script> ${scriptError.message}` };
+    }
+  }
+  return null;
+};
+
+// Single File Component: balanced blocks and template, and every <script>
+// block must parse in its lang
+export const checkVue = (content) => {
+  if (!/<(template|script)[\s>]/.test(content)) {
+    return { message: 'component has neither a <template> nor a <script> block', line: 1, column: 1 };
+  }
+
+  // {{ a < b }} interpolations are expressions, not markup; blank them out
+  // without moving line numbers
+  const markup = content.replace(/\{\{[\s\S]*?\}\}/g, blank);
+  return checkTagBalance(markup, { caseSensitive: true }) || checkScriptBlocks(content);
+};
+
+// Svelte component: markup outside <script>/<style> with its {expressions}
+// and {#blocks} masked must balance, and every <script> block must parse
+export const checkSvelte = (content) => {
+  // Masked with a word character rather than blanks, so on:click={…} and
+  // {shorthand} attributes still read as attributes
+  const maskExpressions = (text) => {
+    let depth = 0;
+    let result = '';
+    for (const char of text) {
+      if (char === '{') depth++;
+      result += depth > 0 && char !== '\n' ? '_' : char;
+      if (char === '}' && depth > 0) depth--;
+    }
+    return result;
+  };
+
+  let markup = '';
+  let last = 0;
+  for (const match of content.matchAll(/<(script|style)\b[^>]*>[\s\S]*?<\/\1\s*>/g)) {
+    markup += maskExpressions(content.slice(last, match.index)) + match[0];
+    last = match.index + match[0].length;
+  }
+  markup += maskExpressions(content.slice(last));
+
+  return checkTagBalance(markup, { caseSensitive: true }) || checkScriptBlocks(content);
+};
+
+export const validateSyntax = (filePath, content) => {
+  const type = extension(filePath);
+
+  if (type === 'json') return checkJson(content, { jsonc: JSONC_FILE.test(filePath) });
+  if (SCRIPT_PLUGINS[type]) return checkScript(content, SCRIPT_PLUGINS[type]);
+  if (type === 'vue') return checkVue(content);
+  if (type === 'svelte') return checkSvelte(content);
+  if (type === 'html' || type === 'htm') return checkTagBalance(content);
+
+  return null;
+};
+
+export const formatSyntaxError = (error) =>
+  error.line ? `line ${error.line}${error.column ? `, column ${error.column}` : ''}: ${error.message}` : error.message;
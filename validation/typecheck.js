@@ -0,0 +1,48 @@
+// Compiler diagnostics read back out of build output, so the Docker fix loop
+// can show the model exactly which lines fail the type-check. Understands
+// tsc and vue-tsc, plain (file(1,2): error TS1234: ...) and pretty
+// (file:1:2 - error TS1234: ...), and svelte-check --output machine
+// (1719000000000 ERROR "file" 1:2 "message").
+
+// BuildKit prefixes lines with the step and timestamp: "#12 3.456 "
+const BUILDKIT_PREFIX = /^#\d+\s+[\d.]+\s+/;
+const ANSI_COLOR = /\x1b\[[0-9;]*m/g;
+// Paths inside the image start at WORKDIR /app
+const IMAGE_ROOT = /^\/app\//;
+
+const TSC_PLAIN = /^(\S+?)\((\d+),(\d+)\): error (TS\d+): (.+)$/;
+const TSC_PRETTY = /^(\S+?):(\d+):(\d+) - error (TS\d+): (.+)$/;
+const SVELTE_CHECK = /^\d+ ERROR "([^"]+)" (\d+):(\d+) "(.+)"$/;
+
+// [{ file, line, column, code, message }], one per distinct diagnostic
+export const parseTypeErrors = (output = '') => {
+  const errors = [];
+  const seen = new Set();
+
+  for (const rawLine of output.split('\n')) {
+    const line = rawLine.replace(ANSI_COLOR, '').replace(BUILDKIT_PREFIX, '').trim();
+    let error = null;
+
+    const tsc = TSC_PLAIN.exec(line) || TSC_PRETTY.exec(line);
+    if (tsc) {
+      error = { file: tsc[1], line: Number(tsc[2]), column: Number(tsc[3]), code: tsc[4], message: tsc[5] };
+    } else {
+      const svelte = SVELTE_CHECK.exec(line);
+      if (svelte) {
+        // svelte-check lines and columns are zero-based
+        error = { file: svelte[1], line: Number(svelte[2]) + 1, column: Number(svelte[3]) + 1, code: 'svelte-check', message: svelte[4].replace(/\\"/g, '"') };
+      }
+    }
+    if (!error) continue;
+
+    error.file = error.file.replace(IMAGE_ROOT, '');
+    const key = `${error.file}:${error.line}:${error.column}:${error.message}`;
+    if (seen.has(key)) continue;
+    seen.add(key);
+    errors.push(error);
+  }
+
+  return errors;
+};
+
+export const formatTypeError = (error) => `${error.file}:${error.line}:${error.column} ${error.code}: ${error.message}`;